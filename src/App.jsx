@@ -2,6 +2,9 @@ import React from 'react';
 import { BrowserRouter as Router, Route, Routes } from 'react-router-dom';
 import LandingPage from './components/LandingPage'; // Assuming 1stpage.txt is renamed/refactored
 import InterviewPage from './components/InterviewPage'; // Assuming bbbb.txt is renamed/refactored
+import HistoryPage from './components/HistoryPage';
+import ProgressPage from './components/ProgressPage';
+import LibraryPage from './components/LibraryPage';
 //import './index.css'; // Assuming you have global styles
 
 function App() {
@@ -10,6 +13,10 @@ function App() {
       <Routes>
         <Route path="/" element={<LandingPage />} />
         <Route path="/interview" element={<InterviewPage />} />
+        <Route path="/interview/:sessionId" element={<InterviewPage />} />
+        <Route path="/history" element={<HistoryPage />} />
+        <Route path="/progress" element={<ProgressPage />} />
+        <Route path="/library" element={<LibraryPage />} />
       </Routes>
     </Router>
   );
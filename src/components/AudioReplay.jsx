@@ -0,0 +1,134 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { loadSessionAudio } from '../services/sessionStore';
+import { formatTimelineOffset } from '../services/codeTimeline';
+
+// Seeks to the pending offset and plays, once the audio's duration is known.
+const applyPendingSeek = (audio, pendingSeekRef) => {
+    if (!audio || pendingSeekRef.current === null || Number.isNaN(audio.duration) || audio.duration === Infinity) return;
+    audio.currentTime = pendingSeekRef.current;
+    pendingSeekRef.current = null;
+    audio.play().catch(error => console.warn("Could not start audio playback:", error));
+};
+
+// --- Interview Audio Player ---
+// Plays the recorded interview audio (see interviewAudio.js) above the
+// transcript. Reports the wall-clock time being played through onTimeChange so
+// the transcript can highlight the message being spoken, and jumps to
+// `seekTo.at` (a wall-clock time) whenever a new seekTo object is passed.
+const AudioReplay = ({ sessionId, segments, seekTo, onTimeChange }) => {
+    const [urls, setUrls] = useState(null);
+    const [loadError, setLoadError] = useState('');
+    const [selectedId, setSelectedId] = useState(null);
+    const audioRef = useRef(null);
+    const pendingSeekRef = useRef(null);
+    const handledSeekRef = useRef(null);
+    const isScanningRef = useRef(false);
+
+    useEffect(() => {
+        let cancelled = false;
+        let created = {};
+        loadSessionAudio(sessionId)
+            .then(blobs => {
+                if (cancelled) return;
+                created = Object.fromEntries(Object.entries(blobs).map(([segmentId, blob]) => [segmentId, URL.createObjectURL(blob)]));
+                setUrls(created);
+            })
+            .catch(error => {
+                console.error("Failed to load recorded audio:", error);
+                if (!cancelled) setLoadError(`Could not load the recorded audio: ${error.message}`);
+            });
+        return () => {
+            cancelled = true;
+            Object.values(created).forEach(url => URL.revokeObjectURL(url));
+        };
+    }, [sessionId]);
+
+    const playable = useMemo(() => (urls ? segments.filter(segment => urls[segment.id]) : []), [urls, segments]);
+    const segment = playable.find(candidate => candidate.id === selectedId) || playable[0] || null;
+
+    useEffect(() => {
+        if (!seekTo || handledSeekRef.current === seekTo || playable.length === 0) return;
+        handledSeekRef.current = seekTo;
+        const target = [...playable].reverse().find(candidate => candidate.startedAt <= seekTo.at) || playable[0];
+        pendingSeekRef.current = Math.max(0, (seekTo.at - target.startedAt) / 1000);
+        if (target.id === segment.id) {
+            applyPendingSeek(audioRef.current, pendingSeekRef);
+        } else {
+            setSelectedId(target.id);
+        }
+    }, [seekTo, playable, segment]);
+
+    if (loadError) return <p style={styles.error}>{loadError}</p>;
+    if (!urls) return <p style={styles.hint}>Loading recorded audio...</p>;
+    if (!segment) return <p style={styles.hint}>The recorded audio of this interview is not stored in this browser.</p>;
+
+    // MediaRecorder files carry no duration, so the browser cannot seek them
+    // until it has been made to scan to the end once.
+    const handleLoadedMetadata = (e) => {
+        const audio = e.currentTarget;
+        if (audio.duration !== Infinity) {
+            applyPendingSeek(audio, pendingSeekRef);
+            return;
+        }
+        isScanningRef.current = true;
+        audio.addEventListener('seeked', () => {
+            isScanningRef.current = false;
+            audio.currentTime = 0;
+            applyPendingSeek(audio, pendingSeekRef);
+        }, { once: true });
+        audio.currentTime = 1e101;
+    };
+
+    return (
+        <div style={styles.container}>
+            <span style={styles.label}>Interview audio</span>
+            {playable.length > 1 && (
+                <select value={segment.id} onChange={(e) => setSelectedId(e.target.value)} style={styles.select} aria-label="Recording part">
+                    {playable.map((part, index) => (
+                        <option key={part.id} value={part.id}>
+                            Part {index + 1}: {new Date(part.startedAt).toLocaleTimeString()} ({formatTimelineOffset(part.endedAt - part.startedAt)})
+                        </option>
+                    ))}
+                </select>
+            )}
+            <audio
+                key={segment.id}
+                ref={audioRef}
+                src={urls[segment.id]}
+                controls
+                preload="metadata"
+                onLoadedMetadata={handleLoadedMetadata}
+                onTimeUpdate={(e) => {
+                    if (!isScanningRef.current) onTimeChange(segment.startedAt + e.currentTarget.currentTime * 1000);
+                }}
+                style={styles.player}
+            />
+        </div>
+    );
+};
+
+// --- Styling ---
+const styles = {
+    container: {
+        display: 'flex', alignItems: 'center', gap: '10px', flexWrap: 'wrap',
+        backgroundColor: '#2a2a2a', border: '1px solid #444', borderRadius: '8px',
+        padding: '8px 12px', marginBottom: '10px'
+    },
+    label: {
+        fontSize: '0.85em', color: '#ccc'
+    },
+    select: {
+        backgroundColor: '#333', color: '#fff', border: '1px solid #555', borderRadius: '4px', padding: '4px 6px'
+    },
+    player: {
+        flex: 1, minWidth: '220px', height: '36px'
+    },
+    hint: {
+        fontSize: '0.85em', color: '#aaa', fontStyle: 'italic'
+    },
+    error: {
+        fontSize: '0.85em', color: '#dc3545'
+    },
+};
+
+export default AudioReplay;
@@ -0,0 +1,33 @@
+import React, { useEffect, useState } from 'react';
+import { useMonaco } from '@monaco-editor/react';
+import { resolveCodeLanguage } from '../services/codeLanguages';
+
+// --- Highlighted Code Block ---
+// Colorizes a fenced code block with Monaco's own tokenizer, so chat snippets
+// use the same grammar and theme as the editor. Shows plain text until Monaco
+// has loaded, and for languages the editor does not offer.
+const CodeBlock = ({ code, language, style }) => {
+    const monaco = useMonaco();
+    const languageId = resolveCodeLanguage(language);
+    const [highlighted, setHighlighted] = useState(null);
+
+    useEffect(() => {
+        if (!monaco || !languageId) return undefined;
+        let cancelled = false;
+        // colorize() emits theme classes; setting the theme injects their CSS
+        // even if the editor has not been opened yet.
+        monaco.editor.setTheme('vs-dark');
+        monaco.editor.colorize(code, languageId, { tabSize: 4 })
+            .then(html => { if (!cancelled) setHighlighted({ code, languageId, html }); })
+            .catch(error => console.warn(`Could not highlight ${languageId} code:`, error));
+        return () => { cancelled = true; };
+    }, [monaco, code, languageId]);
+
+    // Monaco escapes the source when colorizing, so its HTML is safe to inject.
+    if (highlighted && highlighted.code === code && highlighted.languageId === languageId) {
+        return <pre style={style} dangerouslySetInnerHTML={{ __html: highlighted.html }} />;
+    }
+    return <pre style={style}>{code}</pre>;
+};
+
+export default CodeBlock;
@@ -0,0 +1,108 @@
+import React, { useEffect, useState } from 'react';
+import Editor from '@monaco-editor/react';
+import { formatTimelineOffset, timelineDuration } from '../services/codeTimeline';
+import { getCodeLanguageLabel } from '../services/codeLanguages';
+
+const PLAYBACK_SPEEDS = [1, 4, 16];
+// Snapshots are shown for their real spacing divided by the speed, but never
+// longer than this, so long thinking pauses do not stall the replay.
+const MAX_FRAME_DELAY_MS = 3000;
+
+// --- Code Replay Modal ---
+// Steps through the editor snapshots of one answer (see codeTimeline.js) in a
+// read-only editor, at real speed or faster.
+const CodeReplay = ({ timeline, language, onClose }) => {
+    const { snapshots } = timeline;
+    const [index, setIndex] = useState(0);
+    const [isPlaying, setIsPlaying] = useState(true);
+    const [speed, setSpeed] = useState(4);
+    const isAtEnd = index >= snapshots.length - 1;
+
+    useEffect(() => {
+        if (!isPlaying || isAtEnd) return undefined;
+        const delay = Math.min((snapshots[index + 1].t - snapshots[index].t) / speed, MAX_FRAME_DELAY_MS);
+        const timer = setTimeout(() => setIndex(index + 1), delay);
+        return () => clearTimeout(timer);
+    }, [isPlaying, isAtEnd, index, speed, snapshots]);
+
+    const handleTogglePlay = () => {
+        if (isAtEnd) setIndex(0);
+        setIsPlaying(isAtEnd || !isPlaying);
+    };
+
+    return (
+        <div style={styles.overlay} onClick={onClose}>
+            <div style={styles.modal} onClick={(e) => e.stopPropagation()}>
+                <h3 style={styles.title}>Coding Replay{language ? ` (${getCodeLanguageLabel(language)})` : ''}</h3>
+                <Editor
+                    height="320px"
+                    language={language || 'plaintext'} theme="vs-dark"
+                    value={snapshots[index].code}
+                    options={{ readOnly: true, domReadOnly: true, minimap: { enabled: false }, wordWrap: 'on' }}
+                />
+                <div style={styles.controls}>
+                    <button onClick={handleTogglePlay} style={{ ...styles.button, ...styles.buttonPrimary }}>
+                        {isPlaying && !isAtEnd ? 'Pause' : (isAtEnd ? 'Replay' : 'Play')}
+                    </button>
+                    <input
+                        type="range" min="0" max={snapshots.length - 1} value={index}
+                        onChange={(e) => { setIsPlaying(false); setIndex(parseInt(e.target.value, 10)); }}
+                        style={styles.slider}
+                        aria-label="Replay position"
+                    />
+                    <span style={styles.time}>
+                        {formatTimelineOffset(snapshots[index].t)} / {formatTimelineOffset(timelineDuration(timeline))}
+                    </span>
+                    <select value={speed} onChange={(e) => setSpeed(parseInt(e.target.value, 10))} style={styles.select} aria-label="Replay speed">
+                        {PLAYBACK_SPEEDS.map(option => <option key={option} value={option}>{option}x</option>)}
+                    </select>
+                    <button onClick={onClose} style={{ ...styles.button, ...styles.buttonSecondary }}>Close</button>
+                </div>
+                <div style={styles.meta}>Snapshot {index + 1} of {snapshots.length}</div>
+            </div>
+        </div>
+    );
+};
+
+// --- Styling ---
+const styles = {
+    overlay: {
+        position: 'fixed', top: 0, left: 0, width: '100%', height: '100%',
+        backgroundColor: 'rgba(0, 0, 0, 0.5)', zIndex: 999,
+    },
+    modal: {
+        position: 'fixed', top: '50%', left: '50%', transform: 'translate(-50%, -50%)',
+        backgroundColor: '#222', padding: '20px', borderRadius: '8px', width: '90%',
+        maxWidth: '900px', maxHeight: '85%', overflowY: 'auto', zIndex: 1000, color: '#fff', textAlign: 'left'
+    },
+    title: {
+        marginTop: 0, marginBottom: '10px'
+    },
+    controls: {
+        display: 'flex', alignItems: 'center', gap: '10px', marginTop: '12px', flexWrap: 'wrap'
+    },
+    slider: {
+        flex: 1, minWidth: '150px'
+    },
+    time: {
+        fontSize: '0.85em', color: '#ccc', fontVariantNumeric: 'tabular-nums'
+    },
+    select: {
+        backgroundColor: '#333', color: '#fff', border: '1px solid #555', borderRadius: '4px', padding: '4px 6px'
+    },
+    meta: {
+        fontSize: '0.8em', color: '#aaa', marginTop: '6px'
+    },
+    button: {
+        padding: '8px 14px', cursor: 'pointer', borderRadius: '10px', border: 'none',
+        fontSize: '0.9em', fontWeight: '500', color: '#fff'
+    },
+    buttonPrimary: {
+        backgroundColor: '#007bff'
+    },
+    buttonSecondary: {
+        backgroundColor: '#6c757d'
+    },
+};
+
+export default CodeReplay;
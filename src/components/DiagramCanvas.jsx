@@ -0,0 +1,245 @@
+import React, { useRef, useState } from 'react';
+import { addDiagramNode, addDiagramEdge, updateDiagramItem, removeDiagramItem, isDiagramEmpty, EMPTY_DIAGRAM } from '../services/systemDesign';
+
+// --- Design Whiteboard ---
+// Controlled SVG canvas for system design answers: boxes can be dragged,
+// connected with arrows and named; free labels hold notes. The parent owns
+// the diagram and serializes it when the answer is submitted.
+
+const CANVAS_WIDTH = 760;
+const CANVAS_HEIGHT = 340;
+const BOX_WIDTH = 130;
+const BOX_HEIGHT = 46;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Point where the line from a box centre towards (x, y) leaves the box, so
+// arrow heads stop at the border instead of the centre.
+const boxBorderPoint = (box, x, y) => {
+    const dx = x - box.x;
+    const dy = y - box.y;
+    if (dx === 0 && dy === 0) return { x: box.x, y: box.y };
+    const scale = Math.min(
+        dx !== 0 ? (BOX_WIDTH / 2) / Math.abs(dx) : Infinity,
+        dy !== 0 ? (BOX_HEIGHT / 2) / Math.abs(dy) : Infinity
+    );
+    return { x: box.x + dx * scale, y: box.y + dy * scale };
+};
+
+const DiagramCanvas = ({ diagram, onChange, disabled, hint }) => {
+    const svgRef = useRef(null);
+    const dragRef = useRef(null);
+    const [selectedId, setSelectedId] = useState(null);
+    const [connectFrom, setConnectFrom] = useState(null);
+    const [isConnecting, setIsConnecting] = useState(false);
+
+    const selectedNode = diagram.nodes.find(node => node.id === selectedId);
+    const selectedEdge = diagram.edges.find(edge => edge.id === selectedId);
+    const selectedItem = selectedNode || selectedEdge;
+    const boxesById = new Map(diagram.nodes.filter(node => node.kind === 'box').map(node => [node.id, node]));
+
+    const toCanvasPoint = (event) => {
+        const rect = svgRef.current.getBoundingClientRect();
+        return {
+            x: ((event.clientX - rect.left) / rect.width) * CANVAS_WIDTH,
+            y: ((event.clientY - rect.top) / rect.height) * CANVAS_HEIGHT
+        };
+    };
+
+    // New items are staggered so repeated clicks do not stack them exactly.
+    const handleAddNode = (kind) => {
+        const offset = (diagram.nodes.length % 6) * 24;
+        const { diagram: next, node } = addDiagramNode(diagram, {
+            kind, x: 100 + offset, y: 60 + offset, text: kind === 'box' ? 'Service' : 'Note'
+        });
+        onChange(next);
+        setSelectedId(node.id);
+        setIsConnecting(false); setConnectFrom(null);
+    };
+
+    const handleNodePointerDown = (event, node) => {
+        event.stopPropagation();
+        if (disabled) return;
+        if (isConnecting) {
+            if (node.kind !== 'box') return;
+            if (!connectFrom) { setConnectFrom(node.id); return; }
+            const { diagram: next, edge } = addDiagramEdge(diagram, connectFrom, node.id);
+            onChange(next);
+            setConnectFrom(null);
+            if (edge) setSelectedId(edge.id);
+            return;
+        }
+        setSelectedId(node.id);
+        const point = toCanvasPoint(event);
+        dragRef.current = { id: node.id, offsetX: point.x - node.x, offsetY: point.y - node.y };
+        event.currentTarget.setPointerCapture?.(event.pointerId);
+    };
+
+    const handlePointerMove = (event) => {
+        const drag = dragRef.current;
+        if (!drag) return;
+        const point = toCanvasPoint(event);
+        onChange(updateDiagramItem(diagram, drag.id, {
+            x: Math.round(clamp(point.x - drag.offsetX, BOX_WIDTH / 2, CANVAS_WIDTH - BOX_WIDTH / 2)),
+            y: Math.round(clamp(point.y - drag.offsetY, BOX_HEIGHT / 2, CANVAS_HEIGHT - BOX_HEIGHT / 2))
+        }));
+    };
+
+    const handlePointerUp = () => { dragRef.current = null; };
+
+    const handleDelete = () => {
+        if (!selectedItem) return;
+        onChange(removeDiagramItem(diagram, selectedItem.id));
+        setSelectedId(null);
+    };
+
+    const handleClear = () => {
+        if (isDiagramEmpty(diagram) || !window.confirm("Clear the whole diagram?")) return;
+        onChange(EMPTY_DIAGRAM);
+        setSelectedId(null); setConnectFrom(null);
+    };
+
+    const toolButton = (label, onClick, isDisabled = false, extraStyle = {}) => (
+        <button
+            onClick={onClick} disabled={disabled || isDisabled}
+            style={{ ...styles.toolButton, ...extraStyle, ...(disabled || isDisabled ? styles.toolButtonDisabled : {}) }}
+        >
+            {label}
+        </button>
+    );
+
+    return (
+        <div style={styles.panel}>
+            <div style={styles.toolbar}>
+                {toolButton('+ Box', () => handleAddNode('box'))}
+                {toolButton('+ Label', () => handleAddNode('label'))}
+                {toolButton(
+                    isConnecting ? (connectFrom ? 'Pick target box' : 'Pick source box') : 'Arrow',
+                    () => { setIsConnecting(!isConnecting); setConnectFrom(null); },
+                    boxesById.size < 2,
+                    isConnecting ? styles.toolButtonActive : {}
+                )}
+                <input
+                    type="text" style={styles.textInput}
+                    value={selectedItem?.text ?? ''}
+                    placeholder={selectedEdge ? 'Arrow label (e.g. HTTPS, async)' : (selectedNode ? 'Name' : 'Select an item to name it')}
+                    disabled={disabled || !selectedItem}
+                    onChange={(e) => onChange(updateDiagramItem(diagram, selectedItem.id, { text: e.target.value }))}
+                />
+                {toolButton('Delete', handleDelete, !selectedItem, styles.toolButtonDanger)}
+                {toolButton('Clear', handleClear, isDiagramEmpty(diagram))}
+            </div>
+
+            <svg
+                ref={svgRef} viewBox={`0 0 ${CANVAS_WIDTH} ${CANVAS_HEIGHT}`} style={styles.canvas}
+                onPointerMove={handlePointerMove} onPointerUp={handlePointerUp} onPointerLeave={handlePointerUp}
+                onPointerDown={() => { setSelectedId(null); setConnectFrom(null); }}
+            >
+                <defs>
+                    <marker id="diagram-arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse">
+                        <path d="M 0 0 L 10 5 L 0 10 z" fill="#ccc" />
+                    </marker>
+                </defs>
+
+                {diagram.edges.map(edge => {
+                    const from = boxesById.get(edge.from);
+                    const to = boxesById.get(edge.to);
+                    if (!from || !to) return null;
+                    const start = boxBorderPoint(from, to.x, to.y);
+                    const end = boxBorderPoint(to, from.x, from.y);
+                    const isSelected = edge.id === selectedId;
+                    return (
+                        <g key={edge.id} onPointerDown={(e) => { e.stopPropagation(); if (!disabled) setSelectedId(edge.id); }} style={{ cursor: 'pointer' }}>
+                            {/* Wide transparent stroke makes thin arrows easy to click. */}
+                            <line x1={start.x} y1={start.y} x2={end.x} y2={end.y} stroke="transparent" strokeWidth="12" />
+                            <line
+                                x1={start.x} y1={start.y} x2={end.x} y2={end.y}
+                                stroke={isSelected ? '#17a2b8' : '#ccc'} strokeWidth={isSelected ? 2.5 : 1.5} markerEnd="url(#diagram-arrow)"
+                            />
+                            {edge.text && (
+                                <text x={(start.x + end.x) / 2} y={(start.y + end.y) / 2 - 6} textAnchor="middle" style={styles.edgeText}>{edge.text}</text>
+                            )}
+                        </g>
+                    );
+                })}
+
+                {diagram.nodes.map(node => {
+                    const isSelected = node.id === selectedId || node.id === connectFrom;
+                    if (node.kind === 'label') {
+                        return (
+                            <text
+                                key={node.id} x={node.x} y={node.y} textAnchor="middle" dominantBaseline="middle"
+                                style={{ ...styles.labelText, ...(isSelected ? styles.labelTextSelected : {}) }}
+                                onPointerDown={(e) => handleNodePointerDown(e, node)}
+                            >
+                                {node.text || '(empty label)'}
+                            </text>
+                        );
+                    }
+                    return (
+                        <g key={node.id} onPointerDown={(e) => handleNodePointerDown(e, node)} style={{ cursor: isConnecting ? 'crosshair' : 'move' }}>
+                            <rect
+                                x={node.x - BOX_WIDTH / 2} y={node.y - BOX_HEIGHT / 2} width={BOX_WIDTH} height={BOX_HEIGHT} rx="6"
+                                fill="#2a2a2a" stroke={isSelected ? '#17a2b8' : '#666'} strokeWidth={isSelected ? 2.5 : 1.5}
+                            />
+                            <text x={node.x} y={node.y} textAnchor="middle" dominantBaseline="middle" style={styles.boxText}>
+                                {node.text || '(unnamed)'}
+                            </text>
+                        </g>
+                    );
+                })}
+            </svg>
+
+            {hint && <p style={styles.hint}>{hint}</p>}
+        </div>
+    );
+};
+
+// --- Styling ---
+const styles = {
+    panel: {
+        width: '95%', maxWidth: '800px', marginBottom: '15px', backgroundColor: '#222',
+        padding: '10px', borderRadius: '8px', border: '1px solid #444', boxSizing: 'border-box'
+    },
+    toolbar: {
+        display: 'flex', gap: '6px', flexWrap: 'wrap', alignItems: 'center', marginBottom: '8px'
+    },
+    toolButton: {
+        padding: '6px 10px', cursor: 'pointer', borderRadius: '8px', border: 'none',
+        fontSize: '0.85em', color: '#fff', backgroundColor: '#6c757d'
+    },
+    toolButtonActive: {
+        backgroundColor: '#17a2b8'
+    },
+    toolButtonDanger: {
+        backgroundColor: '#dc3545'
+    },
+    toolButtonDisabled: {
+        backgroundColor: '#555', color: '#aaa', cursor: 'not-allowed'
+    },
+    textInput: {
+        flexGrow: 1, minWidth: '160px', padding: '6px 8px', borderRadius: '8px', border: '1px solid #555',
+        backgroundColor: '#333', color: '#fff', fontSize: '0.85em'
+    },
+    canvas: {
+        width: '100%', height: 'auto', backgroundColor: '#181818', borderRadius: '6px',
+        border: '1px solid #333', touchAction: 'none', userSelect: 'none'
+    },
+    boxText: {
+        fill: '#fff', fontSize: '13px', pointerEvents: 'none'
+    },
+    edgeText: {
+        fill: '#9ad', fontSize: '11px'
+    },
+    labelText: {
+        fill: '#ffc107', fontSize: '12px', fontStyle: 'italic', cursor: 'move'
+    },
+    labelTextSelected: {
+        textDecoration: 'underline'
+    },
+    hint: {
+        fontSize: '0.8em', color: '#aaa', fontStyle: 'italic', margin: '6px 0 0'
+    },
+};
+
+export default DiagramCanvas;
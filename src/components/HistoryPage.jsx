@@ -0,0 +1,291 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { listSessions, deleteSession, updateSession, createRetakeSession } from '../services/sessionStore';
+import { summarizeSession, formatDuration, formatScore, METRIC_KEYS } from '../services/sessionSummary';
+import { createAnalysisReport } from '../services/report';
+import { loadLlmSettings } from '../services/llm';
+import { sessionToJson, sessionToMarkdown, sessionFileName, importSessionFile } from '../services/sessionTransfer';
+import { downloadTextFile } from '../services/download';
+import { savePlanTemplate } from '../services/planTemplates';
+import ReportView from './ReportView';
+
+const STATUS_LABELS = {
+    SETUP: 'Not started',
+    PLANNING: 'Planning',
+    PLAN_REVIEW: 'Reviewing plan',
+    PLANNING_COMPLETE: 'Ready',
+    IN_PROGRESS: 'In progress',
+    ENDED: 'Completed'
+};
+
+// --- Interview History Page ---
+function HistoryPage() {
+    const navigate = useNavigate();
+    const [sessions, setSessions] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [errorMessage, setErrorMessage] = useState('');
+    const [reportSessionId, setReportSessionId] = useState(null);
+    const [reportLoadingId, setReportLoadingId] = useState(null);
+    const importInputRef = useRef(null);
+
+    const refreshSessions = useCallback(async () => {
+        try {
+            setSessions(await listSessions());
+        } catch (error) {
+            console.error("Failed to load interview history:", error);
+            setErrorMessage(`Could not load interview history: ${error.message}`);
+        } finally {
+            setIsLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        refreshSessions();
+    }, [refreshSessions]);
+
+    const handleRegenerateReport = useCallback(async (session) => {
+        setReportLoadingId(session.id); setErrorMessage('');
+        try {
+            const report = await createAnalysisReport(session, loadLlmSettings());
+            const updated = await updateSession(session.id, { report });
+            setSessions(prev => prev.map(s => (s.id === updated.id ? updated : s)));
+            setReportSessionId(session.id);
+        } catch (error) {
+            console.error("Error regenerating report:", error);
+            setErrorMessage(`Failed to generate report: ${error.message}`);
+        } finally {
+            setReportLoadingId(null);
+        }
+    }, []);
+
+    const handleRetake = useCallback(async (session) => {
+        try {
+            const retake = await createRetakeSession(session);
+            navigate(`/interview/${retake.id}`);
+        } catch (error) {
+            console.error("Error creating retake session:", error);
+            setErrorMessage(`Could not start retake: ${error.message}`);
+        }
+    }, [navigate]);
+
+    const handleSaveTemplate = useCallback(async (session) => {
+        const { jobTitle } = summarizeSession(session);
+        const name = window.prompt("Template name:", jobTitle);
+        if (!name || !name.trim()) return;
+        try {
+            await savePlanTemplate({
+                name, jobTitle: session.jobDetails?.job_title,
+                interviewPlan: session.interviewPlan, interviewConfig: session.interviewConfig
+            });
+        } catch (error) {
+            console.error("Error saving plan template:", error);
+            setErrorMessage(`Could not save template: ${error.message}`);
+        }
+    }, []);
+
+    const handleDelete = useCallback(async (session) => {
+        const { jobTitle, company } = summarizeSession(session);
+        if (!window.confirm(`Delete the interview "${jobTitle}" at ${company}? This cannot be undone.`)) return;
+        try {
+            await deleteSession(session.id);
+            setSessions(prev => prev.filter(s => s.id !== session.id));
+        } catch (error) {
+            console.error("Error deleting session:", error);
+            setErrorMessage(`Could not delete session: ${error.message}`);
+        }
+    }, []);
+
+    const handleImportFile = useCallback(async (event) => {
+        const file = event.target.files?.[0];
+        event.target.value = '';
+        if (!file) return;
+        setErrorMessage('');
+        try {
+            const imported = await importSessionFile(await file.text());
+            navigate(`/interview/${imported.id}?view=transcript`);
+        } catch (error) {
+            console.error("Error importing session:", error);
+            setErrorMessage(`Could not import ${file.name}: ${error.message}`);
+        }
+    }, [navigate]);
+
+    const reportSession = sessions.find(s => s.id === reportSessionId);
+
+    return (
+        <div style={styles.appContainer}>
+            <header style={styles.header}>
+                <h1>Interview History</h1>
+                <div style={styles.headerActions}>
+                    <input ref={importInputRef} type="file" accept=".json,application/json" onChange={handleImportFile} style={{ display: 'none' }} />
+                    <button onClick={() => importInputRef.current?.click()} style={{ ...styles.buttonBase, ...styles.buttonSecondary }} title="Open an exported session file read-only">Import</button>
+                    <button onClick={() => navigate('/progress')} style={{ ...styles.buttonBase, ...styles.buttonSecondary }}>Progress</button>
+                    <button onClick={() => navigate('/library')} style={{ ...styles.buttonBase, ...styles.buttonSecondary }} title="Plan templates and question banks">Library</button>
+                    <button onClick={() => navigate('/')} style={{ ...styles.buttonBase, ...styles.buttonPrimary }}>New Interview</button>
+                </div>
+            </header>
+
+            <div style={styles.card}>
+                {errorMessage && <p style={styles.errorText}>{errorMessage}</p>}
+                {isLoading && <p style={styles.mutedText}>Loading saved interviews...</p>}
+                {!isLoading && sessions.length === 0 && (
+                    <p style={styles.mutedText}>No saved interviews yet. Completed and in-progress interviews will appear here.</p>
+                )}
+
+                {sessions.map(session => {
+                    const summary = summarizeSession(session);
+                    const hasLog = summary.answerCount > 0;
+                    return (
+                        <div key={session.id} style={styles.sessionCard}>
+                            <div style={styles.sessionHeader}>
+                                <div>
+                                    <h3 style={styles.sessionTitle}>{summary.jobTitle}</h3>
+                                    <span style={styles.mutedText}>{summary.company}</span>
+                                </div>
+                                <span style={styles.statusBadge}>{STATUS_LABELS[summary.status] || summary.status}</span>
+                            </div>
+
+                            <div style={styles.sessionMeta}>
+                                <span>{summary.date ? new Date(summary.date).toLocaleString() : '—'}</span>
+                                <span>Duration: {formatDuration(summary.durationMs)}</span>
+                                <span>Answers: {summary.answerCount}</span>
+                                <span>Overall: {formatScore(summary.overallScore)}</span>
+                            </div>
+
+                            <div style={styles.sessionTopics}>
+                                Topics covered ({summary.topicsCovered.length}/{summary.totalTopics}): {summary.topicsCovered.length > 0 ? summary.topicsCovered.join(', ') : 'none yet'}
+                            </div>
+
+                            <div style={styles.metricsRow}>
+                                {METRIC_KEYS.map(key => (
+                                    <div key={key} style={styles.metric}>
+                                        <span style={styles.metricLabel}>{key}</span>
+                                        <div style={styles.metricBarTrack}>
+                                            <div style={{ ...styles.metricBarFill, width: `${Math.round((summary.metrics[key] || 0) * 100)}%` }} />
+                                        </div>
+                                        <span style={styles.metricValue}>{formatScore(summary.metrics[key])}</span>
+                                    </div>
+                                ))}
+                            </div>
+
+                            <div style={styles.actions}>
+                                <button onClick={() => navigate(`/interview/${session.id}?view=transcript`)} style={{ ...styles.buttonBase, ...styles.buttonSecondary }}>View Transcript</button>
+                                {session.report && (
+                                    <button onClick={() => setReportSessionId(session.id)} style={{ ...styles.buttonBase, ...styles.buttonSecondary }}>View Report</button>
+                                )}
+                                <button
+                                    onClick={() => handleRegenerateReport(session)}
+                                    disabled={!hasLog || reportLoadingId !== null}
+                                    style={{ ...styles.buttonBase, ...(!hasLog || reportLoadingId !== null ? styles.buttonDisabled : styles.buttonSecondary) }}
+                                    title={hasLog ? 'Generate the analysis report again' : 'No evaluated answers to report on'}
+                                >
+                                    {reportLoadingId === session.id ? 'Generating...' : 'Regenerate Report'}
+                                </button>
+                                <button
+                                    onClick={() => handleRetake(session)}
+                                    disabled={!session.interviewPlan}
+                                    style={{ ...styles.buttonBase, ...(session.interviewPlan ? styles.buttonPrimary : styles.buttonDisabled) }}
+                                    title="Start a new interview with the same plan"
+                                >
+                                    Retake
+                                </button>
+                                {session.interviewPlan && (
+                                    <button onClick={() => handleSaveTemplate(session)} style={{ ...styles.buttonBase, ...styles.buttonSecondary }} title="Reuse this plan for new interviews">Save Plan as Template</button>
+                                )}
+                                <button onClick={() => downloadTextFile(sessionToJson(session), sessionFileName(session, 'json'), 'application/json')} style={{ ...styles.buttonBase, ...styles.buttonSecondary }}>Export JSON</button>
+                                <button onClick={() => downloadTextFile(sessionToMarkdown(session), sessionFileName(session, 'md'), 'text/markdown')} style={{ ...styles.buttonBase, ...styles.buttonSecondary }}>Export Markdown</button>
+                                <button onClick={() => handleDelete(session)} style={{ ...styles.buttonBase, ...styles.buttonDanger }}>Delete</button>
+                            </div>
+                        </div>
+                    );
+                })}
+            </div>
+
+            {reportSession?.report && (
+                <ReportView report={reportSession.report} onClose={() => setReportSessionId(null)} />
+            )}
+        </div>
+    );
+}
+
+// --- Styling ---
+const styles = {
+    appContainer: {
+        minHeight: '100vh', width: '100%', backgroundColor: '#000', color: '#fff',
+        display: 'flex', flexDirection: 'column', alignItems: 'center',
+        padding: '20px', boxSizing: 'border-box',
+        fontFamily: "'Roboto', 'Segoe UI', 'Helvetica Neue', sans-serif",
+    },
+    header: {
+        width: '100%', maxWidth: '900px', display: 'flex', justifyContent: 'space-between',
+        alignItems: 'center', marginBottom: '20px', flexWrap: 'wrap', gap: '10px'
+    },
+    headerActions: {
+        display: 'flex', gap: '10px'
+    },
+    card: {
+        width: '100%', maxWidth: '900px', display: 'flex', flexDirection: 'column', gap: '15px'
+    },
+    sessionCard: {
+        backgroundColor: 'rgba(34, 34, 34, 0.9)', border: '1px solid #333', borderRadius: '8px', padding: '15px'
+    },
+    sessionHeader: {
+        display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start', gap: '10px'
+    },
+    sessionTitle: {
+        margin: 0, fontSize: '1.1em'
+    },
+    statusBadge: {
+        fontSize: '0.8em', color: '#aaa', backgroundColor: '#333', padding: '3px 8px', borderRadius: '12px', whiteSpace: 'nowrap'
+    },
+    sessionMeta: {
+        display: 'flex', gap: '15px', flexWrap: 'wrap', fontSize: '0.85em', color: '#ccc', marginTop: '10px'
+    },
+    sessionTopics: {
+        fontSize: '0.85em', color: '#ccc', marginTop: '8px'
+    },
+    metricsRow: {
+        display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(180px, 1fr))', gap: '8px', marginTop: '10px'
+    },
+    metric: {
+        display: 'flex', alignItems: 'center', gap: '6px', fontSize: '0.8em'
+    },
+    metricLabel: {
+        width: '85px', color: '#aaa', textTransform: 'capitalize'
+    },
+    metricBarTrack: {
+        flexGrow: 1, height: '6px', backgroundColor: '#444', borderRadius: '3px', overflow: 'hidden'
+    },
+    metricBarFill: {
+        height: '100%', backgroundColor: '#28a745'
+    },
+    metricValue: {
+        width: '32px', textAlign: 'right', color: '#eee'
+    },
+    actions: {
+        display: 'flex', gap: '8px', flexWrap: 'wrap', marginTop: '12px', justifyContent: 'flex-end'
+    },
+    mutedText: {
+        color: '#aaa', fontSize: '0.9em'
+    },
+    errorText: {
+        color: '#ff6b6b'
+    },
+    buttonBase: {
+        padding: '8px 12px', cursor: 'pointer', borderRadius: '10px', border: 'none',
+        fontSize: '0.85em', fontWeight: '500', color: '#fff'
+    },
+    buttonPrimary: {
+        backgroundColor: '#007bff'
+    },
+    buttonSecondary: {
+        backgroundColor: '#6c757d'
+    },
+    buttonDanger: {
+        backgroundColor: '#dc3545'
+    },
+    buttonDisabled: {
+        backgroundColor: '#555', color: '#aaa', cursor: 'not-allowed', opacity: 0.7
+    },
+};
+
+export default HistoryPage;
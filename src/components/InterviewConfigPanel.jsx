@@ -0,0 +1,216 @@
+import React from 'react';
+import { DIFFICULTY_LEVELS, DIFFICULTY_LABELS, INTERVIEW_MODES, INTERVIEW_MODE_LABELS, INTERVIEW_CONFIG_LIMITS, normalizeInterviewConfig, totalQuestionCount, codingQuestionCount } from '../services/interviewConfig';
+import { isAudioRecordingAvailable } from '../services/interviewAudio';
+
+// --- Pre-interview Configuration ---
+const InterviewConfigPanel = ({ jobDetails, config, onChange, onStart, onCancel, disabled, templates = [], selectedTemplateId, onSelectTemplate, banks = [], resume, onRemoveResume }) => {
+    const updateField = (field, value) => onChange({ ...config, [field]: value });
+    // Inputs hold raw text while typing; the summary uses the clamped values.
+    const effectiveConfig = normalizeInterviewConfig(config);
+    const questionCount = totalQuestionCount(effectiveConfig);
+    const codingCount = codingQuestionCount(effectiveConfig);
+    const selectedTemplate = templates.find(template => template.id === selectedTemplateId);
+    const selectedBank = banks.find(bank => bank.id === config.questionBankId);
+
+    return (
+        <div style={styles.panel}>
+            <h2 style={styles.title}>Configure Interview</h2>
+            {jobDetails?.job_title && (
+                <p style={styles.subtitle}>{jobDetails.job_title}{jobDetails.company && jobDetails.company !== 'N/A' ? ` @ ${jobDetails.company}` : ''}</p>
+            )}
+
+            {resume && (
+                <div style={styles.resumeRow}>
+                    <span>
+                        Resume: <strong>{resume.fileName}</strong>{resume.truncated ? ' (truncated)' : ''}. Questions will target gaps and projects from it.
+                    </span>
+                    <button onClick={onRemoveResume} style={styles.linkButton}>Remove</button>
+                </div>
+            )}
+
+            <div style={styles.grid}>
+                <label style={styles.label} htmlFor="config-source">Start from</label>
+                <select
+                    id="config-source" style={styles.input}
+                    value={selectedTemplateId || ''}
+                    onChange={(e) => onSelectTemplate(e.target.value || null)}
+                >
+                    <option value="">Generate a new plan</option>
+                    {templates.map(template => <option key={template.id} value={template.id}>Template: {template.name}</option>)}
+                </select>
+
+                <label style={styles.label} htmlFor="config-mode">Interview mode</label>
+                <select
+                    id="config-mode" style={styles.input}
+                    value={config.mode}
+                    onChange={(e) => updateField('mode', e.target.value)}
+                >
+                    {INTERVIEW_MODES.map(mode => <option key={mode} value={mode}>{INTERVIEW_MODE_LABELS[mode]}</option>)}
+                </select>
+
+                <label style={styles.label} htmlFor="config-topics">{config.mode === 'behavioral' ? 'Competencies' : 'Topics'}</label>
+                <input
+                    id="config-topics" type="number" style={styles.input} disabled={!!selectedTemplate}
+                    min={INTERVIEW_CONFIG_LIMITS.topicCount.min} max={INTERVIEW_CONFIG_LIMITS.topicCount.max}
+                    value={config.topicCount}
+                    onChange={(e) => updateField('topicCount', e.target.value)}
+                />
+
+                <label style={styles.label} htmlFor="config-questions">Questions per topic</label>
+                <input
+                    id="config-questions" type="number" style={styles.input} disabled={!!selectedTemplate}
+                    min={INTERVIEW_CONFIG_LIMITS.questionsPerTopic.min} max={INTERVIEW_CONFIG_LIMITS.questionsPerTopic.max}
+                    value={config.questionsPerTopic}
+                    onChange={(e) => updateField('questionsPerTopic', e.target.value)}
+                />
+
+                <label style={styles.label} htmlFor="config-difficulty">Difficulty</label>
+                <select
+                    id="config-difficulty" style={styles.input}
+                    value={config.difficulty}
+                    onChange={(e) => updateField('difficulty', e.target.value)}
+                >
+                    {DIFFICULTY_LEVELS.map(level => <option key={level} value={level}>{DIFFICULTY_LABELS[level]}</option>)}
+                </select>
+
+                {config.mode === 'technical' && (
+                    <>
+                        <label style={styles.label} htmlFor="config-coding">Coding questions (hidden tests)</label>
+                        <input
+                            id="config-coding" type="number" style={styles.input} disabled={!!selectedTemplate}
+                            min={INTERVIEW_CONFIG_LIMITS.codingQuestions.min} max={Math.min(INTERVIEW_CONFIG_LIMITS.codingQuestions.max, questionCount)}
+                            value={config.codingQuestions}
+                            onChange={(e) => updateField('codingQuestions', e.target.value)}
+                        />
+                    </>
+                )}
+
+                <label style={styles.label} htmlFor="config-time">Time budget (minutes)</label>
+                <input
+                    id="config-time" type="number" step="5" style={styles.input}
+                    min={INTERVIEW_CONFIG_LIMITS.timeBudgetMinutes.min} max={INTERVIEW_CONFIG_LIMITS.timeBudgetMinutes.max}
+                    value={config.timeBudgetMinutes}
+                    onChange={(e) => updateField('timeBudgetMinutes', e.target.value)}
+                />
+
+                <label style={styles.label} htmlFor="config-bank">Question bank</label>
+                <select
+                    id="config-bank" style={styles.input} disabled={!!selectedTemplate}
+                    value={config.questionBankId || ''}
+                    onChange={(e) => updateField('questionBankId', e.target.value || null)}
+                >
+                    <option value="">None (generate all)</option>
+                    {banks.map(bank => <option key={bank.id} value={bank.id}>{bank.name} ({bank.questions.length})</option>)}
+                </select>
+
+                {selectedBank && (
+                    <>
+                        <label style={styles.label} htmlFor="config-bank-count">Bank questions per topic</label>
+                        <input
+                            id="config-bank-count" type="number" style={styles.input} disabled={!!selectedTemplate}
+                            min="0" max={effectiveConfig.questionsPerTopic}
+                            value={config.bankQuestionsPerTopic}
+                            onChange={(e) => updateField('bankQuestionsPerTopic', e.target.value)}
+                        />
+                    </>
+                )}
+            </div>
+
+            <label style={styles.checkboxLabel}>
+                <input
+                    type="checkbox"
+                    checked={!!config.reviewPlan}
+                    onChange={(e) => updateField('reviewPlan', e.target.checked)}
+                />
+                Review and edit the plan before the interview starts
+            </label>
+            <label style={styles.checkboxLabel}>
+                <input
+                    type="checkbox"
+                    checked={!!config.recordAudio}
+                    disabled={!isAudioRecordingAvailable()}
+                    onChange={(e) => updateField('recordAudio', e.target.checked)}
+                />
+                Record the interview audio (your microphone and the interviewer's voice) for playback with the transcript
+            </label>
+
+            {selectedTemplate ? (
+                <p style={styles.hint}>
+                    Uses the saved plan "{selectedTemplate.name}" ({selectedTemplate.interviewPlan.topics.length} topic(s)) without calling the Planner.
+                </p>
+            ) : (
+                <p style={styles.hint}>
+                    {questionCount} planned question(s), about {Math.max(1, Math.floor(effectiveConfig.timeBudgetMinutes / questionCount))} minute(s) each, split across topics by the weight of the job's competencies. The plan is rejected and re-requested if the Planner does not match these settings.
+                    {codingCount > 0 && ` ${codingCount} of them will be JavaScript coding problems, run in the browser against hidden tests.`}
+                    {selectedBank && effectiveConfig.bankQuestionsPerTopic > 0 && ` Up to ${effectiveConfig.bankQuestionsPerTopic} question(s) per topic come from "${selectedBank.name}" when a topic matches one of its skills, in place of its first generated questions (coding problems are kept); the rest are generated.`}
+                </p>
+            )}
+
+            <div style={styles.buttonRow}>
+                <button onClick={onCancel} style={{ ...styles.button, ...styles.buttonSecondary }}>Back</button>
+                <button
+                    onClick={onStart}
+                    disabled={disabled}
+                    style={{ ...styles.button, ...(disabled ? styles.buttonDisabled : styles.buttonPrimary) }}
+                >
+                    {selectedTemplate ? 'Use Template' : 'Generate Plan'}
+                </button>
+            </div>
+        </div>
+    );
+};
+
+// --- Styling ---
+const styles = {
+    panel: {
+        width: '100%', maxWidth: '480px', margin: '0 auto', textAlign: 'left',
+        backgroundColor: '#222', padding: '20px', borderRadius: '8px', border: '1px solid #444'
+    },
+    title: {
+        marginTop: 0, marginBottom: '4px'
+    },
+    subtitle: {
+        color: '#aaa', fontSize: '0.9em', marginTop: 0
+    },
+    resumeRow: {
+        display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '10px',
+        fontSize: '0.85em', color: '#ccc', backgroundColor: '#2a2a2a', padding: '8px 10px', borderRadius: '8px'
+    },
+    linkButton: {
+        background: 'none', border: 'none', color: '#ff6b6b', cursor: 'pointer', fontSize: '0.95em', padding: 0
+    },
+    grid: {
+        display: 'grid', gridTemplateColumns: '1fr 160px', gap: '10px', alignItems: 'center', marginTop: '15px'
+    },
+    label: {
+        fontSize: '0.9em', color: '#ccc'
+    },
+    input: {
+        padding: '8px', borderRadius: '10px', border: '1px solid #555',
+        backgroundColor: '#333', color: '#fff', fontSize: '0.95em'
+    },
+    checkboxLabel: {
+        fontSize: '0.9em', color: '#ccc', marginTop: '15px', display: 'flex', gap: '8px', alignItems: 'center'
+    },
+    hint: {
+        fontSize: '0.85em', color: '#aaa', fontStyle: 'italic', marginTop: '15px'
+    },
+    buttonRow: {
+        display: 'flex', justifyContent: 'flex-end', gap: '10px', marginTop: '20px'
+    },
+    button: {
+        padding: '8px 14px', cursor: 'pointer', borderRadius: '10px', border: 'none',
+        fontSize: '0.9em', fontWeight: '500', color: '#fff'
+    },
+    buttonPrimary: {
+        backgroundColor: '#007bff'
+    },
+    buttonSecondary: {
+        backgroundColor: '#6c757d'
+    },
+    buttonDisabled: {
+        backgroundColor: '#555', color: '#aaa', cursor: 'not-allowed'
+    },
+};
+
+export default InterviewConfigPanel;
@@ -1,26 +1,51 @@
 import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
-import { useLocation, useNavigate } from 'react-router-dom';
+import { useLocation, useNavigate, useParams, useSearchParams } from 'react-router-dom';
 import Editor from '@monaco-editor/react';
+import LlmSettingsPanel from './LlmSettingsPanel';
+import ReportView from './ReportView';
+import InterviewConfigPanel from './InterviewConfigPanel';
+import PlanReviewPanel from './PlanReviewPanel';
+import DiagramCanvas from './DiagramCanvas';
+import CodeBlock from './CodeBlock';
+import CodeReplay from './CodeReplay';
+import VoiceSettingsPanel from './VoiceSettingsPanel';
+import AudioReplay from './AudioReplay';
+import { callStructuredLlm, loadLlmSettings, saveLlmSettings, getActiveModelLabel, getRoleModelLabels, LLM_ROLES, LLM_PROVIDER_LABELS } from '../services/llm';
+import { ACTION_CODES, getActionCodeName } from '../services/actionCodes';
+import { extractPartialJsonStringField, createSentenceStreamer } from '../services/streamingText';
+import { createInterviewPlanSchema, INTERVIEWER_TURN_SCHEMA, MONITOR_OUTPUT_SCHEMA, BEHAVIORAL_MONITOR_OUTPUT_SCHEMA, SYSTEM_DESIGN_MONITOR_OUTPUT_SCHEMA, DESIGN_RUBRIC_PARTS } from '../services/schemas';
+import { toEditablePlan, fromEditablePlan, regeneratePlanParts } from '../services/planEditing';
+import { loadInterviewConfig, saveInterviewConfig, normalizeInterviewConfig, DIFFICULTY_LABELS, totalQuestionCount, codingQuestionCount } from '../services/interviewConfig';
+import { isAbortError } from '../services/requestControl';
+import { createSessionId, getSession, saveSession, updateSession, appendSessionAudioChunk } from '../services/sessionStore';
+import { createAnalysisReport } from '../services/report';
+import { sessionToJson, sessionToMarkdown, sessionFileName } from '../services/sessionTransfer';
+import { downloadTextFile } from '../services/download';
+import { listPlanTemplates, savePlanTemplate } from '../services/planTemplates';
+import { listQuestionBanks, getQuestionBank, listBankSkills, composePlanFromBank } from '../services/questionBanks';
+import { extractCompetencies, allocateCompetencies, describeCompetency } from '../services/competencies';
+import { extractCandidateProfile, describeCandidateProfile } from '../services/resume';
+import { enforceStarCoverage, STAR_COVERAGE_THRESHOLD, STAR_LABELS } from '../services/behavioral';
+import { resolveCodingChallenges, findCodingChallenge, runCodingTests, summarizeTestRun, formatTestRunForMonitor, TEST_TIME_LIMIT_MS } from '../services/coding';
+import { CODE_LANGUAGES, loadCodeLanguage, saveCodeLanguage, getCodeLanguageLabel } from '../services/codeLanguages';
+import { createCodeTimeline, recordCodeSnapshot, describeCodeTimeline, formatTimelineOffset, timelineDuration } from '../services/codeTimeline';
+import { loadSttSettings, saveSttSettings, resolveSttProvider, startSpeechRecognition } from '../services/speechToText';
+import { loadTtsSettings, saveTtsSettings, connectTtsProvider, synthesizeSpeech, releaseSpeechClip, playSpeechUtterance, cancelBrowserSpeech, TTS_PROVIDERS, TTS_PROVIDER_LABELS } from '../services/textToSpeech';
+import { createVoiceActivityDetector, createSpeechTimer } from '../services/voiceActivity';
+import { computeDeliveryMetrics, formatDelivery } from '../services/deliveryMetrics';
+import { createInterviewRecorder, isAudioRecordingAvailable } from '../services/interviewAudio';
+import { serializeDiagram, isDiagramEmpty, EMPTY_DIAGRAM, DESIGN_RUBRIC_LABELS, DESIGN_RUBRIC_DESCRIPTIONS, DESIGN_RUBRIC_THRESHOLD } from '../services/systemDesign';
 
 // --- Constants ---
-const OLLAMA_ENDPOINT = 'http://localhost:11434/api/generate';
-const OLLAMA_MODEL = 'llama3.1';
-const TTS_ENDPOINT = 'http://localhost:5000';
-
-const ACTION_CODES = {
-    REPEAT_QUESTION: 1,
-    CLARIFY_QUESTION: 2,
-    NEXT_QUESTION: 3,
-    NEXT_TOPIC: 4,
-    END_INTERVIEW: 5
-};
-const getActionCodeName = (code) => Object.keys(ACTION_CODES).find(key => ACTION_CODES[key] === code) || `Unknown (${code})`;
 
 const MAX_ATTEMPTS_PLANNED = 3;
 const MAX_FOLLOW_UP_STREAK = 3;
-
-const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-const recognitionAvailable = !!SpeechRecognition;
+const SESSION_SAVE_DEBOUNCE_MS = 300;
+// Hands-free mode waits this long after the interviewer stops speaking
+// before it starts listening.
+const AUTO_LISTEN_DELAY_MS = 500;
+// Audio recording keeps running this long after the closing statement.
+const CLOSING_AUDIO_GRACE_MS = 1500;
 
 // --- DotAudioVisualizer Component ---
 const DotAudioVisualizer = ({ mode, audioSource }) => {
@@ -284,114 +309,66 @@ const DotAudioVisualizer = ({ mode, audioSource }) => {
 };
 
 // --- Helper Functions ---
-const parseLlmJson = (llmContent, expectedKeys = []) => {
-    if (!llmContent || typeof llmContent !== 'string') {
-        console.error("LLM response is empty or not a string:", llmContent);
-        throw new Error("LLM response is missing or invalid.");
-    }
-    const trimmedContent = llmContent.trim();
-    let jsonString;
-    const jsonMatch = trimmedContent.match(/```json\s*([\s\S]*?)\s*```/);
-    if (jsonMatch && jsonMatch[1]) {
-        jsonString = jsonMatch[1].trim();
-    } else {
-        jsonString = trimmedContent;
-        const firstBrace = jsonString.indexOf('{');
-        const lastBrace = jsonString.lastIndexOf('}');
-        if (firstBrace !== -1 && lastBrace !== -1 && lastBrace > firstBrace) {
-            jsonString = jsonString.substring(firstBrace, lastBrace + 1);
-        } else {
-            console.warn("Could not reliably extract JSON markers or delimiters from response:", trimmedContent);
-            if (expectedKeys.includes("type") && expectedKeys.includes("text")) {
-                console.warn("Assuming plain text response for potential closing statement.");
-                return { type: "planned", text: trimmedContent };
-            } else {
-                throw new Error("Could not find JSON object delimiters {} in the response.");
-            }
-        }
-    }
-    try {
-        const parsedJson = JSON.parse(jsonString);
-        if (expectedKeys.length > 0) {
-            const missingKeys = expectedKeys.filter(key => !(key in parsedJson));
-            if (missingKeys.length > 0) {
-                console.warn(`LLM JSON response might be missing keys: ${missingKeys.join(", ")}. Expected: ${expectedKeys.join(", ")}`);
-                if (missingKeys.length === expectedKeys.length && !(expectedKeys.includes("type") && expectedKeys.includes("text") && typeof parsedJson === 'string')) {
-                    throw new Error(`LLM JSON response is missing critical keys: ${missingKeys.join(", ")}`);
-                }
-            }
-        }
-        if (expectedKeys.includes("type") && expectedKeys.includes("text")) {
-            if (typeof parsedJson.type !== 'string' || typeof parsedJson.text !== 'string') {
-                if (typeof parsedJson !== 'object') {
-                    console.warn("Interviewer LLM response seems to be plain text, assuming closing statement.");
-                    return { type: "planned", text: String(parsedJson) };
-                } else if (!parsedJson.type && !parsedJson.text) {
-                    console.warn("Interviewer LLM returned empty JSON object. Treating as invalid.");
-                    throw new Error("Interviewer LLM returned an empty JSON object.");
-                } else {
-                    console.warn("Interviewer LLM JSON response structure seems incorrect for type/text.", parsedJson);
-                    if (parsedJson.text && typeof parsedJson.text === 'string') {
-                        return { type: "planned", text: parsedJson.text };
-                    }
-                    throw new Error("Interviewer LLM JSON response has incorrect structure for type/text fields.");
-                }
-            }
-        }
-        return parsedJson;
-    } catch (error) {
-        console.error("Failed to parse LLM JSON response:", error);
-        console.error("Original String attempting to parse:", jsonString);
-        if (expectedKeys.includes("type") && expectedKeys.includes("text") && typeof jsonString === 'string' && jsonString.length > 5) {
-            console.warn("Parsing failed, returning raw text as potential closing statement.");
-            return { type: "planned", text: jsonString };
-        }
-        throw new Error(`Failed to parse JSON from LLM: ${error.message}`);
-    }
+// Records when the latest interviewer message started playing, so recorded
+// audio can be synced to it.
+const markInterviewerSpokenAt = (conversation, spokenAt) => {
+    const index = conversation.map(msg => msg.role).lastIndexOf('interviewer');
+    if (index < 0 || conversation[index].spokenAt) return conversation;
+    return conversation.map((msg, i) => (i === index ? { ...msg, spokenAt } : msg));
 };
 
-const callOllamaApi = async (prompt, model = OLLAMA_MODEL, endpoint = OLLAMA_ENDPOINT) => {
-    console.log(`Calling Ollama (${model})`);
-    try {
-        const response = await fetch(endpoint, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                model: model,
-                prompt: prompt,
-                stream: false,
-                format: 'json'
-            }),
-        });
-        if (!response.ok) {
-            const errorBody = await response.text();
-            console.error("Ollama API Error Response:", errorBody);
-            throw new Error(`Ollama API request failed: ${response.status} ${response.statusText}. ${errorBody}`);
-        }
-        const data = await response.json();
-        if (!data || typeof data.response !== 'string') {
-            console.error("Invalid response structure from Ollama (expected data.response as string):", data);
-            throw new Error("Invalid or unexpected response structure from Ollama API.");
-        }
-        console.log("Ollama Raw Response Content received.");
-        return data.response;
-    } catch (error) {
-        console.error("Error calling Ollama API:", error);
-        throw new Error(`Network or API error calling Ollama: ${error.message}`);
+// Replaces the in-flight streamed message if there is one, otherwise appends.
+const upsertStreamingMessage = (conversation, message) => {
+    if (conversation.length > 0 && conversation[conversation.length - 1].isStreaming) {
+        return [...conversation.slice(0, -1), message];
     }
+    return [...conversation, message];
 };
 
-const callPlannerLlm = async (jobDescription) => {
-    const prompt = `Analyze Job Description: """ ${jobDescription} """ Instructions: 1. Identify 2 critical skill areas relevant to the job. 2. For each topic, devise 3 interview questions progressing in difficulty or depth. 3. Output ONLY the following JSON structure: \`\`\`json { "topics": [ { "name": "Topic1 Name", "questions": ["Question 1.1", "Question 1.2", "Question 1.3"] }, { "name": "Topic2 Name", "questions": ["Question 2.1", "Question 2.2", "Question 2.3"] } ] } \`\`\` Ensure the output contains nothing but this JSON object.`;
-    const llmResponse = await callOllamaApi(prompt);
-    return parseLlmJson(llmResponse, ["topics"]);
+// allocation (from allocateCompetencies) fixes each topic's competency and
+// question count; without it the Planner picks topics freely.
+// candidateProfile (from the resume) steers questions towards gaps and projects.
+const callPlannerLlm = async (jobDescription, interviewConfig, llmSettings, signal, { bankSkills = [], allocation = null, candidateProfile = null } = {}) => {
+    const { mode, topicCount, questionsPerTopic, difficulty, timeBudgetMinutes } = interviewConfig;
+    const isBehavioral = mode === 'behavioral';
+    const questionStyle = {
+        behavioral: ' Every question must be a competency-based behavioral prompt that asks for one specific past situation (e.g. "Tell me about a time when..."), so the answer can be given in STAR form (Situation, Task, Action, Result).',
+        'system-design': ' This is a system design interview: the first question of each topic must be an open-ended design problem relevant to the role (e.g. "Design a URL shortener that handles 10k requests per second"), and later questions must dig into scaling, data storage, failure handling or trade-offs of that design. The candidate answers with a whiteboard diagram plus explanation, so do not ask for code.'
+    }[mode] || '';
+    const questionCounts = allocation ? allocation.topics.map(topic => topic.questionCount) : null;
+    const exampleTopics = Array.from({ length: topicCount }, (_, t) => (
+        `{ "name": "Topic${t + 1} Name", "questions": [${Array.from({ length: questionCounts?.[t] ?? questionsPerTopic }, (_, q) => `"Question ${t + 1}.${q + 1}"`).join(', ')}] }`
+    )).join(', ');
+    const skillHint = bankSkills.length > 0
+        ? ` Where one of these skills is relevant to the job, use its exact name as the topic name: ${bankSkills.join(', ')}.`
+        : '';
+    const topicInstructions = allocation
+        ? `1. Use exactly ${topicCount} topic(s), in this order, each assessing the given competency (weights are relative importance to the role): ${allocation.topics.map((topic, t) => `Topic ${t + 1}: ${topic.competency ? describeCompetency(topic.competency) : 'another critical skill area of your choice'}, ${topic.questionCount} question(s)`).join('; ')}.${allocation.secondary.length > 0 ? ` Where it fits naturally, also touch on these lower-weight competencies: ${allocation.secondary.map(describeCompetency).join(', ')}.` : ''}${skillHint} 2. For each topic, devise exactly the number of interview questions listed for it, progressing in difficulty or depth, pitched at a ${DIFFICULTY_LABELS[difficulty]} (${difficulty}) candidate.${questionStyle}`
+        : `1. Identify exactly ${topicCount} ${isBehavioral ? 'behavioral competencies (such as leadership, conflict resolution or ownership)' : (mode === 'system-design' ? 'system design areas (such as a core system of the role to design, data storage or reliability)' : 'critical skill area(s)')} relevant to the job.${skillHint} 2. For each topic, devise exactly ${questionsPerTopic} interview question(s) progressing in difficulty or depth, pitched at a ${DIFFICULTY_LABELS[difficulty]} (${difficulty}) candidate.${questionStyle}`;
+    const candidateContext = candidateProfile
+        ? ` Candidate profile from their resume: """ ${describeCandidateProfile(candidateProfile)} """ Gaps between the resume and the job: ${candidateProfile.gaps.length > 0 ? candidateProfile.gaps.join(', ') : 'none identified'}. Make sure the questions probe these gaps, and ask about at least one specific project from the resume by name.`
+        : '';
+    const codingQuestions = codingQuestionCount(interviewConfig);
+    const codingInstructions = codingQuestions > 0
+        ? ` 4. Make exactly ${codingQuestions} of the questions small JavaScript coding problems that fit their topic and can be solved in a few minutes. The question text is the full problem statement and must name the function to write and its parameters. For each one, add an entry to "codingChallenges" with its "topicIndex" and "questionIndex" (0-based), the "functionName", a "starterCode" stub declaring that function, and 3 to 10 hidden "tests", each with the "args" array passed to the function and the exact JSON "expected" return value. Cover edge cases in the tests and double-check every expected value.`
+        : '';
+    const exampleChallenges = codingQuestions > 0
+        ? `, "codingChallenges": [ { "topicIndex": 0, "questionIndex": 1, "functionName": "sumEven", "starterCode": "function sumEven(numbers) {\\n}\\n", "tests": [ { "args": [[1, 2, 3, 4]], "expected": 6 } ] } ]`
+        : '';
+    const prompt = `Analyze Job Description: """ ${jobDescription} """${candidateContext} Instructions: ${topicInstructions} 3. The whole interview, including follow-ups, must fit in ${timeBudgetMinutes} minutes (about ${Math.max(1, Math.floor(timeBudgetMinutes / totalQuestionCount(interviewConfig)))} minute(s) per question); scope the questions accordingly and report your estimate in "estimatedMinutes" (at most ${timeBudgetMinutes}).${codingInstructions} ${codingQuestions > 0 ? 5 : 4}. Output ONLY the following JSON structure: \`\`\`json { "topics": [ ${exampleTopics} ], "estimatedMinutes": ${timeBudgetMinutes}${exampleChallenges} } \`\`\` Ensure the output contains nothing but this JSON object.`;
+    const plan = await callStructuredLlm(prompt, {
+        schema: createInterviewPlanSchema({ ...interviewConfig, questionCounts, codingQuestions }), settings: llmSettings, role: LLM_ROLES.PLANNER,
+        mockContext: { ...interviewConfig, questionCounts, codingQuestions }, signal
+    });
+    return resolveCodingChallenges(plan);
 };
 
 const callInterviewerLlm = async (
     topicName, questionText, actionCode, previousInterviewerMessage,
-    candidateAnswer, discussionPoint
+    candidateAnswer, discussionPoint, llmSettings, onTextProgress, signal, candidateProfile = null
 ) => {
     let promptContext = `You are an AI Interviewer. Your persona is professional, engaging, and conversational. Focus on the current interview topic.\nCurrent topic: "${topicName}".\n`;
+    if (candidateProfile) promptContext += `Candidate background from their resume:\n${describeCandidateProfile(candidateProfile)}\nYou may refer to this stated experience or these projects to make a question more personal, but never invent details that are not listed.\n`;
     if (previousInterviewerMessage) promptContext += `You previously said: "${previousInterviewerMessage}"\n`;
     if (candidateAnswer) promptContext += `Candidate responded: "${candidateAnswer}"\n`;
     if (discussionPoint) promptContext += `A Monitor suggested focusing on: "${discussionPoint}"\n`;
@@ -434,24 +411,40 @@ Instructions:
 5. Output ONLY JSON in the specified format: \`\`\`json { "type": "<'planned' or 'follow-up'>", "text": "<Your single sentence/question or closing statement>" } \`\`\`
 Ensure the entire output contains absolutely nothing but the JSON object.`;
 
-    const llmResponseString = await callOllamaApi(prompt);
-    const parsedResponse = parseLlmJson(llmResponseString, ["type", "text"]);
+    let lastStreamedText = null;
+    const parsedResponse = await callStructuredLlm(prompt, {
+        schema: INTERVIEWER_TURN_SCHEMA, settings: llmSettings, role: LLM_ROLES.INTERVIEWER, signal,
+        mockContext: { topicName, questionText, actionCode },
+        onToken: onTextProgress && llmSettings.streamInterviewer ? (partialJson) => {
+            const partialText = extractPartialJsonStringField(partialJson, 'text');
+            if (partialText && partialText !== lastStreamedText) {
+                lastStreamedText = partialText;
+                onTextProgress(partialText);
+            }
+        } : undefined
+    });
 
     if (actionCode === ACTION_CODES.END_INTERVIEW) {
         parsedResponse.type = 'planned';
-    } else if (parsedResponse.type !== 'planned' && parsedResponse.type !== 'follow-up') {
-        console.warn(`Interviewer LLM returned unexpected type: "${parsedResponse.type}". Defaulting to 'planned'. Original text: "${parsedResponse.text}"`);
-        parsedResponse.type = 'planned';
-    }
-    if (typeof parsedResponse.text !== 'string') {
-        console.warn(`Interviewer LLM response text is not a string:`, parsedResponse.text, `Falling back to empty string.`);
-        parsedResponse.text = "";
     }
 
     return parsedResponse;
 };
 
-const callMonitorLlm = async (topicIndex, questionIndex, questionText, answer, history, isFollowUp = false) => {
+const MONITOR_SCHEMAS_BY_MODE = {
+    technical: MONITOR_OUTPUT_SCHEMA,
+    behavioral: BEHAVIORAL_MONITOR_OUTPUT_SCHEMA,
+    'system-design': SYSTEM_DESIGN_MONITOR_OUTPUT_SCHEMA
+};
+
+// testReport: hidden test results for coding questions (see coding.js), or null.
+// codeLanguage: editor language of the attached code snippet, or null.
+// approach: how the code evolved while it was written (see codeTimeline.js), or null.
+const callMonitorLlm = async (topicIndex, questionIndex, questionText, answer, history, isFollowUp = false, llmSettings, signal, mode = 'technical', { testReport = null, codeLanguage = null, approach = null } = {}) => {
+    const isBehavioral = mode === 'behavioral';
+    const isSystemDesign = mode === 'system-design';
+    // Optional instructions after the behavioral/design one are numbered from here.
+    const modeInstructionCount = isBehavioral || isSystemDesign ? 1 : 0;
     const historyString = history.map((h, i) => `Attempt ${i+1}: Interviewer: ${h.question}\nCandidate: ${h.answer}`).join('\n\n');
     const followUpContext = isFollowUp ? "This was an answer to a spontaneous follow-up question." : "This was an answer to a planned question.";
 
@@ -461,8 +454,8 @@ Context:
 - Current Topic Index: ${topicIndex}
 - Current Question Index (within topic): ${questionIndex}
 - Question Asked: "${questionText}" ${isFollowUp ? "(This was a follow-up question)" : ""}
-- Candidate's Answer: "${answer}"
-- History for this question (if any):\n${historyString || "This was the first attempt for this question."}\n
+- Candidate's Answer: "${answer}"${codeLanguage ? `\n- The answer includes a code snippet written in ${getCodeLanguageLabel(codeLanguage)}. Judge its correctness, syntax and idioms as ${getCodeLanguageLabel(codeLanguage)} code; do not penalize it for not being in another language.` : ''}
+- History for this question (if any):\n${historyString || "This was the first attempt for this question."}\n${testReport ? `- Hidden test results for the submitted code (the candidate only saw the pass count and runtimes):\n${testReport}\n` : ''}${approach ? `- How the code was written (from timed editor snapshots):\n${approach}\n` : ''}
 
 Task: Evaluate the candidate's answer based ONLY on the provided information.
 1. Assess the answer on four metrics (scale 0.0 to 1.0):
@@ -478,7 +471,11 @@ Task: Evaluate the candidate's answer based ONLY on the provided information.
     - ${ACTION_CODES.END_INTERVIEW}: **Use EXTREMELY sparingly.** ONLY use if the candidate is completely unresponsive after multiple attempts, provides nonsensical answers across multiple questions unrelated to the topic, or explicitly asks to end the interview. Do NOT use just because one answer is weak or slightly off-topic.
 3. Provide a concise 'reason' (1-2 sentences) explaining your action code choice.
 4. Optionally, provide a brief 'discussion_point' (max 10 words, string or null) suggesting a specific aspect the Interviewer LLM could focus on (e.g., "focus on technical details", "ask for specific example"). Set to null if no specific guidance is needed.
-
+${isBehavioral ? `5. This is a behavioral interview. Also score how well the answer (together with earlier attempts) covers each STAR part, 0.0 to 1.0: "situation" (the context), "task" (the candidate's goal or responsibility), "action" (what the candidate personally did) and "result" (the outcome, ideally measurable). If any part is missing or vague (below ${STAR_COVERAGE_THRESHOLD}), choose ${ACTION_CODES.CLARIFY_QUESTION} (CLARIFY_QUESTION) and name the missing parts in 'discussion_point'.
+` : ''}${isSystemDesign ? `5. This is a system design interview. The answer may include the candidate's whiteboard diagram as a text description (components, connections and notes); treat it as part of the answer and judge the design as a whole, including earlier attempts. Score the design rubric, 0.0 to 1.0: ${DESIGN_RUBRIC_PARTS.map(part => `"${part}" (${DESIGN_RUBRIC_DESCRIPTIONS[part]})`).join(', ')}. If a rubric part the question calls for is weak (below ${DESIGN_RUBRIC_THRESHOLD}), prefer ${ACTION_CODES.CLARIFY_QUESTION} (CLARIFY_QUESTION) and name it in 'discussion_point'.
+` : ''}${testReport ? `${5 + modeInstructionCount}. This is a coding question. Base "accuracy" mainly on the share of hidden tests passed and "completeness" on edge cases handled; use the failing inputs to judge what the bug is, and mention it in 'reason'. Timeouts suggest an inefficient or non-terminating solution.
+` : ''}${approach ? `${5 + modeInstructionCount + (testReport ? 1 : 0)}. Using the editor snapshots, describe the candidate's coding approach in 'approach' (1-2 sentences, e.g. "sketched a brute-force loop, then refactored to a hash map"). Do not penalize pauses or rewrites on their own; judge the final code.
+` : ''}
 Output Format: Respond ONLY with a valid JSON object adhering to this structure:
 \`\`\`json
 {
@@ -492,22 +489,43 @@ Output Format: Respond ONLY with a valid JSON object adhering to this structure:
   },
   "actionCode": <integer_1_to_5>,
   "reason": "<string_explanation>",
-  "discussion_point": "<string_max_10_words_or_null>"
+  "discussion_point": "<string_max_10_words_or_null>"${approach ? `,
+  "approach": "<string_1_to_2_sentences>"` : ''}${isBehavioral ? `,
+  "star": { "situation": <float>, "task": <float>, "action": <float>, "result": <float> }` : ''}${isSystemDesign ? `,
+  "design": { "scalability": <float>, "tradeoffs": <float>, "components": <float> }` : ''}
 }
 \`\`\`
 Ensure the entire output contains absolutely nothing but this JSON object.`;
 
-    const llmResponse = await callOllamaApi(prompt);
-    return parseLlmJson(llmResponse, ["topicIndex", "questionIndex", "metrics", "actionCode", "reason", "discussion_point"]);
+    return callStructuredLlm(prompt, {
+        schema: MONITOR_SCHEMAS_BY_MODE[mode] || MONITOR_OUTPUT_SCHEMA, settings: llmSettings, role: LLM_ROLES.MONITOR, signal,
+        mockContext: { topicIndex, questionIndex, answer, mode, approach }
+    });
 };
 
 // --- Main Component ---
 function InterviewPage() {
     const location = useLocation();
     const navigate = useNavigate();
-    const jobDetails = location.state?.jobDetails;
+    const { sessionId } = useParams();
+    const [searchParams] = useSearchParams();
+    // Past sessions opened from the history page are shown as a transcript only.
+    const isReadOnly = searchParams.get('view') === 'transcript';
+
+    const [jobDetails, setJobDetails] = useState(location.state?.jobDetails || null);
+    const [isSessionReady, setIsSessionReady] = useState(false);
 
+    const [interviewConfig, setInterviewConfig] = useState(loadInterviewConfig);
     const [interviewPlan, setInterviewPlan] = useState(null);
+    const [competencyModel, setCompetencyModel] = useState(null);
+    const [resume, setResume] = useState(location.state?.resume || null);
+    const [candidateProfile, setCandidateProfile] = useState(null);
+    const [planDraft, setPlanDraft] = useState(null);
+    const [isPlanRegenerating, setIsPlanRegenerating] = useState(false);
+    const [planReviewError, setPlanReviewError] = useState('');
+    const [planTemplates, setPlanTemplates] = useState([]);
+    const [questionBanks, setQuestionBanks] = useState([]);
+    const [selectedTemplateId, setSelectedTemplateId] = useState(null);
     const [currentTopicIndex, setCurrentTopicIndex] = useState(0);
     const [currentQuestionIndex, setCurrentQuestionIndex] = useState(0);
     const [currentQuestionAttempts, setCurrentQuestionAttempts] = useState(0);
@@ -528,21 +546,48 @@ function InterviewPage() {
 
     const [isEditorOpen, setIsEditorOpen] = useState(false);
     const [codeContent, setCodeContent] = useState('');
-
+    const [codeLanguage, setCodeLanguage] = useState(loadCodeLanguage);
+    // System design whiteboard. It stays on screen across answers and is only
+    // attached again when it changed since the last submitted version.
+    const [diagram, setDiagram] = useState(EMPTY_DIAGRAM);
+    const [isDiagramOpen, setIsDiagramOpen] = useState(true);
+    const [submittedDiagramText, setSubmittedDiagramText] = useState('');
+    // Latest hidden-test run of the editor code for the current coding question.
+    const [testRun, setTestRun] = useState(null);
+    const [isRunningTests, setIsRunningTests] = useState(false);
+
+    const [ttsSettings, setTtsSettings] = useState(loadTtsSettings);
+    // The text-to-speech provider in use (see textToSpeech.js), or null.
+    const [ttsProvider, setTtsProvider] = useState(null);
     const [voices, setVoices] = useState([]);
     const [selectedVoice, setSelectedVoice] = useState('');
     const [speed, setSpeed] = useState(1.0);
     const [isVoiceEnabled, setIsVoiceEnabled] = useState(true);
     const [isTTSPlaying, setIsTTSPlaying] = useState(false);
+    // Sentences still being synthesized for the current reply.
+    const [pendingTTSCount, setPendingTTSCount] = useState(0);
     const [currentTTSAudio, setCurrentTTSAudio] = useState(null);
 
     const [micStream, setMicStream] = useState(null);
+    // Interview audio recording (see interviewAudio.js): whether it is running,
+    // the recorded segments stored with the session, and the replay position.
+    const [isCapturingAudio, setIsCapturingAudio] = useState(false);
+    const [audioSegments, setAudioSegments] = useState([]);
+    const [audioPlaybackTime, setAudioPlaybackTime] = useState(null);
+    const [audioSeek, setAudioSeek] = useState(null);
     const [currentMode, setCurrentMode] = useState('convo');
 
     const [isReportModalOpen, setIsReportModalOpen] = useState(false);
-    const [report, setReport] = useState('');
+    const [report, setReport] = useState(null);
     const [isReportLoading, setIsReportLoading] = useState(false);
 
+    const [llmSettings, setLlmSettings] = useState(loadLlmSettings);
+    const [isSettingsOpen, setIsSettingsOpen] = useState(false);
+    const [sttSettings, setSttSettings] = useState(loadSttSettings);
+    const [isVoiceSettingsOpen, setIsVoiceSettingsOpen] = useState(false);
+    const [replayMessage, setReplayMessage] = useState(null);
+    const [failedStep, setFailedStep] = useState(null);
+
     const recognitionInstance = useRef(null);
     const currentQuestionHistory = useRef([]);
     const lastInterviewerMessage = useRef(null);
@@ -551,6 +596,43 @@ function InterviewPage() {
     const chatContainerRef = useRef(null);
     const audioQueueRef = useRef([]);
     const isProcessingAudioRef = useRef(false);
+    const ttsChainRef = useRef(Promise.resolve());
+    // { provider, voices, defaultVoice } of the provider in use; read by
+    // queued sentences, which keep speaking through a failover.
+    const ttsConnectionRef = useRef(null);
+    const sessionAbortRef = useRef(new AbortController());
+    const sessionCreatedAtRef = useRef(null);
+    const sessionStartedAtRef = useRef(null);
+    const sessionEndedAtRef = useRef(null);
+    // The Interviewer/Monitor step currently in flight, persisted so a reload
+    // mid-step can offer to re-run it.
+    const pendingStepRef = useRef(null);
+    // Editor snapshots for the answer being written (see codeTimeline.js);
+    // started by the first edit and attached to the candidate message on submit.
+    const codeTimelineRef = useRef(null);
+    // Hands-free mode: bumped on barge-in so sentences of the interrupted
+    // reply are not spoken; the interviewer message already listened for; and
+    // whether the answer should be sent once recognition has stopped.
+    const speechTurnRef = useRef(0);
+    const autoListenedIndexRef = useRef(-1);
+    const autoSubmitPendingRef = useRef(false);
+    const interviewRecorderRef = useRef(null);
+    // When the candidate started speaking the answer being written, and the
+    // speech timing of its latest recording (for delivery metrics).
+    const answerSpokenAtRef = useRef(null);
+    const speechTimerRef = useRef(null);
+    // The landing page's navigation state and handleStartInterview, read by the
+    // session-load effect, which must only re-run when the session changes.
+    const locationStateRef = useRef(location.state);
+    const startInterviewRef = useRef(null);
+
+    // Cancels every in-flight LLM/TTS request when the user navigates away.
+    // Created inside the effect so StrictMode's remount gets a fresh controller.
+    useEffect(() => {
+        const controller = new AbortController();
+        sessionAbortRef.current = controller;
+        return () => controller.abort();
+    }, []);
 
     useEffect(() => {
         setTimeout(() => {
@@ -576,28 +658,29 @@ function InterviewPage() {
         }
     }, [interviewState, interviewPlan]);
 
+    const applyTtsConnection = useCallback((connection) => {
+        ttsConnectionRef.current = connection;
+        setTtsProvider(connection?.provider || null);
+        setVoices(connection?.voices || []);
+        setSelectedVoice(current => (connection && !connection.voices.includes(current) ? connection.defaultVoice : current));
+    }, []);
+
+    // Connects to the first working TTS provider whenever the settings change.
     useEffect(() => {
-        fetch(`${TTS_ENDPOINT}/voices`)
-            .then(res => {
-                if (!res.ok) { throw new Error(`HTTP error! status: ${res.status}`); }
-                return res.json();
-            })
-            .then(data => {
-                if (data?.voices && Array.isArray(data.voices) && data.voices.length > 0) {
-                    setVoices(data.voices);
-                    const defaultVoice = data.voices.find(v => v.includes("Jenny")) || data.voices[0];
-                    setSelectedVoice(defaultVoice);
-                } else {
-                    console.warn("No voices received from TTS backend or invalid format:", data);
-                    setVoices([]);
-                }
+        const controller = new AbortController();
+        connectTtsProvider(ttsSettings, { signal: controller.signal })
+            .then(connection => {
+                console.log(`Text-to-speech: ${connection.provider} (${connection.voices.length} voices).`);
+                applyTtsConnection(connection);
             })
             .catch(error => {
-                console.error('Error fetching TTS voices:', error);
-                setErrorMessage(`Could not fetch TTS voices: ${error.message}. Is the TTS server running at ${TTS_ENDPOINT}?`);
-                setVoices([]);
+                if (isAbortError(error)) return;
+                console.error('Error connecting to a TTS provider:', error);
+                setErrorMessage(`Text-to-speech is unavailable: ${error.message}`);
+                applyTtsConnection(null);
             });
-    }, []);
+        return () => controller.abort();
+    }, [ttsSettings, applyTtsConnection]);
 
     useEffect(() => {
         return () => {
@@ -608,50 +691,184 @@ function InterviewPage() {
             if (micStream) {
                 micStream.getTracks().forEach(track => track.stop());
             }
-            audioQueueRef.current.forEach(({ url }) => URL.revokeObjectURL(url));
+            speechTimerRef.current?.stop();
+            audioQueueRef.current.forEach(releaseSpeechClip);
             audioQueueRef.current = [];
             if (currentTTSAudio) {
                 currentTTSAudio.pause();
             }
+            cancelBrowserSpeech();
             isProcessingAudioRef.current = false;
             setIsTTSPlaying(false);
             console.log("Cleaned up STT, Mic, TTS on unmount.");
         };
     }, []);
 
+    // Declared before the session-load effect so it sees the current values.
     useEffect(() => {
-        if (jobDetails && jobDetails.description) {
-            handleStartInterview(jobDetails.description);
-        } else {
-            setErrorMessage('Job details are missing. Please start from the landing page.');
+        locationStateRef.current = location.state;
+        startInterviewRef.current = handleStartInterview;
+    });
+
+    // Loads the session named in the URL, or starts a new one from the job
+    // details passed by the landing page.
+    useEffect(() => {
+        if (!sessionId) {
+            navigate(`/interview/${createSessionId()}`, { replace: true, state: locationStateRef.current });
+            return;
         }
-    }, [jobDetails]);
+        let cancelled = false;
+        setIsSessionReady(false);
+        getSession(sessionId)
+            .catch(error => {
+                console.error("Could not load saved session:", error);
+                return null;
+            })
+            .then(savedSession => {
+                if (cancelled) return;
+                if (savedSession) {
+                    console.log(`Restoring session ${sessionId} (state: ${savedSession.interviewState}).`);
+                    sessionCreatedAtRef.current = savedSession.createdAt;
+                    sessionStartedAtRef.current = savedSession.startedAt || null;
+                    sessionEndedAtRef.current = savedSession.endedAt || null;
+                    setReport(savedSession.report || null);
+                    setAudioSegments(savedSession.audioSegments || []);
+                    setJobDetails(savedSession.jobDetails);
+                    if (savedSession.interviewConfig) setInterviewConfig(normalizeInterviewConfig(savedSession.interviewConfig));
+                    setInterviewPlan(savedSession.interviewPlan);
+                    setCompetencyModel(savedSession.competencyModel || null);
+                    setResume(savedSession.resume || null);
+                    setCandidateProfile(savedSession.candidateProfile || null);
+                    setDiagram(savedSession.diagram || EMPTY_DIAGRAM);
+                    setSubmittedDiagramText(savedSession.submittedDiagramText || '');
+                    setPlanDraft(savedSession.planDraft || (savedSession.interviewState === 'PLAN_REVIEW' ? toEditablePlan(savedSession.interviewPlan) : null));
+                    setConversation(savedSession.conversation || []);
+                    setInterviewLog(savedSession.interviewLog || []);
+                    setCurrentTopicIndex(savedSession.currentTopicIndex || 0);
+                    setCurrentQuestionIndex(savedSession.currentQuestionIndex || 0);
+                    setCurrentQuestionAttempts(savedSession.currentQuestionAttempts || 0);
+                    setIsFollowUpActive(!!savedSession.isFollowUpActive);
+                    setCurrentFollowUpQuestionText(savedSession.currentFollowUpQuestionText || null);
+                    setPausedState(savedSession.pausedState || null);
+                    setCurrentFollowUpStreak(savedSession.currentFollowUpStreak || 0);
+                    currentQuestionHistory.current = savedSession.currentQuestionHistory || [];
+                    lastInterviewerMessage.current = savedSession.lastInterviewerMessage || null;
+                    lastCandidateAnswer.current = savedSession.lastCandidateAnswer || null;
+                    lastDiscussionPoint.current = savedSession.lastDiscussionPoint || null;
+                    if (isReadOnly) {
+                        setCurrentMode('chat');
+                        setInterviewState('ENDED');
+                        setIsSessionReady(true);
+                        return;
+                    }
+                    const interruptedStep = savedSession.failedStep || savedSession.pendingStep || null;
+                    setFailedStep(interruptedStep);
+                    if (interruptedStep) {
+                        setErrorMessage(`The ${interruptedStep.type === 'monitor' ? 'Monitor' : 'Interviewer'} step was interrupted. Use "Retry last step" to continue.`);
+                    }
+                    setIsSessionReady(true);
+                    if (savedSession.interviewState === 'PLANNING') {
+                        startInterviewRef.current(savedSession.jobDetails, normalizeInterviewConfig(savedSession.interviewConfig), { resume: savedSession.resume });
+                    } else if (!savedSession.interviewPlan) {
+                        setInterviewState('SETUP');
+                    } else {
+                        setInterviewState(savedSession.interviewState);
+                    }
+                    return;
+                }
+                const newJobDetails = locationStateRef.current?.jobDetails;
+                if (newJobDetails?.description && !isReadOnly) {
+                    sessionCreatedAtRef.current = Date.now();
+                    setJobDetails(newJobDetails);
+                    setResume(locationStateRef.current?.resume || null);
+                    setIsSessionReady(true);
+                } else {
+                    setErrorMessage('Session not found and job details are missing. Please start from the landing page.');
+                }
+            });
+        return () => { cancelled = true; };
+    }, [sessionId, isReadOnly, navigate]);
+
+    // Records when the interview actually started and ended, for the history view.
+    useEffect(() => {
+        if (isReadOnly) return;
+        if (interviewState === 'IN_PROGRESS' && !sessionStartedAtRef.current) sessionStartedAtRef.current = Date.now();
+        if (interviewState === 'ENDED' && !sessionEndedAtRef.current) sessionEndedAtRef.current = Date.now();
+    }, [interviewState, isReadOnly]);
 
+    // Saved templates and question banks for the configuration screen.
+    useEffect(() => {
+        if (interviewState !== 'SETUP' || isReadOnly) return;
+        let cancelled = false;
+        Promise.all([listPlanTemplates(), listQuestionBanks()])
+            .then(([templates, banks]) => {
+                if (cancelled) return;
+                setPlanTemplates(templates);
+                setQuestionBanks(banks);
+            })
+            .catch(error => console.error("Failed to load templates and question banks:", error));
+        return () => { cancelled = true; };
+    }, [interviewState, isReadOnly]);
+
+    useEffect(() => {
+        if (!isSessionReady || !sessionId || isReadOnly) return;
+        const timer = setTimeout(() => {
+            saveSession({
+                id: sessionId,
+                createdAt: sessionCreatedAtRef.current || Date.now(),
+                startedAt: sessionStartedAtRef.current,
+                endedAt: sessionEndedAtRef.current,
+                jobDetails, resume, candidateProfile, interviewConfig, competencyModel, interviewState, interviewPlan, planDraft,
+                conversation: conversation.filter(msg => !msg.isStreaming),
+                interviewLog, currentTopicIndex, currentQuestionIndex, currentQuestionAttempts,
+                diagram, submittedDiagramText,
+                isFollowUpActive, currentFollowUpQuestionText, pausedState, currentFollowUpStreak,
+                currentQuestionHistory: currentQuestionHistory.current,
+                lastInterviewerMessage: lastInterviewerMessage.current,
+                lastCandidateAnswer: lastCandidateAnswer.current,
+                lastDiscussionPoint: lastDiscussionPoint.current,
+                pendingStep: pendingStepRef.current,
+                failedStep, report, audioSegments
+            }).catch(error => console.error("Failed to save session:", error));
+        }, SESSION_SAVE_DEBOUNCE_MS);
+        return () => clearTimeout(timer);
+    }, [isSessionReady, sessionId, jobDetails, resume, candidateProfile, interviewConfig, competencyModel, interviewState, interviewPlan, planDraft, conversation, interviewLog, currentTopicIndex, currentQuestionIndex, currentQuestionAttempts, diagram, submittedDiagramText, isFollowUpActive, currentFollowUpQuestionText, pausedState, currentFollowUpStreak, failedStep, report, audioSegments, isReadOnly]);
+
+    // Resolves with a clip for the audio queue ({ url } or { utterance }), or
+    // null. In automatic mode a failing provider is replaced by the next one.
     const generateTTS = useCallback(async (text) => {
-        if (!text || text.trim() === '' || !selectedVoice) return null;
-        console.log(`Generating TTS for: "${text.substring(0, 50)}..." Voice: ${selectedVoice}, Speed: ${speed}`);
-        try {
-            const response = await fetch(`${TTS_ENDPOINT}/generate`, {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ text: text.trim(), voice: selectedVoice, speed }),
-            });
-            if (!response.ok) {
-                const errorText = await response.text();
-                console.error(`TTS generation failed: ${response.status} ${response.statusText}`, errorText);
-                throw new Error(`TTS generation failed: ${response.status} ${response.statusText}. ${errorText}`);
+        let connection = ttsConnectionRef.current;
+        if (!text || text.trim() === '' || !connection) return null;
+        const signal = sessionAbortRef.current.signal;
+        let lastError = null;
+        while (connection) {
+            const voice = connection.voices.includes(selectedVoice) ? selectedVoice : connection.defaultVoice;
+            console.log(`Generating TTS (${connection.provider}) for: "${text.substring(0, 50)}..." Voice: ${voice}, Speed: ${speed}`);
+            try {
+                return await synthesizeSpeech(connection.provider, text.trim(), { voice, speed, settings: ttsSettings, signal });
+            } catch (error) {
+                if (isAbortError(error)) return null;
+                console.error('TTS Generation Error:', error);
+                lastError = error;
+            }
+            if (ttsSettings.provider !== TTS_PROVIDERS.AUTO) break;
+            const failed = connection.provider;
+            try {
+                connection = await connectTtsProvider(ttsSettings, { after: failed, signal });
+            } catch (error) {
+                if (isAbortError(error)) return null;
+                break;
             }
-            const blob = await response.blob();
-            if (!blob.type.startsWith('audio/')) {
-                console.warn("Received unexpected blob type from TTS:", blob.type);
+            console.warn(`Text-to-speech failed over from ${failed} to ${connection.provider}.`);
+            // Only the first sentence to hit the failure switches providers.
+            if (ttsConnectionRef.current?.provider === failed) {
+                applyTtsConnection(connection);
+                setErrorMessage(`${TTS_PROVIDER_LABELS[failed]} failed (${lastError.message}). Switched to ${TTS_PROVIDER_LABELS[connection.provider]}.`);
             }
-            return URL.createObjectURL(blob);
-        } catch (error) {
-            console.error('TTS Generation Error:', error);
-            setErrorMessage(`TTS Error: ${error.message}`);
-            return null;
         }
-    }, [selectedVoice, speed]);
+        setErrorMessage(`TTS Error: ${lastError.message}`);
+        return null;
+    }, [selectedVoice, speed, ttsSettings, applyTtsConnection]);
 
     const playAudioQueue = useCallback(async () => {
         if (isProcessingAudioRef.current || audioQueueRef.current.length === 0 || !isVoiceEnabled) {
@@ -663,33 +880,47 @@ function InterviewPage() {
         setIsTTSPlaying(true);
         console.log("Starting audio playback queue...");
 
-        const { url, text } = audioQueueRef.current[0];
+        const { url, utterance, text, onStart } = audioQueueRef.current[0];
         console.log(`Playing audio for: "${text.substring(0, 50)}..."`);
 
         try {
-            await new Promise((resolve, reject) => {
-                const audio = new Audio(url);
-                setCurrentTTSAudio(audio);
-
-                audio.onended = () => {
-                    console.log(`Audio finished for: "${text.substring(0, 50)}..."`);
-                    URL.revokeObjectURL(url);
-                    setCurrentTTSAudio(null);
-                    resolve();
-                };
-                audio.onerror = (e) => {
-                    console.error('Audio playback error:', e);
-                    URL.revokeObjectURL(url);
-                    setCurrentTTSAudio(null);
-                    reject(new Error('Audio playback failed'));
-                };
-                audio.play().catch(err => {
-                    console.error('Audio play() error:', err);
-                    URL.revokeObjectURL(url);
-                    setCurrentTTSAudio(null);
-                    resolve();
+            if (utterance) {
+                await playSpeechUtterance(utterance, { onStart });
+            } else {
+                await new Promise((resolve, reject) => {
+                    const audio = new Audio(url);
+                    setCurrentTTSAudio(audio);
+                    interviewRecorderRef.current?.trackAudioElement(url, audio);
+                    audio.onplaying = () => onStart?.();
+
+                    audio.onended = () => {
+                        console.log(`Audio finished for: "${text.substring(0, 50)}..."`);
+                        URL.revokeObjectURL(url);
+                        setCurrentTTSAudio(null);
+                        resolve();
+                    };
+                    // Pausing (barge-in, restart) ends this item; a natural end
+                    // also pauses, but is handled by onended.
+                    audio.onpause = () => {
+                        if (audio.ended) return;
+                        URL.revokeObjectURL(url);
+                        setCurrentTTSAudio(null);
+                        resolve();
+                    };
+                    audio.onerror = (e) => {
+                        console.error('Audio playback error:', e);
+                        URL.revokeObjectURL(url);
+                        setCurrentTTSAudio(null);
+                        reject(new Error('Audio playback failed'));
+                    };
+                    audio.play().catch(err => {
+                        console.error('Audio play() error:', err);
+                        URL.revokeObjectURL(url);
+                        setCurrentTTSAudio(null);
+                        resolve();
+                    });
                 });
-            });
+            }
         } catch (error) {
             console.error('Playback Promise Error:', error.message);
         } finally {
@@ -706,7 +937,9 @@ function InterviewPage() {
 
     const askQuestion = useCallback(async (topicIdx, questionIdx, actionCode, forceEnd = false) => {
         console.log(`askQuestion called with: T${topicIdx}, Q${questionIdx}, Action: ${getActionCodeName(actionCode)}, ForceEnd: ${forceEnd}, Current Streak: ${currentFollowUpStreak}, IsFollowUpActive: ${isFollowUpActive}`);
-        setIsLoading(true); setErrorMessage('');
+        setIsLoading(true); setErrorMessage(''); setFailedStep(null);
+        const step = { type: 'interviewer', args: [topicIdx, questionIdx, actionCode, forceEnd] };
+        pendingStepRef.current = step;
 
         let plannedTopicName = "N/A";
         let plannedQuestionText = "N/A";
@@ -753,10 +986,44 @@ function InterviewPage() {
             console.log("Preparing to call Interviewer LLM for final closing statement.");
         }
 
+        // Sentences are synthesized one after another as they stream in, so the
+        // audio queue stays in speaking order while generation continues.
+        const speechTurn = speechTurnRef.current;
+        let spokenAt = null;
+        const markSpoken = () => {
+            if (spokenAt) return;
+            spokenAt = Date.now();
+            setConversation(prev => markInterviewerSpokenAt(prev, spokenAt));
+        };
+        const sentenceStreamer = createSentenceStreamer((sentence) => {
+            if (!isVoiceEnabled) return;
+            setPendingTTSCount(count => count + 1);
+            ttsChainRef.current = ttsChainRef.current.then(async () => {
+                try {
+                    // Skipped when the candidate interrupted this reply.
+                    if (speechTurn !== speechTurnRef.current) return;
+                    const clip = await generateTTS(sentence);
+                    if (clip && speechTurn !== speechTurnRef.current) {
+                        releaseSpeechClip(clip);
+                    } else if (clip) {
+                        audioQueueRef.current.push({ ...clip, text: sentence, onStart: markSpoken });
+                        if (!isProcessingAudioRef.current) { setTimeout(playAudioQueue, 0); }
+                    }
+                } finally {
+                    setPendingTTSCount(count => count - 1);
+                }
+            });
+        });
+        const handleStreamedText = (partialText) => {
+            setConversation(prev => upsertStreamingMessage(prev, { role: 'interviewer', timestamp: Date.now(), content: partialText, isStreaming: true, ...(spokenAt ? { spokenAt } : {}) }));
+            sentenceStreamer.update(partialText);
+        };
+
         try {
             const interviewerOutput = await callInterviewerLlm(
                 plannedTopicName, plannedQuestionText, effectiveActionCode,
-                lastInterviewerMessage.current, lastCandidateAnswer.current, lastDiscussionPoint.current
+                lastInterviewerMessage.current, lastCandidateAnswer.current, lastDiscussionPoint.current,
+                llmSettings, handleStreamedText, sessionAbortRef.current.signal, candidateProfile
             );
             const interviewerResponseType = interviewerOutput.type;
             const interviewerResponseText = interviewerOutput.text;
@@ -764,19 +1031,13 @@ function InterviewPage() {
             console.log(`Interviewer LLM Output - Type: "${interviewerResponseType}", Text: "${interviewerResponseText.substring(0,100)}..."`);
 
             if (interviewerResponseText && interviewerResponseText.trim() !== '') {
-                const newInterviewerMsg = { role: 'interviewer', content: interviewerResponseText };
-                setConversation(prev => [...prev, newInterviewerMsg]);
-
-                if (isVoiceEnabled) {
-                    const audioUrl = await generateTTS(interviewerResponseText);
-                    if (audioUrl) {
-                        audioQueueRef.current.push({ url: audioUrl, text: interviewerResponseText });
-                        if (!isProcessingAudioRef.current) { setTimeout(playAudioQueue, 0); }
-                    }
-                }
+                const newInterviewerMsg = { role: 'interviewer', timestamp: Date.now(), content: interviewerResponseText, ...(spokenAt ? { spokenAt } : {}) };
+                setConversation(prev => upsertStreamingMessage(prev, newInterviewerMsg));
+                sentenceStreamer.finish(interviewerResponseText);
                 lastInterviewerMessage.current = interviewerResponseText;
             } else {
                 console.warn("Interviewer LLM returned empty text.");
+                setConversation(prev => prev.filter(msg => !msg.isStreaming));
                 lastInterviewerMessage.current = null;
             }
 
@@ -796,7 +1057,7 @@ function InterviewPage() {
                     currentQuestionHistory.current = [];
                 } else {
                     console.warn(`Follow-up limit (${MAX_FOLLOW_UP_STREAK}) reached. Ignoring LLM follow-up and forcing next planned action.`);
-                    setConversation(prev => [...prev, { role: 'system', content: `(Max follow-up limit reached. Returning to planned question.)` }]);
+                    setConversation(prev => [...prev, { role: 'system', timestamp: Date.now(), content: `(Max follow-up limit reached. Returning to planned question.)` }]);
                     setIsFollowUpActive(false); setCurrentFollowUpQuestionText(null); setPausedState(null); setCurrentFollowUpStreak(0);
 
                     let forcedNextTopicIndex = topicIdx;
@@ -809,12 +1070,12 @@ function InterviewPage() {
                             console.log("End of plan reached while enforcing streak limit.");
                             setInterviewState('ENDED');
                             try {
-                                const finalStatement = await callInterviewerLlm("End", "End", ACTION_CODES.END_INTERVIEW, lastInterviewerMessage.current, null, null);
+                                const finalStatement = await callInterviewerLlm("End", "End", ACTION_CODES.END_INTERVIEW, lastInterviewerMessage.current, null, null, llmSettings, null, sessionAbortRef.current.signal);
                                 if(finalStatement.text) {
-                                    setConversation(prev => [...prev, { role: 'interviewer', content: finalStatement.text }]);
-                                    if (isVoiceEnabled) { const url = await generateTTS(finalStatement.text); if(url) { audioQueueRef.current.push({url, text: finalStatement.text}); if(!isProcessingAudioRef.current) setTimeout(playAudioQueue,0); } }
+                                    setConversation(prev => [...prev, { role: 'interviewer', timestamp: Date.now(), content: finalStatement.text }]);
+                                    if (isVoiceEnabled) { const clip = await generateTTS(finalStatement.text); if(clip) { audioQueueRef.current.push({...clip, text: finalStatement.text}); if(!isProcessingAudioRef.current) setTimeout(playAudioQueue,0); } }
                                 } else { throw new Error("Empty closing statement"); }
-                            } catch (finalError) { console.error("Error getting final closing statement:", finalError); const fb="Thank you."; setConversation(prev => [...prev, { role: 'interviewer', content: fb }]); if (isVoiceEnabled) {const url = await generateTTS(fb); if(url){ audioQueueRef.current.push({url, text: fb}); if(!isProcessingAudioRef.current) setTimeout(playAudioQueue,0);}}}
+                            } catch (finalError) { console.error("Error getting final closing statement:", finalError); const fb="Thank you."; setConversation(prev => [...prev, { role: 'interviewer', timestamp: Date.now(), content: fb }]); if (isVoiceEnabled) {const clip = await generateTTS(fb); if(clip){ audioQueueRef.current.push({...clip, text: fb}); if(!isProcessingAudioRef.current) setTimeout(playAudioQueue,0);}}}
                             setIsLoading(false); return;
                         }
                     }
@@ -840,8 +1101,8 @@ function InterviewPage() {
                     if (!lastMsg || lastMsg.role !== 'interviewer' || (!lastMsg.content.toLowerCase().includes("thank") && !lastMsg.content.toLowerCase().includes("conclude"))) {
                         const fallbackClose = "Thank you for your time. This concludes the interview.";
                         console.warn("Adding fallback closing statement.");
-                        setConversation(prev => [...prev, { role: 'system', content: "(System: Added fallback closing)" }, { role: 'interviewer', content: fallbackClose }]);
-                        if (isVoiceEnabled) { const url = await generateTTS(fallbackClose); if(url) { audioQueueRef.current.push({url, text: fallbackClose}); if(!isProcessingAudioRef.current) setTimeout(playAudioQueue,0); }}
+                        setConversation(prev => [...prev, { role: 'system', timestamp: Date.now(), content: "(System: Added fallback closing)" }, { role: 'interviewer', timestamp: Date.now(), content: fallbackClose }]);
+                        if (isVoiceEnabled) { const clip = await generateTTS(fallbackClose); if(clip) { audioQueueRef.current.push({...clip, text: fallbackClose}); if(!isProcessingAudioRef.current) setTimeout(playAudioQueue,0); }}
                     }
                 } else {
                     setCurrentTopicIndex(nextStateTopicIndex);
@@ -850,16 +1111,22 @@ function InterviewPage() {
                 }
             }
         } catch (error) {
+            setConversation(prev => prev.filter(msg => !msg.isStreaming));
+            if (isAbortError(error)) { console.log("Interviewer step cancelled."); return; }
             console.error("Error during askQuestion process:", error);
             setErrorMessage(`Failed during Interviewer step: ${error.message}`);
-            setConversation(prev => [...prev, { role: 'system', content: `Error: ${error.message}` }]);
-            setInterviewState('ENDED');
+            setConversation(prev => [...prev, { role: 'system', timestamp: Date.now(), content: `Error: ${error.message}` }]);
+            setFailedStep(step);
         } finally {
+            if (pendingStepRef.current === step) pendingStepRef.current = null;
             setIsLoading(false);
         }
-    }, [interviewPlan, isVoiceEnabled, generateTTS, playAudioQueue, selectedVoice, speed, currentFollowUpStreak, isFollowUpActive, currentQuestionAttempts]);
+    }, [interviewPlan, isVoiceEnabled, generateTTS, playAudioQueue, selectedVoice, speed, currentFollowUpStreak, isFollowUpActive, currentQuestionAttempts, llmSettings, candidateProfile]);
 
-    const handleStartInterview = useCallback(async (description) => {
+    // presetPlan (from a saved template) skips the Planner entirely; a parsed
+    // resume is still profiled so the Interviewer can refer to it.
+    const handleStartInterview = useCallback(async (details, config, { presetPlan = null, resume: resumeData = null } = {}) => {
+        const description = details?.description;
         if (!description || description.trim() === '') {
             console.error("Start interview called without a job description.");
             setErrorMessage("Job description is missing.");
@@ -871,30 +1138,121 @@ function InterviewPage() {
         setCurrentTopicIndex(0); setCurrentQuestionIndex(0); setCurrentQuestionAttempts(0);
         setIsFollowUpActive(false); setCurrentFollowUpQuestionText(null); setPausedState(null); setCurrentFollowUpStreak(0);
         lastInterviewerMessage.current = null; lastCandidateAnswer.current = null; lastDiscussionPoint.current = null;
-        currentQuestionHistory.current = []; setInterviewPlan(null); setCandidateInput(''); setIsRecording(false); setFinalTranscript('');
-        setIsEditorOpen(false); setCodeContent('');
+        currentQuestionHistory.current = []; setInterviewPlan(null); setCompetencyModel(null); setCandidateProfile(null); setCandidateInput(''); setIsRecording(false); setFinalTranscript('');
+        setIsEditorOpen(false); setCodeContent(''); codeTimelineRef.current = null;
+        setDiagram(EMPTY_DIAGRAM); setSubmittedDiagramText('');
         if (currentTTSAudio) { currentTTSAudio.pause(); setCurrentTTSAudio(null); }
-        audioQueueRef.current.forEach(({ url }) => URL.revokeObjectURL(url)); audioQueueRef.current = [];
+        cancelBrowserSpeech();
+        audioQueueRef.current.forEach(releaseSpeechClip); audioQueueRef.current = [];
         isProcessingAudioRef.current = false; setIsTTSPlaying(false);
         console.log("Cleared state and TTS for new interview.");
 
         try {
-            const plan = await callPlannerLlm(description);
-            if (!plan?.topics || !Array.isArray(plan.topics) || plan.topics.length === 0 ||
-                !plan.topics.every(t => t.name && Array.isArray(t.questions) && t.questions.length > 0)) {
-                throw new Error("Planner returned an invalid or empty plan structure.");
+            const signal = sessionAbortRef.current.signal;
+            let competencies = null;
+            let allocation = null;
+            if (!presetPlan) {
+                try {
+                    const model = await extractCompetencies(details, llmSettings, signal, config.mode);
+                    console.log("Competency model:", model);
+                    setCompetencyModel(model);
+                    competencies = model.competencies;
+                    allocation = allocateCompetencies(model.competencies, config);
+                } catch (error) {
+                    if (isAbortError(error)) throw error;
+                    // The Planner can still work from the raw description.
+                    console.warn("Competency extraction failed, planning without weights:", error);
+                }
+            }
+            let profile = null;
+            if (resumeData?.text) {
+                try {
+                    profile = await extractCandidateProfile(resumeData.text, competencies, llmSettings, signal);
+                    console.log("Candidate profile:", profile);
+                    setCandidateProfile(profile);
+                } catch (error) {
+                    if (isAbortError(error)) throw error;
+                    console.warn("Resume analysis failed, planning without it:", error);
+                }
+            }
+            let plan = presetPlan;
+            if (!plan) {
+                const bank = config.questionBankId && config.bankQuestionsPerTopic > 0 ? await getQuestionBank(config.questionBankId) : null;
+                plan = await callPlannerLlm(description, config, llmSettings, signal, { bankSkills: listBankSkills(bank), allocation, candidateProfile: profile });
+                if (bank) {
+                    const composed = composePlanFromBank(plan, bank, config);
+                    console.log(`Used ${composed.bankQuestionCount} question(s) from bank "${bank.name}".`);
+                    plan = composed.plan;
+                }
             }
             console.log("Interview Plan Generated:", plan);
             setInterviewPlan(plan);
-            setInterviewState('PLANNING_COMPLETE');
+            if (config.reviewPlan) {
+                setPlanDraft(toEditablePlan(plan));
+                setPlanReviewError('');
+                setInterviewState('PLAN_REVIEW');
+                setIsLoading(false);
+            } else {
+                setInterviewState('PLANNING_COMPLETE');
+            }
         } catch (error) {
+            if (isAbortError(error)) { console.log("Planning cancelled."); return; }
             console.error("Interview Planning Error:", error);
             setErrorMessage(`Planning Failed: ${error.message}`);
-            setConversation(prev => [...prev, { role: 'system', content: `Error during planning: ${error.message}` }]);
+            setConversation(prev => [...prev, { role: 'system', timestamp: Date.now(), content: `Error during planning: ${error.message}` }]);
             setInterviewState('SETUP');
             setIsLoading(false);
         }
-    }, []);
+    }, [llmSettings]);
+
+    const handleConfirmConfig = useCallback(() => {
+        const config = normalizeInterviewConfig(interviewConfig);
+        setInterviewConfig(config);
+        saveInterviewConfig(config);
+        const template = planTemplates.find(item => item.id === selectedTemplateId);
+        handleStartInterview(jobDetails, config, { presetPlan: template?.interviewPlan || null, resume });
+    }, [interviewConfig, jobDetails, resume, handleStartInterview, planTemplates, selectedTemplateId]);
+
+    const handleSavePlanTemplate = useCallback(async () => {
+        const name = window.prompt("Template name:", jobDetails?.job_title || 'Interview plan');
+        if (!name || !name.trim()) return;
+        setPlanReviewError('');
+        try {
+            await savePlanTemplate({
+                name: name.trim(), jobTitle: jobDetails?.job_title || '',
+                interviewPlan: fromEditablePlan(planDraft), interviewConfig
+            });
+            setPlanTemplates(await listPlanTemplates());
+        } catch (error) {
+            console.error("Failed to save plan template:", error);
+            setPlanReviewError(`Could not save template: ${error.message}`);
+        }
+    }, [jobDetails, planDraft, interviewConfig]);
+
+    const handleRegeneratePlan = useCallback(async (scope) => {
+        setIsPlanRegenerating(true); setPlanReviewError('');
+        try {
+            const regenerated = await regeneratePlanParts({
+                jobDescription: jobDetails?.description, interviewConfig, editablePlan: planDraft, scope,
+                llmSettings, signal: sessionAbortRef.current.signal
+            });
+            setPlanDraft(regenerated);
+        } catch (error) {
+            if (isAbortError(error)) return;
+            console.error("Plan regeneration error:", error);
+            setPlanReviewError(`Regeneration failed: ${error.message}`);
+        } finally {
+            setIsPlanRegenerating(false);
+        }
+    }, [jobDetails, interviewConfig, planDraft, llmSettings]);
+
+    const handleStartReviewedPlan = useCallback(() => {
+        const reviewedPlan = fromEditablePlan(planDraft);
+        console.log("Starting interview from reviewed plan:", reviewedPlan);
+        setInterviewPlan(reviewedPlan);
+        setPlanDraft(null);
+        setInterviewState('PLANNING_COMPLETE');
+    }, [planDraft]);
 
     const generateReport = useCallback(async () => {
         if (!interviewLog || interviewLog.length === 0) {
@@ -904,72 +1262,57 @@ function InterviewPage() {
         setIsReportLoading(true);
         setErrorMessage('');
         try {
-            const logString = interviewLog.map((entry, index) => {
-                const { topicIndex, questionIndex, metrics, actionCode, reason, discussion_point, type } = entry;
-                return `Question ${index + 1} (Topic ${topicIndex}, Question ${questionIndex}, Type: ${type}):
-Metrics: ${JSON.stringify(metrics, null, 2)}
-Action: ${getActionCodeName(actionCode)}
-Reason: ${reason}
-${discussion_point ? `Discussion Point: ${discussion_point}` : ''}`;
-            }).join('\n\n');
-            const prompt = `Based on the following interview log, provide a detailed analysis report of the candidate's performance, including strengths, areas for improvement, and overall assessment. The log is as follows:\n\n${logString}`;
-            const reportText = await callOllamaApi(prompt);
-            setReport(reportText);
+            const newReport = await createAnalysisReport({ jobDetails, interviewConfig, interviewPlan, interviewLog }, llmSettings, sessionAbortRef.current.signal);
+            setReport(newReport);
             setIsReportModalOpen(true);
+            // The save effect is off for transcripts, so persist the new report directly.
+            if (isReadOnly) await updateSession(sessionId, { report: newReport });
         } catch (error) {
+            if (isAbortError(error)) return;
             console.error("Error generating report:", error);
             setErrorMessage(`Failed to generate report: ${error.message}`);
         } finally {
             setIsReportLoading(false);
         }
-    }, [interviewLog]);
-
-    const handleSubmitAnswer = useCallback(async () => {
-        const textAnswer = (finalTranscript || candidateInput).trim();
-        const codeToSend = codeContent.trim();
-        if ((!textAnswer && !codeToSend) || isLoading || interviewState !== 'IN_PROGRESS') {
-            console.log("Submit answer skipped: No input or invalid state."); return;
-        }
-
-        let combinedAnswer = textAnswer;
-        if (codeToSend) {
-            combinedAnswer += `\n\n**Code Snippet Provided:**\n\`\`\`\n${codeToSend}\n\`\`\``;
-        }
-
-        console.log(`Submitting answer (isFollowUp: ${isFollowUpActive}):`, combinedAnswer.substring(0, 100) + "...");
-        setIsLoading(true); setCandidateInput(''); setFinalTranscript(''); setCodeContent(''); setIsEditorOpen(false); setErrorMessage('');
-
-        setConversation(prev => [...prev, { role: 'candidate', content: combinedAnswer }]);
-        lastCandidateAnswer.current = combinedAnswer;
-
-        let contextTopicIdx, contextQuestionIdx, questionBeingAnswered;
-        if (isFollowUpActive && pausedState) {
-            contextTopicIdx = pausedState.topicIndex; contextQuestionIdx = pausedState.questionIndex;
-            questionBeingAnswered = currentFollowUpQuestionText;
-        } else if (interviewPlan?.topics[currentTopicIndex]?.questions[currentQuestionIndex]) {
-            contextTopicIdx = currentTopicIndex; contextQuestionIdx = currentQuestionIndex;
-            questionBeingAnswered = interviewPlan.topics[currentTopicIndex].questions[currentQuestionIndex];
+    }, [jobDetails, interviewConfig, interviewPlan, interviewLog, llmSettings, isReadOnly, sessionId]);
+
+    const handleExportSession = useCallback((format) => {
+        const session = {
+            id: sessionId,
+            createdAt: sessionCreatedAtRef.current,
+            startedAt: sessionStartedAtRef.current,
+            endedAt: sessionEndedAtRef.current,
+            jobDetails, resume, candidateProfile, interviewConfig, competencyModel, interviewState, interviewPlan,
+            conversation: conversation.filter(msg => !msg.isStreaming),
+            interviewLog, report, audioSegments
+        };
+        if (format === 'json') {
+            downloadTextFile(sessionToJson(session), sessionFileName(session, 'json'), 'application/json');
         } else {
-            console.error("Critical Error: Could not determine the question being answered. State:", { currentTopicIndex, currentQuestionIndex, isFollowUpActive, pausedState });
-            setErrorMessage("Internal error: Could not associate answer with a question.");
-            setIsLoading(false); setInterviewState("ENDED"); return;
+            downloadTextFile(sessionToMarkdown(session), sessionFileName(session, 'md'), 'text/markdown');
         }
+    }, [sessionId, jobDetails, resume, candidateProfile, interviewConfig, competencyModel, interviewState, interviewPlan, conversation, interviewLog, report, audioSegments]);
 
-        const questionIdentifier = isFollowUpActive ? `Follow-up to T${contextTopicIdx}Q${contextQuestionIdx}` : `T${currentTopicIndex}Q${currentQuestionIndex}`;
-        console.log(`Context for Monitor LLM: ${questionIdentifier}`);
-
-        currentQuestionHistory.current.push({ question: questionBeingAnswered, answer: combinedAnswer });
+    // Runs the Monitor on a recorded answer and advances the interview. Kept
+    // separate from handleSubmitAnswer so a failed evaluation can be retried
+    // without re-recording the answer.
+    const evaluateAnswer = useCallback(async (answerContext) => {
+        const { combinedAnswer, contextTopicIdx, contextQuestionIdx, questionBeingAnswered, isFollowUp, questionIdentifier, history, testReport = null, tests = null, codeLanguage: answerCodeLanguage = null, approach = null, delivery = null } = answerContext;
+        setIsLoading(true); setErrorMessage(''); setFailedStep(null);
+        const step = { type: 'monitor', answerContext };
+        pendingStepRef.current = step;
 
         try {
-            const monitorOutput = await callMonitorLlm(
+            const rawMonitorOutput = await callMonitorLlm(
                 contextTopicIdx, contextQuestionIdx, questionBeingAnswered,
-                combinedAnswer, [...currentQuestionHistory.current], isFollowUpActive
+                combinedAnswer, history, isFollowUp, llmSettings, sessionAbortRef.current.signal, interviewConfig.mode, { testReport, codeLanguage: answerCodeLanguage, approach }
             );
+            const monitorOutput = interviewConfig.mode === 'behavioral' && !isFollowUp ? enforceStarCoverage(rawMonitorOutput) : rawMonitorOutput;
             console.log(`Monitor Output (${questionIdentifier}):`, monitorOutput);
-            setInterviewLog(prev => [...prev, { ...monitorOutput, type: isFollowUpActive ? 'follow-up' : 'planned' }]);
+            setInterviewLog(prev => [...prev, { ...monitorOutput, type: isFollowUp ? 'follow-up' : 'planned', questionText: questionBeingAnswered, ...(tests ? { tests } : {}), ...(delivery ? { delivery } : {}) }]);
             lastDiscussionPoint.current = monitorOutput.discussion_point || null;
 
-            if (isFollowUpActive && pausedState) {
+            if (isFollowUp && pausedState) {
                 console.log("Processing follow-up answer. Resuming planned flow from:", pausedState);
                 const { topicIndex: resumeTopicIdx, questionIndex: resumeQuestionIdx } = pausedState;
                 setIsFollowUpActive(false); setCurrentFollowUpQuestionText(null); setPausedState(null);
@@ -1015,107 +1358,441 @@ ${discussion_point ? `Discussion Point: ${discussion_point}` : ''}`;
                 askQuestion(nextTopicIndex, nextQuestionIndex, nextActionCode);
             }
         } catch (error) {
+            setIsLoading(false);
+            if (isAbortError(error)) { console.log("Monitor step cancelled."); return; }
             console.error(`Error during Monitor processing for ${questionIdentifier}:`, error);
             setErrorMessage(`Failed during Monitor step: ${error.message}`);
-            setIsLoading(false); setInterviewState('ENDED');
+            setFailedStep(step);
+        } finally {
+            if (pendingStepRef.current === step) pendingStepRef.current = null;
         }
-    }, [candidateInput, finalTranscript, codeContent, isLoading, interviewState, interviewPlan, currentTopicIndex, currentQuestionIndex, askQuestion, currentQuestionAttempts, isFollowUpActive, currentFollowUpQuestionText, pausedState]);
+    }, [interviewPlan, currentTopicIndex, currentQuestionIndex, askQuestion, currentQuestionAttempts, pausedState, llmSettings, interviewConfig.mode]);
+
+    // Follow-ups keep the coding challenge of the planned question they interrupt.
+    const currentChallenge = useMemo(() => {
+        const position = isFollowUpActive && pausedState ? pausedState : { topicIndex: currentTopicIndex, questionIndex: currentQuestionIndex };
+        return findCodingChallenge(interviewPlan, interviewPlan?.topics[position.topicIndex]?.questions[position.questionIndex]);
+    }, [interviewPlan, currentTopicIndex, currentQuestionIndex, isFollowUpActive, pausedState]);
+
+    // A new coding question starts from its starter code; leaving one clears the editor.
+    useEffect(() => {
+        setTestRun(null);
+        setCodeContent(currentChallenge ? currentChallenge.starterCode : '');
+        codeTimelineRef.current = null;
+    }, [currentChallenge]);
+
+    const executeTests = useCallback(async (code) => {
+        setIsRunningTests(true);
+        try {
+            const run = await runCodingTests(code, currentChallenge);
+            setTestRun(run);
+            return run;
+        } catch (error) {
+            console.error("Could not run the hidden tests:", error);
+            setErrorMessage(`Could not run the tests: ${error.message}`);
+            return null;
+        } finally {
+            setIsRunningTests(false);
+        }
+    }, [currentChallenge]);
+
+    // Coding questions run in the browser, so they are always answered in JavaScript.
+    const editorLanguage = currentChallenge ? 'javascript' : codeLanguage;
+
+    const handleCodeChange = useCallback((value) => {
+        const code = value || '';
+        const timeline = codeTimelineRef.current || createCodeTimeline(codeContent);
+        codeTimelineRef.current = recordCodeSnapshot(timeline, code);
+        setCodeContent(code);
+    }, [codeContent]);
+
+    const handleChangeCodeLanguage = useCallback((language) => {
+        setCodeLanguage(language);
+        saveCodeLanguage(language);
+    }, []);
+
+    // Serialized whiteboard, or '' when it is empty or unchanged since it was last attached.
+    const pendingDiagramText = useMemo(() => {
+        if (interviewConfig.mode !== 'system-design') return '';
+        const text = serializeDiagram(diagram);
+        return text !== submittedDiagramText ? text : '';
+    }, [diagram, submittedDiagramText, interviewConfig.mode]);
+
+    const handleSubmitAnswer = useCallback(async () => {
+        const textAnswer = (finalTranscript || candidateInput).trim();
+        const codeToSend = codeContent.trim();
+        const diagramToSend = pendingDiagramText;
+        if ((!textAnswer && !codeToSend && !diagramToSend) || isLoading || isRunningTests || failedStep || interviewState !== 'IN_PROGRESS') {
+            console.log("Submit answer skipped: No input or invalid state."); return;
+        }
+
+        // Coding answers are always scored on a test run of exactly the submitted code.
+        let run = null;
+        if (currentChallenge && codeToSend) {
+            run = testRun?.code === codeContent ? testRun : await executeTests(codeContent);
+        }
+
+        let combinedAnswer = textAnswer;
+        if (codeToSend) {
+            combinedAnswer += `\n\n**Code Snippet Provided (${getCodeLanguageLabel(editorLanguage)}):**\n\`\`\`${editorLanguage}\n${codeToSend}\n\`\`\``;
+        }
+        if (run) {
+            combinedAnswer += `\n\n**Hidden Tests:** ${summarizeTestRun(run)}`;
+        }
+        if (diagramToSend) {
+            combinedAnswer += `\n\n**System Diagram Provided:**\n\`\`\`text\n${diagramToSend}\n\`\`\``;
+            setSubmittedDiagramText(diagramToSend);
+        }
+
+        // Only code that was actually edited has a timeline worth replaying.
+        const codeTimeline = codeToSend && codeTimelineRef.current ? recordCodeSnapshot(codeTimelineRef.current, codeContent) : null;
+        const approach = codeTimeline ? describeCodeTimeline(codeTimeline) : null;
+        codeTimelineRef.current = null;
+        const spokenAt = answerSpokenAtRef.current;
+        answerSpokenAtRef.current = null;
+        // Only answers recorded through speech recognition have delivery metrics.
+        const delivery = textAnswer ? computeDeliveryMetrics(textAnswer, speechTimerRef.current?.stop()) : null;
+        speechTimerRef.current = null;
+
+        console.log(`Submitting answer (isFollowUp: ${isFollowUpActive}):`, combinedAnswer.substring(0, 100) + "...");
+        // Code for a coding question stays in the editor so it can be fixed after feedback.
+        setCandidateInput(''); setFinalTranscript(''); setIsEditorOpen(false); setErrorMessage('');
+        if (!currentChallenge) setCodeContent('');
+
+        setConversation(prev => [...prev, { role: 'candidate', timestamp: Date.now(), content: combinedAnswer, ...(codeToSend ? { code: codeToSend, codeLanguage: editorLanguage } : {}), ...(approach ? { codeTimeline } : {}), ...(spokenAt ? { spokenAt } : {}) }]);
+        lastCandidateAnswer.current = combinedAnswer;
+
+        let contextTopicIdx, contextQuestionIdx, questionBeingAnswered;
+        if (isFollowUpActive && pausedState) {
+            contextTopicIdx = pausedState.topicIndex; contextQuestionIdx = pausedState.questionIndex;
+            questionBeingAnswered = currentFollowUpQuestionText;
+        } else if (interviewPlan?.topics[currentTopicIndex]?.questions[currentQuestionIndex]) {
+            contextTopicIdx = currentTopicIndex; contextQuestionIdx = currentQuestionIndex;
+            questionBeingAnswered = interviewPlan.topics[currentTopicIndex].questions[currentQuestionIndex];
+        } else {
+            console.error("Critical Error: Could not determine the question being answered. State:", { currentTopicIndex, currentQuestionIndex, isFollowUpActive, pausedState });
+            setErrorMessage("Internal error: Could not associate answer with a question.");
+            setInterviewState("ENDED"); return;
+        }
+
+        const questionIdentifier = isFollowUpActive ? `Follow-up to T${contextTopicIdx}Q${contextQuestionIdx}` : `T${currentTopicIndex}Q${currentQuestionIndex}`;
+        console.log(`Context for Monitor LLM: ${questionIdentifier}`);
+
+        currentQuestionHistory.current.push({ question: questionBeingAnswered, answer: combinedAnswer });
+
+        evaluateAnswer({
+            combinedAnswer, contextTopicIdx, contextQuestionIdx, questionBeingAnswered, questionIdentifier,
+            isFollowUp: isFollowUpActive, history: [...currentQuestionHistory.current],
+            codeLanguage: codeToSend ? editorLanguage : null,
+            approach,
+            delivery,
+            ...(run ? {
+                testReport: `${summarizeTestRun(run)}\n${formatTestRunForMonitor(run, currentChallenge)}`,
+                tests: { passed: run.passedCount, total: run.total }
+            } : {})
+        });
+    }, [candidateInput, finalTranscript, codeContent, editorLanguage, pendingDiagramText, currentChallenge, testRun, executeTests, isRunningTests, isLoading, failedStep, interviewState, interviewPlan, currentTopicIndex, currentQuestionIndex, isFollowUpActive, currentFollowUpQuestionText, pausedState, evaluateAnswer]);
+
+    const handleRetryLastStep = useCallback(() => {
+        if (!failedStep || isLoading) return;
+        console.log(`Retrying failed ${failedStep.type} step.`);
+        if (failedStep.type === 'interviewer') {
+            askQuestion(...failedStep.args);
+        } else if (failedStep.type === 'monitor') {
+            evaluateAnswer(failedStep.answerContext);
+        }
+    }, [failedStep, isLoading, askQuestion, evaluateAnswer]);
+
+    // The speech backend in use, or null if the chosen one is missing in this browser.
+    const sttProvider = useMemo(() => resolveSttProvider(sttSettings), [sttSettings]);
+    const isHandsFree = sttSettings.handsFree.enabled && !!sttProvider;
+    const isInterviewerSpeaking = isTTSPlaying || pendingTTSCount > 0;
+
+    // Starts speech recognition. `openStream` is the hands-free microphone
+    // stream, which stays open after recognition ends; without it a new
+    // stream is opened and released again afterwards.
+    const startRecording = useCallback((openStream = null) => {
+        const streamPromise = openStream ? Promise.resolve(openStream) : navigator.mediaDevices.getUserMedia({ audio: true });
+        streamPromise
+            .then(stream => {
+                console.log("Microphone access granted.");
+                const keepStreamOpen = stream === openStream;
+                if (!keepStreamOpen) setMicStream(stream);
+                setCandidateInput(''); setFinalTranscript(''); setErrorMessage('');
+                answerSpokenAtRef.current = Date.now();
+                const releaseStream = () => {
+                    if (keepStreamOpen) return;
+                    stream.getTracks().forEach(track => track.stop());
+                    setMicStream(null);
+                };
+
+                try {
+                    recognitionInstance.current = startSpeechRecognition(sttSettings, stream, {
+                        onTranscript: ({ final, interim }) => {
+                            setCandidateInput(final && interim ? `${final} ${interim}` : final + interim);
+                            if (final) setFinalTranscript(final);
+                        },
+                        onError: (error) => {
+                            console.error('Speech recognition error:', error);
+                            setErrorMessage(`Speech error: ${error.message}`);
+                            setIsRecording(false); setIsStopping(false);
+                            speechTimerRef.current?.stop();
+                            releaseStream();
+                            recognitionInstance.current = null;
+                            autoSubmitPendingRef.current = false;
+                        },
+                        onEnd: () => {
+                            console.log("Speech recognition ended.");
+                            setIsRecording(false); setIsStopping(false);
+                            speechTimerRef.current?.stop();
+                            releaseStream();
+                            recognitionInstance.current = null;
+                        }
+                    });
+                } catch (error) {
+                    releaseStream();
+                    throw error;
+                }
+                console.log(`Speech recognition started (${recognitionInstance.current.provider}, ${sttSettings.language}).`);
+                speechTimerRef.current?.stop();
+                speechTimerRef.current = createSpeechTimer(stream);
+                setIsRecording(true);
+            })
+            .catch(error => {
+                console.error("Failed to start recording:", error);
+                setErrorMessage(error.name === 'NotAllowedError' || error.name === 'NotFoundError'
+                    ? `Could not access microphone: ${error.message}. Please check browser permissions.`
+                    : `Could not start speech recognition: ${error.message}`);
+                setIsRecording(false); setIsStopping(false);
+                if (!openStream) setMicStream(null);
+            });
+    }, [sttSettings]);
+
+    const stopRecording = useCallback(() => {
+        if (!recognitionInstance.current || isStopping) {
+            console.log("Stop recording ignored: No instance or already stopping.");
+            return;
+        }
+        console.log("Attempting to stop speech recognition...");
+        setIsStopping(true);
+        recognitionInstance.current.stop();
+        speechTimerRef.current?.stop();
+        // The hands-free stream stays open to detect the next answer.
+        if (micStream && !isHandsFree) {
+            micStream.getTracks().forEach(track => track.stop());
+            setMicStream(null);
+            console.log("Microphone stream tracks stopped manually.");
+        }
+    }, [isStopping, micStream, isHandsFree]);
 
     const handleToggleRecording = useCallback(() => {
-        if (!recognitionAvailable) {
-            setErrorMessage("Speech recognition is not available in this browser.");
+        if (!sttProvider) {
+            setErrorMessage("Speech recognition is not available in this browser. Choose another speech backend in Voice settings.");
             return;
         }
 
         if (isRecording) {
-            if (recognitionInstance.current && !isStopping) {
-                console.log("Attempting to stop speech recognition...");
-                setIsStopping(true);
-                recognitionInstance.current.stop();
-                if (micStream) {
-                    micStream.getTracks().forEach(track => track.stop());
-                    setMicStream(null);
-                    console.log("Microphone stream tracks stopped manually.");
-                }
-                setTimeout(() => {
-                    if (isStopping) {
-                        console.warn("Recognition 'onend' not fired within 2s. Forcing state cleanup.");
-                        setIsRecording(false); setIsStopping(false);
-                        recognitionInstance.current = null;
-                        if (micStream) { try { micStream.getTracks().forEach(track => track.stop()); setMicStream(null); } catch(e){} }
-                    }
-                }, 2000);
-            } else {
-                console.log("Stop recording ignored: No instance or already stopping.");
-            }
+            autoSubmitPendingRef.current = false;
+            stopRecording();
         } else {
             if (isLoading || isStopping || isEditorOpen) {
                 console.log("Start recording prevented: Busy, stopping, or editor open.");
                 return;
             }
+            startRecording(isHandsFree ? micStream : null);
+        }
+    }, [sttProvider, isRecording, isLoading, isStopping, isEditorOpen, isHandsFree, micStream, startRecording, stopRecording]);
 
-            navigator.mediaDevices.getUserMedia({ audio: true })
-                .then(stream => {
-                    console.log("Microphone access granted.");
-                    setMicStream(stream);
-                    setCandidateInput(''); setFinalTranscript(''); setErrorMessage('');
-
-                    recognitionInstance.current = new SpeechRecognition();
-                    recognitionInstance.current.continuous = true;
-                    recognitionInstance.current.interimResults = true;
-                    recognitionInstance.current.lang = 'en-US';
-
-                    let currentFinal = '';
-
-                    recognitionInstance.current.onresult = (event) => {
-                        let interim = '';
-                        currentFinal = '';
-                        for (let i = 0; i < event.results.length; ++i) {
-                            if (event.results[i].isFinal) {
-                                currentFinal += event.results[i][0].transcript + ' ';
-                            } else {
-                                if (i === event.results.length - 1) {
-                                    interim += event.results[i][0].transcript;
-                                }
-                            }
-                        }
-                        setCandidateInput(currentFinal + interim);
-                        if (currentFinal.trim()) {
-                            setFinalTranscript(currentFinal.trim());
-                        }
-                    };
+    // --- Hands-free Mode ---
+    // The microphone stays open while hands-free mode is on, so the candidate
+    // can interrupt the interviewer and answers end on silence.
+    useEffect(() => {
+        if (!isHandsFree || interviewState !== 'IN_PROGRESS' || isReadOnly) return undefined;
+        let stream = null;
+        let cancelled = false;
+        navigator.mediaDevices.getUserMedia({ audio: { echoCancellation: true, noiseSuppression: true } })
+            .then(openedStream => {
+                if (cancelled) { openedStream.getTracks().forEach(track => track.stop()); return; }
+                stream = openedStream;
+                setMicStream(openedStream);
+                console.log("Hands-free mode: microphone open.");
+            })
+            .catch(error => {
+                console.error("Hands-free mode could not open the microphone:", error);
+                setErrorMessage(`Hands-free mode needs the microphone: ${error.message}`);
+                setSttSettings(prev => ({ ...prev, handsFree: { ...prev.handsFree, enabled: false } }));
+            });
+        return () => {
+            cancelled = true;
+            if (stream) {
+                stream.getTracks().forEach(track => track.stop());
+                setMicStream(current => (current === stream ? null : current));
+            }
+        };
+    }, [isHandsFree, interviewState, isReadOnly]);
+
+    // Index of the interviewer message awaiting an answer, or -1.
+    const awaitedQuestionIndex = conversation.length > 0 && conversation[conversation.length - 1].role === 'interviewer' ? conversation.length - 1 : -1;
+    const isAwaitedQuestionStreaming = awaitedQuestionIndex >= 0 && !!conversation[awaitedQuestionIndex].isStreaming;
+
+    // Barge-in: the candidate talks over the interviewer, so the current and
+    // queued audio is dropped and their answer is recorded straight away.
+    const handleBargeIn = useCallback(() => {
+        console.log("Hands-free mode: candidate started speaking, stopping interviewer audio.");
+        speechTurnRef.current += 1;
+        audioQueueRef.current.forEach(releaseSpeechClip);
+        audioQueueRef.current = [];
+        if (currentTTSAudio) currentTTSAudio.pause();
+        cancelBrowserSpeech();
+        autoListenedIndexRef.current = awaitedQuestionIndex;
+        startRecording(micStream);
+    }, [currentTTSAudio, awaitedQuestionIndex, startRecording, micStream]);
+
+    const handleSilence = useCallback(() => {
+        console.log(`Hands-free mode: ${sttSettings.handsFree.silenceSeconds}s of silence, sending the answer.`);
+        autoSubmitPendingRef.current = true;
+        stopRecording();
+    }, [sttSettings.handsFree.silenceSeconds, stopRecording]);
 
-                    recognitionInstance.current.onerror = (event) => {
-                        console.error('Speech recognition error:', event.error, event.message);
-                        let errorMsg = `Speech error: ${event.message || event.error}`;
-                        setErrorMessage(errorMsg);
-                        setIsRecording(false); setIsStopping(false);
-                        if (micStream) { try { micStream.getTracks().forEach(track => track.stop()); setMicStream(null); } catch(e){} }
-                        recognitionInstance.current = null;
-                    };
+    useEffect(() => {
+        if (!isHandsFree || !micStream) return undefined;
+        const watchBargeIn = isInterviewerSpeaking && !isRecording && !isStopping && !isEditorOpen;
+        const watchSilence = isRecording && !isStopping;
+        if (!watchBargeIn && !watchSilence) return undefined;
+        const detector = createVoiceActivityDetector(micStream, {
+            silenceMs: sttSettings.handsFree.silenceSeconds * 1000,
+            onSpeechStart: watchBargeIn ? handleBargeIn : undefined,
+            onSilence: watchSilence ? handleSilence : undefined
+        });
+        return () => detector.stop();
+    }, [isHandsFree, micStream, isInterviewerSpeaking, isRecording, isStopping, isEditorOpen, sttSettings.handsFree.silenceSeconds, handleBargeIn, handleSilence]);
 
-                    recognitionInstance.current.onend = () => {
-                        console.log("Speech recognition ended.");
-                        setIsRecording(false); setIsStopping(false);
-                        recognitionInstance.current = null;
-                        console.log("Final Transcript State on end:", finalTranscript);
-                    };
+    // Starts listening once the interviewer has finished asking (and
+    // speaking), once per question.
+    useEffect(() => {
+        if (!isHandsFree || !micStream || !sttProvider || interviewState !== 'IN_PROGRESS') return undefined;
+        if (awaitedQuestionIndex < 0 || isAwaitedQuestionStreaming || autoListenedIndexRef.current === awaitedQuestionIndex) return undefined;
+        if (isLoading || isInterviewerSpeaking || isRecording || isStopping || isEditorOpen || failedStep) return undefined;
+        // The short delay bridges the gap between one synthesized sentence
+        // finishing and the next one starting.
+        const timer = setTimeout(() => {
+            autoListenedIndexRef.current = awaitedQuestionIndex;
+            console.log("Hands-free mode: listening for the answer.");
+            startRecording(micStream);
+        }, AUTO_LISTEN_DELAY_MS);
+        return () => clearTimeout(timer);
+    }, [isHandsFree, micStream, sttProvider, interviewState, awaitedQuestionIndex, isAwaitedQuestionStreaming, isLoading, isInterviewerSpeaking, isRecording, isStopping, isEditorOpen, failedStep, startRecording]);
+
+    // Sends the transcript once recognition has finished after a silence.
+    useEffect(() => {
+        if (!autoSubmitPendingRef.current || isRecording || isStopping || isLoading) return;
+        autoSubmitPendingRef.current = false;
+        if ((finalTranscript || candidateInput).trim()) {
+            handleSubmitAnswer();
+        } else {
+            console.log("Hands-free mode: nothing was transcribed, not sending.");
+        }
+    }, [isRecording, isStopping, isLoading, finalTranscript, candidateInput, handleSubmitAnswer]);
 
-                    recognitionInstance.current.start();
-                    console.log("Speech recognition started.");
-                    setIsRecording(true);
-                })
-                .catch(error => {
-                    console.error("Failed to get microphone stream:", error);
-                    setErrorMessage(`Could not access microphone: ${error.message}. Please check browser permissions.`);
-                    setIsRecording(false); setIsStopping(false); setMicStream(null);
-                });
+    // Records the interview audio while it is in progress, when the config
+    // asks for it, and a little longer after it ends so the closing statement
+    // is included.
+    useEffect(() => {
+        if (interviewConfig.recordAudio && isSessionReady && !isReadOnly && interviewState === 'IN_PROGRESS' && isAudioRecordingAvailable()) {
+            setIsCapturingAudio(true);
         }
-    }, [isRecording, isLoading, isStopping, isEditorOpen, micStream, finalTranscript]);
+    }, [interviewConfig.recordAudio, isSessionReady, isReadOnly, interviewState]);
+
+    useEffect(() => {
+        if (!isCapturingAudio || interviewState === 'IN_PROGRESS' || isLoading || isInterviewerSpeaking) return undefined;
+        const timer = setTimeout(() => setIsCapturingAudio(false), CLOSING_AUDIO_GRACE_MS);
+        return () => clearTimeout(timer);
+    }, [isCapturingAudio, interviewState, isLoading, isInterviewerSpeaking]);
+
+    // Each recording run is one segment; chunks are saved as they arrive.
+    useEffect(() => {
+        if (!isCapturingAudio || !sessionId) return undefined;
+        const startedAt = Date.now();
+        const segmentId = `${sessionId}-${startedAt}`;
+        let recorder;
+        try {
+            recorder = createInterviewRecorder({
+                onChunk: (blob, index) => {
+                    appendSessionAudioChunk(sessionId, segmentId, index, blob).catch(error => console.error("Failed to save recorded audio:", error));
+                    const endedAt = Date.now();
+                    setAudioSegments(prev => prev.map(segment => (segment.id === segmentId ? { ...segment, endedAt } : segment)));
+                },
+                onError: (error) => {
+                    console.error("Interview audio recording failed:", error);
+                    setErrorMessage(`Audio recording failed: ${error.message}`);
+                }
+            });
+        } catch (error) {
+            console.error("Could not start interview audio recording:", error);
+            setErrorMessage(`Could not start audio recording: ${error.message}`);
+            return undefined;
+        }
+        console.log(`Recording interview audio (${recorder.mimeType}).`);
+        interviewRecorderRef.current = recorder;
+        setAudioSegments(prev => [...prev, { id: segmentId, startedAt, endedAt: startedAt, mimeType: recorder.mimeType }]);
+        return () => {
+            interviewRecorderRef.current = null;
+            recorder.stop().then(() => console.log("Interview audio recording stopped."));
+        };
+    }, [isCapturingAudio, sessionId]);
+
+    useEffect(() => {
+        const recorder = interviewRecorderRef.current;
+        if (!isCapturingAudio || !micStream || !recorder) return undefined;
+        return recorder.attachStream(micStream);
+    }, [isCapturingAudio, micStream]);
+
+    const showAudioReplay = interviewState === 'ENDED' && currentMode === 'chat' && audioSegments.length > 0 && !isCapturingAudio;
+
+    // The message being spoken at the replay position: the last one that
+    // started at or before it.
+    const spokenMessageIndex = useMemo(() => {
+        if (!showAudioReplay || audioPlaybackTime === null) return -1;
+        return conversation.reduce((active, msg, index) => (
+            msg.role !== 'system' && (msg.spokenAt ?? msg.timestamp) <= audioPlaybackTime ? index : active
+        ), -1);
+    }, [showAudioReplay, audioPlaybackTime, conversation]);
+
+    useEffect(() => {
+        if (spokenMessageIndex < 0) return;
+        chatContainerRef.current?.children[spokenMessageIndex]?.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    }, [spokenMessageIndex]);
+
+    const handleToggleHandsFree = useCallback(() => {
+        const enabled = !isHandsFree;
+        const newSettings = { ...sttSettings, handsFree: { ...sttSettings.handsFree, enabled } };
+        setSttSettings(newSettings);
+        saveSttSettings(newSettings);
+        // Listen for the question already on screen when switching on.
+        autoListenedIndexRef.current = -1;
+        console.log(`Hands-free mode ${enabled ? 'on' : 'off'}.`);
+    }, [isHandsFree, sttSettings]);
+
+    const handleSaveVoiceSettings = useCallback((newSttSettings, newTtsSettings) => {
+        setSttSettings(newSttSettings);
+        saveSttSettings(newSttSettings);
+        setTtsSettings(newTtsSettings);
+        saveTtsSettings(newTtsSettings);
+        setIsVoiceSettingsOpen(false);
+        console.log("Voice settings updated:", resolveSttProvider(newSttSettings), newSttSettings.language, newTtsSettings.provider);
+    }, []);
+
+    const handleSaveLlmSettings = useCallback((newSettings) => {
+        setLlmSettings(newSettings);
+        saveLlmSettings(newSettings);
+        setIsSettingsOpen(false);
+        console.log("LLM settings updated:", getActiveModelLabel(newSettings));
+    }, []);
 
     const visualizerMode = useMemo(() => {
         if (interviewState === 'SETUP' || interviewState === 'ENDED') return "static";
         if (interviewState === 'PLANNING' || interviewState === 'PLANNING_COMPLETE') return "think";
+        if (interviewState === 'PLAN_REVIEW') return isPlanRegenerating ? "think" : "static";
         if (interviewState === 'IN_PROGRESS') {
             if (isRecording) return "play";
             if (isTTSPlaying) return "play";
@@ -1123,7 +1800,7 @@ ${discussion_point ? `Discussion Point: ${discussion_point}` : ''}`;
             return "static";
         }
         return "static";
-    }, [interviewState, isRecording, isTTSPlaying, isLoading]);
+    }, [interviewState, isPlanRegenerating, isRecording, isTTSPlaying, isLoading]);
 
     const visualizerAudioSource = useMemo(() => {
         if (visualizerMode === "play") {
@@ -1167,12 +1844,48 @@ ${discussion_point ? `Discussion Point: ${discussion_point}` : ''}`;
                     <button
                         onClick={() => setIsVoiceEnabled(!isVoiceEnabled)}
                         style={{...styles.controlButton, ...(isVoiceEnabled ? styles.ttsButtonActive : styles.ttsButtonInactive)}}
-                        title={isVoiceEnabled ? 'Disable TTS' : 'Enable TTS'}
-                        disabled={voices.length === 0}
+                        title={ttsProvider ? `${isVoiceEnabled ? 'Disable' : 'Enable'} TTS (${TTS_PROVIDER_LABELS[ttsProvider]})` : 'No text-to-speech provider is available'}
+                        disabled={!ttsProvider}
                     >
                         TTS
                     </button>
-                    <span style={styles.statusIndicator}>Ollama: {OLLAMA_MODEL}</span>
+                    <button
+                        onClick={handleToggleHandsFree}
+                        style={{...styles.controlButton, ...(isHandsFree ? styles.ttsButtonActive : styles.ttsButtonInactive)}}
+                        title={isHandsFree
+                            ? 'Hands-free on: listens after each question, sends after silence; speak to interrupt'
+                            : 'Turn on hands-free conversation'}
+                        disabled={!sttProvider || isRecording || isStopping}
+                    >
+                        Hands-free
+                    </button>
+                    <button
+                        onClick={() => setIsVoiceSettingsOpen(true)}
+                        style={styles.controlButton}
+                        title="Speech Recognition and Hands-free Settings"
+                        disabled={isRecording || isStopping}
+                    >
+                        Voice
+                    </button>
+                    <button
+                        onClick={() => setIsSettingsOpen(true)}
+                        style={styles.controlButton}
+                        title="LLM Provider Settings"
+                        disabled={isLoading}
+                    >
+                        Settings
+                    </button>
+                    <button
+                        onClick={() => navigate('/history')}
+                        style={styles.controlButton}
+                        title="Past Interviews"
+                    >
+                        History
+                    </button>
+                    <span style={styles.statusIndicator} title={getActiveModelLabel(llmSettings)}>{LLM_PROVIDER_LABELS[llmSettings.provider]}</span>
+                    {getRoleModelLabels(llmSettings).map(({ role, label, model }) => (
+                        <span key={role} style={styles.statusIndicator} title={`${label} model`}>{label}: {model}</span>
+                    ))}
                 </div>
             </header>
             <style>
@@ -1201,37 +1914,74 @@ ${discussion_point ? `Discussion Point: ${discussion_point}` : ''}`;
                 )}
 
                 {interviewState === 'SETUP' && (
-                    <div>
-                        <h2>Setup Interview</h2>
-                        {errorMessage && <p style={styles.errorText}>{errorMessage}</p>}
-                        <button onClick={() => navigate('/')} style={styles.buttonPrimary}>Go to Landing Page</button>
-                    </div>
+                    jobDetails?.description && isSessionReady ? (
+                        <div>
+                            {errorMessage && <p style={styles.errorText}>{errorMessage}</p>}
+                            <InterviewConfigPanel
+                                jobDetails={jobDetails}
+                                config={interviewConfig}
+                                onChange={setInterviewConfig}
+                                onStart={handleConfirmConfig}
+                                onCancel={() => navigate('/')}
+                                disabled={isLoading}
+                                templates={planTemplates}
+                                selectedTemplateId={selectedTemplateId}
+                                onSelectTemplate={setSelectedTemplateId}
+                                banks={questionBanks}
+                                resume={resume}
+                                onRemoveResume={() => setResume(null)}
+                            />
+                        </div>
+                    ) : (
+                        <div>
+                            <h2>Setup Interview</h2>
+                            {errorMessage && <p style={styles.errorText}>{errorMessage}</p>}
+                            <button onClick={() => navigate('/')} style={styles.buttonPrimary}>Go to Landing Page</button>
+                        </div>
+                    )
                 )}
 
                 {interviewState === 'PLANNING' && (
                     <>
                         <h2>Setting Up Interview</h2>
-                        <p>Generating interview plan based on the provided job description...</p>
+                        <p>Analyzing the job's competencies and generating a {DIFFICULTY_LABELS[interviewConfig.difficulty]} interview plan ({interviewConfig.topicCount} topic(s), {totalQuestionCount(interviewConfig)} question(s), {interviewConfig.timeBudgetMinutes} min)...</p>
                         <div style={styles.loadingSpinner}></div>
                     </>
                 )}
 
+                {interviewState === 'PLAN_REVIEW' && planDraft && (
+                    <PlanReviewPanel
+                        plan={planDraft}
+                        onChange={setPlanDraft}
+                        onRegenerate={handleRegeneratePlan}
+                        onStart={handleStartReviewedPlan}
+                        onSaveTemplate={handleSavePlanTemplate}
+                        competencies={competencyModel?.competencies}
+                        isRegenerating={isPlanRegenerating}
+                        errorMessage={planReviewError}
+                    />
+                )}
+
                 {(interviewState === 'IN_PROGRESS' || interviewState === 'ENDED' || interviewState === 'PLANNING_COMPLETE') && (
                     <>
+                        {showAudioReplay && (
+                            <AudioReplay sessionId={sessionId} segments={audioSegments} seekTo={audioSeek} onTimeChange={setAudioPlaybackTime} />
+                        )}
                         {currentMode === 'chat' && (
                             <div ref={chatContainerRef} className="chat-box" style={styles.chatBox}>
                                 {conversation.map((msg, index) => (
-                                    <div key={index} style={getMessageStyle(msg.role, msg.content === currentFollowUpQuestionText && isFollowUpActive)}>
+                                    <div key={index} style={{ ...getMessageStyle(msg.role, msg.content === currentFollowUpQuestionText && isFollowUpActive), ...(index === spokenMessageIndex ? styles.messageSpoken : {}) }}>
                                         <strong style={styles.messageRole}>
                                             {msg.role === 'interviewer' ? 'Interviewer' : (msg.role === 'candidate' ? 'You' : 'System')}
                                             {msg.role === 'interviewer' && msg.content === currentFollowUpQuestionText && isFollowUpActive && <span style={styles.followUpIndicator}> (Follow-up)</span>}
+                                            {msg.isStreaming && <span style={styles.streamingIndicator}> (typing...)</span>}
                                         </strong>
                                         {typeof msg.content === 'string' && msg.content.includes('```') ? (
                                             msg.content.split(/(```[\s\S]*?```)/g).map((part, i) => {
                                                 if (part.startsWith('```') && part.endsWith('```')) {
                                                     const languageMatch = part.match(/^```(\w+)\n/);
                                                     const code = languageMatch ? part.substring(languageMatch[0].length, part.length - 3).trim() : part.substring(3, part.length - 3).trim();
-                                                    return <pre key={i} style={styles.codeBlock}>{code}</pre>;
+                                                    return <CodeBlock key={i} code={code} language={languageMatch?.[1]} style={styles.codeBlock} />;
                                                 } else {
                                                     return part.split('\n').map((line, j) => <span key={`${i}-${j}`} style={{ display: 'block' }}>{line}</span>);
                                                 }
@@ -1239,6 +1989,16 @@ ${discussion_point ? `Discussion Point: ${discussion_point}` : ''}`;
                                         ) : (
                                             typeof msg.content === 'string' ? msg.content.split('\n').map((line, i) => <span key={i} style={{ display: 'block' }}>{line}</span>) : <span>{JSON.stringify(msg.content)}</span>
                                         )}
+                                        {msg.codeTimeline && (
+                                            <button onClick={() => setReplayMessage(msg)} style={styles.replayButton} title="Replay how this code was written">
+                                                Replay coding ({formatTimelineOffset(timelineDuration(msg.codeTimeline))})
+                                            </button>
+                                        )}
+                                        {showAudioReplay && msg.role !== 'system' && (
+                                            <button onClick={() => setAudioSeek({ at: msg.spokenAt ?? msg.timestamp })} style={styles.replayButton} title="Play the recorded audio from this message">
+                                                Play from here
+                                            </button>
+                                        )}
                                     </div>
                                 ))}
                                 {isLoading && interviewState === 'IN_PROGRESS' && !lastCandidateAnswer.current && (
@@ -1261,6 +2021,10 @@ ${discussion_point ? `Discussion Point: ${discussion_point}` : ''}`;
                                     </summary>
                                     <pre style={styles.monitorDetails}>
                                         Metrics: {JSON.stringify(interviewLog[interviewLog.length - 1].metrics || {}, null, 2)}
+                                        {interviewLog[interviewLog.length - 1].star && `\nSTAR: ${Object.entries(interviewLog[interviewLog.length - 1].star).map(([part, score]) => `${STAR_LABELS[part]} ${score.toFixed(2)}${score < STAR_COVERAGE_THRESHOLD ? ' (missing)' : ''}`).join(', ')}`}
+                                        {interviewLog[interviewLog.length - 1].approach && `\nApproach: ${interviewLog[interviewLog.length - 1].approach}`}
+                                        {interviewLog[interviewLog.length - 1].delivery && `\nDelivery: ${formatDelivery(interviewLog[interviewLog.length - 1].delivery)}`}
+                                        {interviewLog[interviewLog.length - 1].design && `\nDesign: ${Object.entries(interviewLog[interviewLog.length - 1].design).map(([part, score]) => `${DESIGN_RUBRIC_LABELS[part]} ${score.toFixed(2)}${score < DESIGN_RUBRIC_THRESHOLD ? ' (weak)' : ''}`).join(', ')}`}
                                     </pre>
                                 </details>
                             </div>
@@ -1269,47 +2033,111 @@ ${discussion_point ? `Discussion Point: ${discussion_point}` : ''}`;
                         {interviewLog.length > 0 && (
                             <div style={{ textAlign: 'center', marginBottom: '10px' }}>
                                 <button onClick={generateReport} disabled={isReportLoading} style={isReportLoading ? styles.buttonDisabled : styles.buttonPrimary}>
-                                    {isReportLoading ? 'Generating Report...' : 'Analysis Report'}
+                                    {isReportLoading ? 'Generating Report...' : (report ? 'Regenerate Report' : 'Analysis Report')}
                                 </button>
+                                {report && !isReportLoading && (
+                                    <button onClick={() => setIsReportModalOpen(true)} style={{ ...styles.buttonSecondary, marginLeft: '10px' }}>
+                                        View Saved Report
+                                    </button>
+                                )}
                             </div>
                         )}
 
                         {interviewState === 'IN_PROGRESS' && (
                             <>
+                                {interviewConfig.mode === 'system-design' && isDiagramOpen && (
+                                    <DiagramCanvas
+                                        diagram={diagram}
+                                        onChange={setDiagram}
+                                        disabled={isLoading || isStopping}
+                                        hint={pendingDiagramText
+                                            ? 'The diagram changed and will be attached to your next answer.'
+                                            : (isDiagramEmpty(diagram) ? 'Sketch your design: add boxes, connect them with arrows and name everything.' : 'Diagram already attached. Edit it to attach the new version with your next answer.')}
+                                    />
+                                )}
+
                                 {isEditorOpen && (
                                     <div style={styles.editorOverlay}>
                                         <div style={styles.editorContainer} onClick={(e)=>e.stopPropagation()}>
-                                            <h4 style={styles.editorTitle}>Code Editor</h4>
+                                            <div style={styles.editorHeader}>
+                                                <h4 style={styles.editorTitle}>{currentChallenge ? `Coding Question: ${currentChallenge.functionName}()` : 'Code Editor'}</h4>
+                                                <select
+                                                    value={editorLanguage}
+                                                    onChange={(e) => handleChangeCodeLanguage(e.target.value)}
+                                                    disabled={!!currentChallenge}
+                                                    style={styles.languageSelect}
+                                                    title={currentChallenge ? "Coding questions are answered in JavaScript so the tests can run in the browser" : "Editor language"}
+                                                    aria-label="Editor language"
+                                                >
+                                                    {CODE_LANGUAGES.map(language => <option key={language.id} value={language.id}>{language.label}</option>)}
+                                                </select>
+                                            </div>
                                             <Editor
                                                 height="300px"
-                                                language="javascript" theme="vs-dark"
-                                                value={codeContent} onChange={(value) => setCodeContent(value || '')}
+                                                language={editorLanguage} theme="vs-dark"
+                                                value={codeContent} onChange={handleCodeChange}
                                                 options={{ minimap: { enabled: false }, wordWrap: 'on' }}
                                             />
-                                            <button
-                                                onClick={() => setIsEditorOpen(false)}
-                                                style={{...styles.buttonBase, ...styles.buttonSecondary, marginTop: '10px'}}
-                                            >
-                                                Close Editor
-                                            </button>
+                                            {currentChallenge && (
+                                                <div style={styles.testResults}>
+                                                    {isRunningTests ? (
+                                                        <i>Running hidden tests...</i>
+                                                    ) : testRun ? (
+                                                        <>
+                                                            <strong>{summarizeTestRun(testRun)}</strong>
+                                                            {testRun.code !== codeContent && <span style={styles.testStale}> (code changed since this run)</span>}
+                                                            {testRun.results.map(result => (
+                                                                <div key={result.index} style={result.passed ? styles.testPassed : styles.testFailed}>
+                                                                    Test {result.index + 1}: {result.passed ? 'passed' : (result.timedOut ? 'timed out' : 'failed')} ({result.durationMs.toFixed(1)} ms){result.error ? ` - ${result.error}` : ''}
+                                                                </div>
+                                                            ))}
+                                                        </>
+                                                    ) : (
+                                                        <span>{currentChallenge.tests.length} hidden tests, {TEST_TIME_LIMIT_MS / 1000} s limit each. They also run when you send your answer.</span>
+                                                    )}
+                                                </div>
+                                            )}
+                                            <div style={{ display: 'flex', gap: '10px', marginTop: '10px' }}>
+                                                {currentChallenge && (
+                                                    <button
+                                                        onClick={() => executeTests(codeContent)}
+                                                        disabled={isRunningTests || !codeContent.trim()}
+                                                        style={{...styles.buttonBase, ...(isRunningTests || !codeContent.trim() ? styles.buttonDisabled : styles.buttonSuccess)}}
+                                                    >
+                                                        {isRunningTests ? 'Running...' : 'Run Tests'}
+                                                    </button>
+                                                )}
+                                                <button
+                                                    onClick={() => setIsEditorOpen(false)}
+                                                    style={{...styles.buttonBase, ...styles.buttonSecondary}}
+                                                >
+                                                    Close Editor
+                                                </button>
+                                            </div>
                                         </div>
                                     </div>
                                 )}
 
                                 <div style={styles.inputArea}>
+                                    {currentChallenge && !isEditorOpen && (
+                                        <p style={styles.challengeHint}>
+                                            Coding question: write <code>{currentChallenge.functionName}</code> in the code editor. Your code runs against {currentChallenge.tests.length} hidden tests when you send the answer.
+                                        </p>
+                                    )}
                                     <textarea
                                         rows="3"
                                         placeholder={
-                                            isRecording ? "Listening..." :
+                                            isRecording ? (isHandsFree ? `Listening... (sends after ${sttSettings.handsFree.silenceSeconds}s of silence)` : "Listening...") :
+                                            (isHandsFree && isInterviewerSpeaking ? "Start speaking to interrupt..." :
                                             (isEditorOpen ? "Add comments or context..." :
-                                            (isFollowUpActive ? "Answer the follow-up..." : "Type or record answer..."))
+                                            (isFollowUpActive ? "Answer the follow-up..." : "Type or record answer...")))
                                         }
                                         value={candidateInput}
                                         onChange={(e) => { setCandidateInput(e.target.value); if (finalTranscript) setFinalTranscript(''); }}
                                         disabled={isLoading || isRecording || isStopping || isEditorOpen}
                                         style={styles.textareaInput}
                                         onKeyDown={(e) => {
-                                            if (e.key === 'Enter' && !e.shiftKey && !isLoading && !isRecording && !isStopping && !isEditorOpen) {
+                                            if (e.key === 'Enter' && !e.shiftKey && !isLoading && !failedStep && !isRecording && !isStopping && !isEditorOpen) {
                                                 e.preventDefault(); handleSubmitAnswer();
                                             }
                                         }}
@@ -1323,22 +2151,39 @@ ${discussion_point ? `Discussion Point: ${discussion_point}` : ''}`;
                                         >
                                             {isEditorOpen ? '</> Close' : '</> Code'}
                                         </button>
-                                        {recognitionAvailable && (
+                                        {interviewConfig.mode === 'system-design' && (
                                             <button
-                                                onClick={handleToggleRecording}
-                                                disabled={isLoading || isEditorOpen || isStopping}
-                                                style={isRecording ? styles.buttonRecording : (isLoading || isEditorOpen || isStopping ? styles.buttonDisabled : styles.buttonSecondary)}
-                                                title={isRecording ? "Stop Recording" : "Record Answer"}
+                                                onClick={() => setIsDiagramOpen(!isDiagramOpen)}
+                                                style={styles.buttonCode}
+                                                title={isDiagramOpen ? "Hide Whiteboard" : "Show Whiteboard"}
                                             >
-                                                {isRecording ? 'Stop' : (isStopping ? 'Stopping...' : 'Record')}
+                                                {isDiagramOpen ? 'Hide Diagram' : 'Diagram'}
+                                            </button>
+                                        )}
+                                        <button
+                                            onClick={handleToggleRecording}
+                                            disabled={isLoading || isEditorOpen || isStopping || !sttProvider}
+                                            style={isRecording ? styles.buttonRecording : (isLoading || isEditorOpen || isStopping || !sttProvider ? styles.buttonDisabled : styles.buttonSecondary)}
+                                            title={!sttProvider ? "The selected speech backend is not available in this browser (see Voice settings)" : (isRecording ? "Stop Recording" : "Record Answer")}
+                                        >
+                                            {isRecording ? 'Stop' : (isStopping ? 'Transcribing...' : 'Record')}
+                                        </button>
+                                        {failedStep && (
+                                            <button
+                                                onClick={handleRetryLastStep}
+                                                disabled={isLoading}
+                                                style={isLoading ? styles.buttonDisabled : styles.buttonRetry}
+                                                title={`Re-run the failed ${failedStep.type === 'monitor' ? 'Monitor' : 'Interviewer'} step`}
+                                            >
+                                                Retry last step
                                             </button>
                                         )}
                                         <button
                                             onClick={handleSubmitAnswer}
-                                            disabled={isLoading || isRecording || isStopping || (!candidateInput.trim() && !codeContent.trim())}
-                                            style={(isLoading || isRecording || isStopping || (!candidateInput.trim() && !codeContent.trim())) ? styles.buttonDisabled : styles.buttonSuccess}
+                                            disabled={isLoading || isRunningTests || !!failedStep || isRecording || isStopping || (!candidateInput.trim() && !codeContent.trim() && !pendingDiagramText)}
+                                            style={(isLoading || isRunningTests || failedStep || isRecording || isStopping || (!candidateInput.trim() && !codeContent.trim() && !pendingDiagramText)) ? styles.buttonDisabled : styles.buttonSuccess}
                                         >
-                                            {isLoading ? 'Processing...' : 'Send Answer'}
+                                            {isLoading ? 'Processing...' : (isRunningTests ? 'Running Tests...' : 'Send Answer')}
                                         </button>
                                     </div>
                                     {errorMessage && interviewState === 'IN_PROGRESS' && <p style={{...styles.errorText, width: '100%', textAlign: 'center'}}>{errorMessage}</p>}
@@ -1346,25 +2191,57 @@ ${discussion_point ? `Discussion Point: ${discussion_point}` : ''}`;
                             </>
                         )}
 
-                        {interviewState === 'ENDED' && (
+                        {isReadOnly && (
+                            <div style={{ textAlign: 'center' }}>
+                                <h2>Read-only Transcript</h2>
+                                {errorMessage && <p style={styles.errorText}>{errorMessage}</p>}
+                                <button onClick={() => navigate('/history')} style={{...styles.buttonBase, ...styles.buttonPrimary, marginTop: '15px'}}>Back to History</button>
+                                <div style={{ display: 'flex', gap: '10px', justifyContent: 'center', marginTop: '15px', flexWrap: 'wrap' }}>
+                                    <button onClick={() => handleExportSession('json')} style={{...styles.buttonBase, ...styles.buttonSecondary}}>Export Session (JSON)</button>
+                                    <button onClick={() => handleExportSession('markdown')} style={{...styles.buttonBase, ...styles.buttonSecondary}}>Export Transcript (Markdown)</button>
+                                </div>
+                            </div>
+                        )}
+
+                        {interviewState === 'ENDED' && !isReadOnly && (
                             <div style={{ textAlign: 'center' }}>
                                 <h2>Interview Ended</h2>
                                 {errorMessage && <p style={styles.errorText}>{errorMessage}</p>}
                                 <button onClick={() => navigate('/')} style={{...styles.buttonBase, ...styles.buttonPrimary, marginTop: '15px'}}>Start New Interview</button>
+                                <div style={{ display: 'flex', gap: '10px', justifyContent: 'center', marginTop: '15px', flexWrap: 'wrap' }}>
+                                    <button onClick={() => handleExportSession('json')} style={{...styles.buttonBase, ...styles.buttonSecondary}}>Export Session (JSON)</button>
+                                    <button onClick={() => handleExportSession('markdown')} style={{...styles.buttonBase, ...styles.buttonSecondary}}>Export Transcript (Markdown)</button>
+                                </div>
                             </div>
                         )}
                     </>
                 )}
             </div>
 
-            {isReportModalOpen && (
-                <div style={styles.overlayStyles} onClick={() => setIsReportModalOpen(false)}>
-                    <div style={styles.modalStyles} onClick={(e) => e.stopPropagation()}>
-                        <h2>Analysis Report</h2>
-                        <pre style={{ whiteSpace: 'pre-wrap', fontSize: '0.9em' }}>{report}</pre>
-                        <button onClick={() => setIsReportModalOpen(false)} style={{ ...styles.buttonBase, ...styles.buttonSecondary, marginTop: '10px' }}>Close</button>
-                    </div>
-                </div>
+            {isReportModalOpen && report && (
+                <ReportView report={report} onClose={() => setIsReportModalOpen(false)} />
+            )}
+
+            {replayMessage && (
+                <CodeReplay timeline={replayMessage.codeTimeline} language={replayMessage.codeLanguage} onClose={() => setReplayMessage(null)} />
+            )}
+
+            {isVoiceSettingsOpen && (
+                <VoiceSettingsPanel
+                    sttSettings={sttSettings}
+                    ttsSettings={ttsSettings}
+                    ttsProvider={ttsProvider}
+                    onSave={handleSaveVoiceSettings}
+                    onClose={() => setIsVoiceSettingsOpen(false)}
+                />
+            )}
+
+            {isSettingsOpen && (
+                <LlmSettingsPanel
+                    settings={llmSettings}
+                    onSave={handleSaveLlmSettings}
+                    onClose={() => setIsSettingsOpen(false)}
+                />
             )}
 
             <div style={styles.modeSwitcher}>
@@ -1506,6 +2383,9 @@ const styles = {
     buttonCode: {
         backgroundColor: '#17a2b8', color: '#fff', '&:hover': { backgroundColor: '#138496' }
     },
+    buttonRetry: {
+        backgroundColor: '#fd7e14', color: '#fff', '&:hover': { backgroundColor: '#e8590c' }
+    },
     modeSwitcher: {
         position: 'fixed', bottom: '20px', left: '50%', transform: 'translateX(-50%)',
         display: 'flex', gap: '10px', zIndex: 100
@@ -1535,8 +2415,16 @@ const styles = {
         width: '80%', maxWidth: '800px', backgroundColor: '#222',
         padding: '20px', borderRadius: '8px', border: '1px solid #444'
     },
+    editorHeader: {
+        display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '10px',
+        marginBottom: '15px', borderBottom: '1px solid #444', paddingBottom: '10px'
+    },
     editorTitle: {
-        color: '#fff', marginBottom: '15px', borderBottom: '1px solid #444', paddingBottom: '10px'
+        color: '#fff', margin: 0
+    },
+    languageSelect: {
+        padding: '6px 8px', borderRadius: '8px', border: '1px solid #555',
+        backgroundColor: '#333', color: '#fff', fontSize: '0.9em'
     },
     monitorFeedback: {
         width: '95%', maxWidth: '800px', marginBottom: '20px',
@@ -1545,6 +2433,22 @@ const styles = {
     monitorSummary: {
         color: '#ccc', cursor: 'pointer', fontWeight: 'normal', padding: '5px'
     },
+    testResults: {
+        marginTop: '10px', backgroundColor: '#1a1a1a', padding: '8px 10px', borderRadius: '4px',
+        fontSize: '0.85em', color: '#ddd', maxHeight: '150px', overflowY: 'auto'
+    },
+    testPassed: {
+        color: '#28a745'
+    },
+    testFailed: {
+        color: '#ff6b6b'
+    },
+    testStale: {
+        color: '#ffc107'
+    },
+    challengeHint: {
+        fontSize: '0.85em', color: '#aaa', fontStyle: 'italic', margin: 0
+    },
     monitorDetails: {
         backgroundColor: '#333', padding: '10px', borderRadius: '4px',
         color: '#eee', marginTop: '5px', overflowX: 'auto', fontSize: '0.9em'
@@ -1552,12 +2456,22 @@ const styles = {
     followUpIndicator: {
         color: '#ffd700', fontSize: '0.9em', fontStyle: 'italic', marginLeft: '5px'
     },
+    streamingIndicator: {
+        color: '#8fd3c7', fontSize: '0.9em', fontStyle: 'italic', marginLeft: '5px'
+    },
     codeBlock: {
         backgroundColor: '#444', padding: '10px', borderRadius: '4px',
         overflowX: 'auto', margin: '5px 0',
         fontFamily: "'Consolas', 'Monaco', 'Courier New', monospace",
         fontSize: '0.9em'
     },
+    messageSpoken: {
+        outline: '2px solid #17a2b8', boxShadow: '0 0 6px #17a2b8'
+    },
+    replayButton: {
+        display: 'block', marginTop: '6px', padding: '4px 10px', cursor: 'pointer', borderRadius: '10px',
+        border: '1px solid #17a2b8', backgroundColor: 'transparent', color: '#8fd3e0', fontSize: '0.8em'
+    },
     loadingIndicator: {
         color: '#aaa', fontStyle: 'italic', textAlign: 'center', margin: '15px 0'
     },
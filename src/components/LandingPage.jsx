@@ -1,6 +1,8 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { Search, Sparkles, Code2, Binary, Cpu, ChevronRight } from 'lucide-react';
+import { Search, Sparkles, Code2, Binary, Cpu, ChevronRight, History, FileText, X } from 'lucide-react';
+import { createSessionId } from '../services/sessionStore';
+import { parseResumeFile, RESUME_ACCEPT } from '../services/resume';
 import './LandingPage.css';
 
 const quotes = [
@@ -26,6 +28,10 @@ function LandingPage() {
   const [isPopupOpen, setIsPopupOpen] = useState(false);
   const [directInput, setDirectInput] = useState('');
   const [popupError, setPopupError] = useState('');
+  const [resume, setResume] = useState(null);
+  const [isParsingResume, setIsParsingResume] = useState(false);
+  const [resumeError, setResumeError] = useState('');
+  const resumeInputRef = useRef(null);
   const navigate = useNavigate();
 
   // Mouse parallax effect
@@ -52,6 +58,42 @@ function LandingPage() {
     return () => clearInterval(interval);
   }, []);
 
+  // Resume is parsed locally as soon as it is picked
+  const handleResumeSelected = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    setIsParsingResume(true);
+    setResumeError('');
+    try {
+      const parsed = await parseResumeFile(file);
+      console.log(`Parsed resume ${parsed.fileName} (${parsed.text.length} characters${parsed.truncated ? ', truncated' : ''}).`);
+      setResume(parsed);
+    } catch (err) {
+      console.error("Resume parsing error:", err);
+      setResume(null);
+      setResumeError(err.message || 'Could not read the resume.');
+    } finally {
+      setIsParsingResume(false);
+    }
+  };
+
+  const resumeUpload = (
+    <div className="resume-upload">
+      <input ref={resumeInputRef} type="file" accept={RESUME_ACCEPT} onChange={handleResumeSelected} style={{ display: 'none' }} />
+      <button type="button" onClick={() => resumeInputRef.current?.click()} className="resume-button" disabled={isParsingResume}>
+        <FileText className="history-icon" />
+        {isParsingResume ? 'READING RESUME...' : resume ? `RESUME: ${resume.fileName}` : 'ATTACH RESUME (PDF, DOCX, TXT)'}
+      </button>
+      {resume && !isParsingResume && (
+        <button type="button" onClick={() => setResume(null)} className="resume-remove" title="Remove resume" aria-label="Remove resume">
+          <X className="history-icon" />
+        </button>
+      )}
+      {resumeError && <p className="error-message">{resumeError}</p>}
+    </div>
+  );
+
   // Handle job URL submission and extraction
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -109,7 +151,7 @@ function LandingPage() {
       }
 
       console.log("Extracted Job Data:", extractedData);
-      navigate('/interview', { state: { jobDetails: extractedData } });
+      navigate(`/interview/${createSessionId()}`, { state: { jobDetails: extractedData, resume } });
     } catch (err) {
       console.error("Extraction Error:", err);
       setErrorMessage(err.message || 'Failed to extract job details. Please check the URL and try again.');
@@ -135,7 +177,7 @@ function LandingPage() {
       qualifications: { required: [], preferred: [] }
     };
     setIsPopupOpen(false);
-    navigate('/interview', { state: { jobDetails } });
+    navigate(`/interview/${createSessionId()}`, { state: { jobDetails, resume } });
   };
 
   return (
@@ -170,10 +212,11 @@ function LandingPage() {
                 />
                 <button type="button" onClick={() => setIsPopupOpen(true)} className="add-button">+</button>
               </div>
+              {resumeUpload}
               {errorMessage && <p className="error-message">Error: {errorMessage}</p>}
               <button
                 type="submit"
-                disabled={isAnalyzing || isPopupOpen}
+                disabled={isAnalyzing || isPopupOpen || isParsingResume}
                 className="submit-button"
               >
                 <span className="button-content">
@@ -190,6 +233,9 @@ function LandingPage() {
                 </span>
               </button>
             </form>
+            <button type="button" onClick={() => navigate('/history')} className="history-link">
+              <History className="history-icon" /> PAST INTERVIEWS
+            </button>
           </div>
         </div>
 
@@ -229,10 +275,11 @@ function LandingPage() {
               onChange={(e) => setDirectInput(e.target.value)}
               className="direct-input"
             />
+            {resumeUpload}
             {popupError && <p className="error-message">{popupError}</p>}
             <div className="popup-buttons">
               <button onClick={() => { setIsPopupOpen(false); setDirectInput(''); setPopupError(''); }} className="popup-cancel-button">Cancel</button>
-              <button onClick={handleDirectSubmit} className="popup-submit-button">Submit</button>
+              <button onClick={handleDirectSubmit} className="popup-submit-button" disabled={isParsingResume}>Submit</button>
             </div>
           </div>
         </div>
@@ -0,0 +1,349 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { listPlanTemplates, deletePlanTemplate } from '../services/planTemplates';
+import {
+    listQuestionBanks, saveQuestionBank, deleteQuestionBank, createBankQuestion,
+    questionBankToJson, importQuestionBankFile, listBankSkills
+} from '../services/questionBanks';
+import { DIFFICULTY_LEVELS, DIFFICULTY_LABELS } from '../services/interviewConfig';
+import { downloadTextFile, slugify } from '../services/download';
+
+// --- Question Bank Editor ---
+const QuestionBankEditor = ({ bank, onSave, onCancel }) => {
+    const [draft, setDraft] = useState(bank);
+
+    const updateQuestion = (questionId, changes) => setDraft(prev => ({
+        ...prev,
+        questions: prev.questions.map(question => (question.id === questionId ? { ...question, ...changes } : question))
+    }));
+
+    const usableQuestions = draft.questions.filter(question => question.text.trim() && question.skill.trim());
+    const canSave = draft.name.trim() !== '';
+
+    return (
+        <div style={styles.editor}>
+            <input
+                type="text" style={{ ...styles.input, ...styles.nameInput }}
+                value={draft.name} placeholder="Bank name"
+                onChange={(e) => setDraft(prev => ({ ...prev, name: e.target.value }))}
+                aria-label="Bank name"
+            />
+            {draft.questions.map((question, index) => (
+                <div key={question.id} style={styles.questionRow}>
+                    <span style={styles.index}>{index + 1}.</span>
+                    <textarea
+                        rows="2" style={{ ...styles.input, ...styles.questionInput }}
+                        value={question.text} placeholder="Question text"
+                        onChange={(e) => updateQuestion(question.id, { text: e.target.value })}
+                        aria-label={`Question ${index + 1}`}
+                    />
+                    <input
+                        type="text" style={{ ...styles.input, ...styles.skillInput }}
+                        value={question.skill} placeholder="Skill (e.g. React)"
+                        onChange={(e) => updateQuestion(question.id, { skill: e.target.value })}
+                        aria-label={`Question ${index + 1} skill`}
+                    />
+                    <select
+                        style={styles.input} value={question.difficulty}
+                        onChange={(e) => updateQuestion(question.id, { difficulty: e.target.value })}
+                        aria-label={`Question ${index + 1} difficulty`}
+                    >
+                        {DIFFICULTY_LEVELS.map(level => <option key={level} value={level}>{DIFFICULTY_LABELS[level]}</option>)}
+                    </select>
+                    <button
+                        onClick={() => setDraft(prev => ({ ...prev, questions: prev.questions.filter(q => q.id !== question.id) }))}
+                        style={{ ...styles.buttonBase, ...styles.buttonDanger }} title="Remove question"
+                    >
+                        ✕
+                    </button>
+                </div>
+            ))}
+            <button onClick={() => setDraft(prev => ({ ...prev, questions: [...prev.questions, createBankQuestion()] }))} style={styles.addButton}>
+                + Add question
+            </button>
+            <p style={styles.mutedText}>Questions without text or a skill are dropped when saving.</p>
+            <div style={styles.actions}>
+                <button onClick={onCancel} style={{ ...styles.buttonBase, ...styles.buttonSecondary }}>Cancel</button>
+                <button
+                    onClick={() => onSave({ ...draft, name: draft.name.trim(), questions: usableQuestions.map(q => ({ ...q, text: q.text.trim(), skill: q.skill.trim() })) })}
+                    disabled={!canSave}
+                    style={{ ...styles.buttonBase, ...(canSave ? styles.buttonPrimary : styles.buttonDisabled) }}
+                >
+                    Save Bank
+                </button>
+            </div>
+        </div>
+    );
+};
+
+// --- Plan Templates & Question Banks Page ---
+function LibraryPage() {
+    const navigate = useNavigate();
+    const [templates, setTemplates] = useState([]);
+    const [banks, setBanks] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [errorMessage, setErrorMessage] = useState('');
+    const [editingBank, setEditingBank] = useState(null);
+    const [expandedTemplateId, setExpandedTemplateId] = useState(null);
+    const importInputRef = useRef(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        Promise.all([listPlanTemplates(), listQuestionBanks()])
+            .then(([loadedTemplates, loadedBanks]) => {
+                if (cancelled) return;
+                setTemplates(loadedTemplates);
+                setBanks(loadedBanks);
+            })
+            .catch(error => {
+                console.error("Error loading library:", error);
+                if (!cancelled) setErrorMessage(`Could not load templates and question banks: ${error.message}`);
+            })
+            .finally(() => { if (!cancelled) setIsLoading(false); });
+        return () => { cancelled = true; };
+    }, []);
+
+    const handleDeleteTemplate = useCallback(async (template) => {
+        if (!window.confirm(`Delete the template "${template.name}"?`)) return;
+        try {
+            await deletePlanTemplate(template.id);
+            setTemplates(prev => prev.filter(t => t.id !== template.id));
+        } catch (error) {
+            console.error("Error deleting template:", error);
+            setErrorMessage(`Could not delete template: ${error.message}`);
+        }
+    }, []);
+
+    const handleSaveBank = useCallback(async (bank) => {
+        setErrorMessage('');
+        try {
+            await saveQuestionBank(bank);
+            setBanks(await listQuestionBanks());
+            setEditingBank(null);
+        } catch (error) {
+            console.error("Error saving question bank:", error);
+            setErrorMessage(`Could not save question bank: ${error.message}`);
+        }
+    }, []);
+
+    const handleDeleteBank = useCallback(async (bank) => {
+        if (!window.confirm(`Delete the question bank "${bank.name}" and its ${bank.questions.length} question(s)?`)) return;
+        try {
+            await deleteQuestionBank(bank.id);
+            setBanks(prev => prev.filter(b => b.id !== bank.id));
+        } catch (error) {
+            console.error("Error deleting question bank:", error);
+            setErrorMessage(`Could not delete question bank: ${error.message}`);
+        }
+    }, []);
+
+    const handleImportFile = useCallback(async (event) => {
+        const file = event.target.files?.[0];
+        event.target.value = '';
+        if (!file) return;
+        setErrorMessage('');
+        try {
+            await importQuestionBankFile(await file.text());
+            setBanks(await listQuestionBanks());
+        } catch (error) {
+            console.error("Error importing question bank:", error);
+            setErrorMessage(`Could not import ${file.name}: ${error.message}`);
+        }
+    }, []);
+
+    return (
+        <div style={styles.appContainer}>
+            <header style={styles.header}>
+                <h1>Library</h1>
+                <div style={styles.headerActions}>
+                    <button onClick={() => navigate('/history')} style={{ ...styles.buttonBase, ...styles.buttonSecondary }}>History</button>
+                    <button onClick={() => navigate('/')} style={{ ...styles.buttonBase, ...styles.buttonPrimary }}>New Interview</button>
+                </div>
+            </header>
+
+            <div style={styles.card}>
+                {errorMessage && <p style={styles.errorText}>{errorMessage}</p>}
+                {isLoading && <p style={styles.mutedText}>Loading library...</p>}
+
+                <section style={styles.section}>
+                    <h2 style={styles.sectionTitle}>Plan Templates</h2>
+                    {!isLoading && templates.length === 0 && (
+                        <p style={styles.mutedText}>No templates yet. Save a plan from the plan review step or from a past interview in History.</p>
+                    )}
+                    {templates.map(template => (
+                        <div key={template.id} style={styles.itemCard}>
+                            <div style={styles.itemHeader}>
+                                <div>
+                                    <h3 style={styles.itemTitle}>{template.name}</h3>
+                                    <span style={styles.mutedText}>
+                                        {template.jobTitle ? `${template.jobTitle} · ` : ''}{template.interviewPlan.topics.length} topic(s) · saved {new Date(template.updatedAt).toLocaleDateString()}
+                                    </span>
+                                </div>
+                                <div style={styles.actions}>
+                                    <button onClick={() => setExpandedTemplateId(id => (id === template.id ? null : template.id))} style={{ ...styles.buttonBase, ...styles.buttonSecondary }}>
+                                        {expandedTemplateId === template.id ? 'Hide' : 'Show'} Questions
+                                    </button>
+                                    <button onClick={() => handleDeleteTemplate(template)} style={{ ...styles.buttonBase, ...styles.buttonDanger }}>Delete</button>
+                                </div>
+                            </div>
+                            {expandedTemplateId === template.id && (
+                                <ol style={styles.topicList}>
+                                    {template.interviewPlan.topics.map((topic, index) => (
+                                        <li key={index}>
+                                            <strong>{topic.name}</strong>
+                                            <ul>{topic.questions.map((question, j) => <li key={j}>{question}</li>)}</ul>
+                                        </li>
+                                    ))}
+                                </ol>
+                            )}
+                        </div>
+                    ))}
+                </section>
+
+                <section style={styles.section}>
+                    <div style={styles.itemHeader}>
+                        <h2 style={styles.sectionTitle}>Question Banks</h2>
+                        <div style={styles.actions}>
+                            <input ref={importInputRef} type="file" accept=".json,application/json" onChange={handleImportFile} style={{ display: 'none' }} />
+                            <button onClick={() => importInputRef.current?.click()} style={{ ...styles.buttonBase, ...styles.buttonSecondary }}>Import JSON</button>
+                            <button
+                                onClick={() => setEditingBank({ name: '', questions: [createBankQuestion()] })}
+                                disabled={editingBank !== null}
+                                style={{ ...styles.buttonBase, ...(editingBank !== null ? styles.buttonDisabled : styles.buttonPrimary) }}
+                            >
+                                New Bank
+                            </button>
+                        </div>
+                    </div>
+
+                    {editingBank && !editingBank.id && (
+                        <QuestionBankEditor bank={editingBank} onSave={handleSaveBank} onCancel={() => setEditingBank(null)} />
+                    )}
+                    {!isLoading && banks.length === 0 && !editingBank && (
+                        <p style={styles.mutedText}>No question banks yet. Create one or import a bank exported from another machine.</p>
+                    )}
+                    {banks.map(bank => (editingBank?.id === bank.id ? (
+                        <QuestionBankEditor key={bank.id} bank={editingBank} onSave={handleSaveBank} onCancel={() => setEditingBank(null)} />
+                    ) : (
+                        <div key={bank.id} style={styles.itemCard}>
+                            <div style={styles.itemHeader}>
+                                <div>
+                                    <h3 style={styles.itemTitle}>{bank.name}</h3>
+                                    <span style={styles.mutedText}>{bank.questions.length} question(s) · skills: {listBankSkills(bank).join(', ') || 'none'}</span>
+                                </div>
+                                <div style={styles.actions}>
+                                    <button
+                                        onClick={() => setEditingBank(bank)}
+                                        disabled={editingBank !== null}
+                                        style={{ ...styles.buttonBase, ...(editingBank !== null ? styles.buttonDisabled : styles.buttonSecondary) }}
+                                    >
+                                        Edit
+                                    </button>
+                                    <button
+                                        onClick={() => downloadTextFile(questionBankToJson(bank), `question-bank-${slugify(bank.name)}.json`, 'application/json')}
+                                        style={{ ...styles.buttonBase, ...styles.buttonSecondary }}
+                                    >
+                                        Export JSON
+                                    </button>
+                                    <button onClick={() => handleDeleteBank(bank)} style={{ ...styles.buttonBase, ...styles.buttonDanger }}>Delete</button>
+                                </div>
+                            </div>
+                        </div>
+                    )))}
+                </section>
+            </div>
+        </div>
+    );
+}
+
+// --- Styling ---
+const styles = {
+    appContainer: {
+        minHeight: '100vh', width: '100%', backgroundColor: '#000', color: '#fff',
+        display: 'flex', flexDirection: 'column', alignItems: 'center',
+        padding: '20px', boxSizing: 'border-box',
+        fontFamily: "'Roboto', 'Segoe UI', 'Helvetica Neue', sans-serif",
+    },
+    header: {
+        width: '100%', maxWidth: '900px', display: 'flex', justifyContent: 'space-between',
+        alignItems: 'center', marginBottom: '20px', flexWrap: 'wrap', gap: '10px'
+    },
+    headerActions: {
+        display: 'flex', gap: '10px'
+    },
+    card: {
+        width: '100%', maxWidth: '900px', display: 'flex', flexDirection: 'column', gap: '25px'
+    },
+    section: {
+        display: 'flex', flexDirection: 'column', gap: '12px'
+    },
+    sectionTitle: {
+        margin: 0, fontSize: '1.2em'
+    },
+    itemCard: {
+        backgroundColor: 'rgba(34, 34, 34, 0.9)', border: '1px solid #333', borderRadius: '8px', padding: '15px'
+    },
+    itemHeader: {
+        display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '10px', flexWrap: 'wrap'
+    },
+    itemTitle: {
+        margin: 0, fontSize: '1.05em'
+    },
+    topicList: {
+        fontSize: '0.9em', color: '#ddd', marginBottom: 0
+    },
+    editor: {
+        backgroundColor: '#222', border: '1px solid #444', borderRadius: '8px', padding: '15px',
+        display: 'flex', flexDirection: 'column', gap: '8px'
+    },
+    questionRow: {
+        display: 'flex', gap: '6px', alignItems: 'center'
+    },
+    index: {
+        color: '#888', fontSize: '0.85em', minWidth: '24px'
+    },
+    input: {
+        padding: '8px', borderRadius: '10px', border: '1px solid #555',
+        backgroundColor: '#333', color: '#fff', fontSize: '0.9em', fontFamily: 'inherit'
+    },
+    nameInput: {
+        fontWeight: 'bold'
+    },
+    questionInput: {
+        flexGrow: 1, resize: 'vertical'
+    },
+    skillInput: {
+        width: '150px'
+    },
+    addButton: {
+        alignSelf: 'flex-start', padding: '6px 10px', cursor: 'pointer', borderRadius: '8px',
+        border: '1px dashed #666', backgroundColor: 'transparent', color: '#ccc', fontSize: '0.85em'
+    },
+    actions: {
+        display: 'flex', gap: '8px', flexWrap: 'wrap', justifyContent: 'flex-end'
+    },
+    mutedText: {
+        color: '#aaa', fontSize: '0.9em'
+    },
+    errorText: {
+        color: '#ff6b6b'
+    },
+    buttonBase: {
+        padding: '8px 12px', cursor: 'pointer', borderRadius: '10px', border: 'none',
+        fontSize: '0.85em', fontWeight: '500', color: '#fff'
+    },
+    buttonPrimary: {
+        backgroundColor: '#007bff'
+    },
+    buttonSecondary: {
+        backgroundColor: '#6c757d'
+    },
+    buttonDanger: {
+        backgroundColor: '#dc3545'
+    },
+    buttonDisabled: {
+        backgroundColor: '#555', color: '#aaa', cursor: 'not-allowed', opacity: 0.7
+    },
+};
+
+export default LibraryPage;
@@ -0,0 +1,220 @@
+import React, { useState } from 'react';
+import { LLM_PROVIDERS, LLM_PROVIDER_LABELS, LLM_ROLES, LLM_ROLE_LABELS, DEFAULT_LLM_SETTINGS } from '../services/llm';
+
+// --- LLM Settings Panel ---
+const LlmSettingsPanel = ({ settings, onSave, onClose }) => {
+    const [draft, setDraft] = useState(settings);
+    const providerConfig = draft[draft.provider] || {};
+
+    const updateProviderField = (field, value) => {
+        setDraft(prev => ({ ...prev, [prev.provider]: { ...prev[prev.provider], [field]: value } }));
+    };
+
+    const updateRoleField = (role, field, value) => {
+        setDraft(prev => ({ ...prev, roles: { ...prev.roles, [role]: { ...prev.roles[role], [field]: value } } }));
+    };
+
+    const parseOptionalNumber = (value) => (value === '' ? null : Number(value));
+
+    const handleReset = () => {
+        setDraft(prev => ({ ...prev, [prev.provider]: { ...DEFAULT_LLM_SETTINGS[prev.provider] } }));
+    };
+
+    return (
+        <div style={styles.overlay} onClick={onClose}>
+            <div style={styles.panel} onClick={(e) => e.stopPropagation()}>
+                <h2 style={styles.title}>LLM Settings</h2>
+
+                <label style={styles.label} htmlFor="llm-provider">Provider</label>
+                <select
+                    id="llm-provider"
+                    value={draft.provider}
+                    onChange={(e) => setDraft(prev => ({ ...prev, provider: e.target.value }))}
+                    style={styles.input}
+                >
+                    {Object.values(LLM_PROVIDERS).map(provider => (
+                        <option key={provider} value={provider}>{LLM_PROVIDER_LABELS[provider]}</option>
+                    ))}
+                </select>
+
+                {draft.provider !== LLM_PROVIDERS.MOCK && (
+                    <>
+                        <label style={styles.label} htmlFor="llm-endpoint">Endpoint (base URL)</label>
+                        <input
+                            id="llm-endpoint" type="text" style={styles.input}
+                            value={providerConfig.endpoint || ''}
+                            onChange={(e) => updateProviderField('endpoint', e.target.value)}
+                        />
+                        <label style={styles.label} htmlFor="llm-model">Model</label>
+                        <input
+                            id="llm-model" type="text" style={styles.input}
+                            value={providerConfig.model || ''}
+                            onChange={(e) => updateProviderField('model', e.target.value)}
+                        />
+                        <label style={styles.checkboxLabel}>
+                            <input
+                                type="checkbox"
+                                checked={!!providerConfig.structuredOutput}
+                                onChange={(e) => updateProviderField('structuredOutput', e.target.checked)}
+                            />
+                            Send JSON schemas for structured output (disable for servers without schema support)
+                        </label>
+                    </>
+                )}
+
+                {draft.provider === LLM_PROVIDERS.OPENAI_COMPATIBLE && (
+                    <>
+                        <label style={styles.label} htmlFor="llm-api-key">API Key (optional)</label>
+                        <input
+                            id="llm-api-key" type="password" style={styles.input}
+                            value={providerConfig.apiKey || ''}
+                            onChange={(e) => updateProviderField('apiKey', e.target.value)}
+                        />
+                        <label style={styles.checkboxLabel}>
+                            <input
+                                type="checkbox"
+                                checked={!!providerConfig.jsonMode}
+                                onChange={(e) => updateProviderField('jsonMode', e.target.checked)}
+                            />
+                            Request JSON mode (<code>response_format</code>)
+                        </label>
+                    </>
+                )}
+
+                <label style={styles.checkboxLabel}>
+                    <input
+                        type="checkbox"
+                        checked={!!draft.streamInterviewer}
+                        onChange={(e) => setDraft(prev => ({ ...prev, streamInterviewer: e.target.checked }))}
+                    />
+                    Stream interviewer responses (speech starts after the first sentence)
+                </label>
+
+                <div style={styles.inlineFields}>
+                    <label style={styles.label} htmlFor="llm-timeout">Timeout (s)</label>
+                    <input
+                        id="llm-timeout" type="number" min="5" step="5" style={{ ...styles.input, width: '80px' }}
+                        value={draft.timeoutSeconds}
+                        onChange={(e) => setDraft(prev => ({ ...prev, timeoutSeconds: Math.max(1, Number(e.target.value) || 1) }))}
+                    />
+                    <label style={styles.label} htmlFor="llm-retries">Retries</label>
+                    <input
+                        id="llm-retries" type="number" min="0" max="5" step="1" style={{ ...styles.input, width: '60px' }}
+                        value={draft.maxRetries}
+                        onChange={(e) => setDraft(prev => ({ ...prev, maxRetries: Math.min(5, Math.max(0, parseInt(e.target.value, 10) || 0)) }))}
+                    />
+                </div>
+
+                {draft.provider === LLM_PROVIDERS.MOCK && (
+                    <p style={styles.hint}>The mock provider returns deterministic canned responses without any network calls. Useful for UI development and demos.</p>
+                )}
+
+                {draft.provider !== LLM_PROVIDERS.MOCK && (
+                    <>
+                        <h3 style={styles.sectionTitle}>Per-role Models</h3>
+                        <p style={styles.hint}>Leave a field empty to use the provider model ({providerConfig.model}) or the server's default parameters.</p>
+                        <div style={styles.roleGrid}>
+                            <span style={styles.roleHeader}>Role</span>
+                            <span style={styles.roleHeader}>Model</span>
+                            <span style={styles.roleHeader}>Temp.</span>
+                            <span style={styles.roleHeader}>Max Tokens</span>
+                            {Object.values(LLM_ROLES).map(role => (
+                                <React.Fragment key={role}>
+                                    <span style={styles.roleName}>{LLM_ROLE_LABELS[role]}</span>
+                                    <input
+                                        type="text" style={styles.input}
+                                        placeholder={providerConfig.model}
+                                        value={draft.roles[role].model || ''}
+                                        onChange={(e) => updateRoleField(role, 'model', e.target.value)}
+                                        aria-label={`${LLM_ROLE_LABELS[role]} model`}
+                                    />
+                                    <input
+                                        type="number" min="0" max="2" step="0.1" style={styles.input}
+                                        placeholder="default"
+                                        value={draft.roles[role].temperature ?? ''}
+                                        onChange={(e) => updateRoleField(role, 'temperature', parseOptionalNumber(e.target.value))}
+                                        aria-label={`${LLM_ROLE_LABELS[role]} temperature`}
+                                    />
+                                    <input
+                                        type="number" min="1" step="1" style={styles.input}
+                                        placeholder="default"
+                                        value={draft.roles[role].maxTokens ?? ''}
+                                        onChange={(e) => updateRoleField(role, 'maxTokens', parseOptionalNumber(e.target.value))}
+                                        aria-label={`${LLM_ROLE_LABELS[role]} max tokens`}
+                                    />
+                                </React.Fragment>
+                            ))}
+                        </div>
+                    </>
+                )}
+
+                <div style={styles.buttonRow}>
+                    <button onClick={handleReset} style={{ ...styles.button, ...styles.buttonSecondary }}>Reset Provider Defaults</button>
+                    <button onClick={onClose} style={{ ...styles.button, ...styles.buttonSecondary }}>Cancel</button>
+                    <button onClick={() => onSave(draft)} style={{ ...styles.button, ...styles.buttonPrimary }}>Save</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// --- Styling ---
+const styles = {
+    overlay: {
+        position: 'fixed', top: 0, left: 0, width: '100%', height: '100%',
+        backgroundColor: 'rgba(0, 0, 0, 0.6)', zIndex: 1100,
+        display: 'flex', justifyContent: 'center', alignItems: 'center'
+    },
+    panel: {
+        width: '90%', maxWidth: '560px', backgroundColor: '#222', color: '#fff',
+        padding: '20px', borderRadius: '8px', border: '1px solid #444',
+        display: 'flex', flexDirection: 'column', gap: '6px', textAlign: 'left',
+        maxHeight: '85vh', overflowY: 'auto'
+    },
+    title: {
+        marginBottom: '10px', borderBottom: '1px solid #444', paddingBottom: '10px'
+    },
+    sectionTitle: {
+        fontSize: '1em', marginTop: '18px', borderTop: '1px solid #444', paddingTop: '12px'
+    },
+    roleGrid: {
+        display: 'grid', gridTemplateColumns: '90px 1fr 70px 90px', gap: '6px', alignItems: 'center', marginTop: '6px'
+    },
+    roleHeader: {
+        fontSize: '0.75em', color: '#999', textTransform: 'uppercase'
+    },
+    roleName: {
+        fontSize: '0.9em', color: '#ddd'
+    },
+    label: {
+        fontSize: '0.85em', color: '#ccc', marginTop: '8px'
+    },
+    checkboxLabel: {
+        fontSize: '0.85em', color: '#ccc', marginTop: '10px', display: 'flex', gap: '8px', alignItems: 'center'
+    },
+    input: {
+        padding: '8px', borderRadius: '10px', border: '1px solid #555',
+        backgroundColor: '#333', color: '#fff', fontSize: '0.95em'
+    },
+    inlineFields: {
+        display: 'flex', gap: '8px', alignItems: 'center', flexWrap: 'wrap'
+    },
+    hint: {
+        fontSize: '0.85em', color: '#aaa', fontStyle: 'italic', marginTop: '8px'
+    },
+    buttonRow: {
+        display: 'flex', justifyContent: 'flex-end', gap: '10px', marginTop: '20px', flexWrap: 'wrap'
+    },
+    button: {
+        padding: '8px 14px', cursor: 'pointer', borderRadius: '10px', border: 'none',
+        fontSize: '0.9em', fontWeight: '500', color: '#fff'
+    },
+    buttonPrimary: {
+        backgroundColor: '#007bff'
+    },
+    buttonSecondary: {
+        backgroundColor: '#6c757d'
+    },
+};
+
+export default LlmSettingsPanel;
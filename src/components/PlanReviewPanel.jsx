@@ -0,0 +1,247 @@
+import React from 'react';
+import {
+    createEditableQuestion, createEditableTopic, moveItem, validateEditablePlan, hasRegenerableItems
+} from '../services/planEditing';
+
+// --- Plan Review Editor ---
+// Controlled editor for the editable plan. Regeneration is delegated to the
+// parent through onRegenerate(scope) so it can own the LLM call and loading state.
+const PlanReviewPanel = ({ plan, onChange, onRegenerate, onStart, onSaveTemplate, competencies, isRegenerating, errorMessage }) => {
+    const problems = validateEditablePlan(plan);
+    const codingChallenges = new Map((plan.codingChallenges || []).map(challenge => [challenge.question, challenge]));
+
+    const updateTopics = (updater) => onChange({ ...plan, topics: updater(plan.topics) });
+
+    const updateTopic = (topicIndex, changes) => updateTopics(topics => topics.map((topic, i) => (i === topicIndex ? { ...topic, ...changes } : topic)));
+
+    const updateQuestions = (topicIndex, updater) => updateTopics(topics => topics.map((topic, i) => (
+        i === topicIndex ? { ...topic, questions: updater(topic.questions) } : topic
+    )));
+
+    const updateQuestion = (topicIndex, questionIndex, changes) => updateQuestions(topicIndex, questions => questions.map((question, j) => (
+        j === questionIndex ? { ...question, ...changes } : question
+    )));
+
+    const iconButton = (label, title, onClick, disabled = false, extraStyle = {}) => (
+        <button
+            onClick={onClick} disabled={disabled || isRegenerating} title={title}
+            style={{ ...styles.iconButton, ...extraStyle, ...(disabled || isRegenerating ? styles.iconButtonDisabled : {}) }}
+        >
+            {label}
+        </button>
+    );
+
+    return (
+        <div style={styles.panel}>
+            <div style={styles.headerRow}>
+                <h2 style={styles.title}>Review Interview Plan</h2>
+                <span style={styles.hint}>Locked items are kept when regenerating.</span>
+            </div>
+
+            {competencies?.length > 0 && (
+                <div style={styles.competencyList} title="Topics and question counts were allocated by these weights">
+                    {competencies.map(competency => (
+                        <span
+                            key={competency.name} title={competency.rationale}
+                            style={{ ...styles.competencyChip, ...(competency.priority === 'preferred' ? styles.competencyPreferred : {}) }}
+                        >
+                            {competency.name} · {competency.weight}/5
+                        </span>
+                    ))}
+                </div>
+            )}
+
+            {plan.topics.map((topic, topicIndex) => (
+                <div key={topic.id} style={{ ...styles.topicCard, ...(topic.locked ? styles.lockedCard : {}) }}>
+                    <div style={styles.row}>
+                        <span style={styles.index}>{topicIndex + 1}.</span>
+                        <input
+                            type="text" style={{ ...styles.input, ...styles.topicInput }}
+                            value={topic.name} placeholder="Topic name"
+                            onChange={(e) => updateTopic(topicIndex, { name: e.target.value })}
+                            disabled={isRegenerating}
+                            aria-label={`Topic ${topicIndex + 1} name`}
+                        />
+                        {iconButton(topic.locked ? 'Unlock' : 'Lock', topic.locked ? 'Allow the Planner to change this topic' : 'Keep this topic and its questions when regenerating', () => updateTopic(topicIndex, { locked: !topic.locked }), false, topic.locked ? styles.lockActive : {})}
+                        {iconButton('↑', 'Move topic up', () => updateTopics(topics => moveItem(topics, topicIndex, -1)), topicIndex === 0)}
+                        {iconButton('↓', 'Move topic down', () => updateTopics(topics => moveItem(topics, topicIndex, 1)), topicIndex === plan.topics.length - 1)}
+                        {iconButton('↻', 'Regenerate the unlocked parts of this topic', () => onRegenerate({ topicIndex }), !hasRegenerableItems(plan, { topicIndex }))}
+                        {iconButton('✕', 'Delete topic', () => updateTopics(topics => topics.filter((_, i) => i !== topicIndex)), false, styles.deleteButton)}
+                    </div>
+
+                    {topic.questions.map((question, questionIndex) => (
+                        <div key={question.id} style={{ ...styles.row, ...styles.questionRow }}>
+                            <span style={styles.index}>
+                                {topicIndex + 1}.{questionIndex + 1}
+                                {codingChallenges.has(question.text.trim()) && (
+                                    <span style={styles.codingChip} title={`Coding question with ${codingChallenges.get(question.text.trim()).tests.length} hidden tests. Editing the statement drops its tests.`}>
+                                        Code
+                                    </span>
+                                )}
+                            </span>
+                            <textarea
+                                rows="2" style={{ ...styles.input, ...styles.questionInput, ...(question.locked ? styles.lockedInput : {}) }}
+                                value={question.text} placeholder="Question text"
+                                onChange={(e) => updateQuestion(topicIndex, questionIndex, { text: e.target.value })}
+                                disabled={isRegenerating}
+                                aria-label={`Question ${topicIndex + 1}.${questionIndex + 1}`}
+                            />
+                            {iconButton(question.locked ? 'Unlock' : 'Lock', question.locked ? 'Allow the Planner to change this question' : 'Keep this question when regenerating', () => updateQuestion(topicIndex, questionIndex, { locked: !question.locked }), topic.locked, question.locked ? styles.lockActive : {})}
+                            {iconButton('↑', 'Move question up', () => updateQuestions(topicIndex, questions => moveItem(questions, questionIndex, -1)), questionIndex === 0)}
+                            {iconButton('↓', 'Move question down', () => updateQuestions(topicIndex, questions => moveItem(questions, questionIndex, 1)), questionIndex === topic.questions.length - 1)}
+                            {iconButton('↻', 'Regenerate this question', () => onRegenerate({ topicIndex, questionIndex }), !hasRegenerableItems(plan, { topicIndex, questionIndex }))}
+                            {iconButton('✕', 'Delete question', () => updateQuestions(topicIndex, questions => questions.filter((_, j) => j !== questionIndex)), false, styles.deleteButton)}
+                        </div>
+                    ))}
+
+                    <button
+                        onClick={() => updateQuestions(topicIndex, questions => [...questions, createEditableQuestion()])}
+                        disabled={isRegenerating}
+                        style={styles.addButton}
+                    >
+                        + Add question
+                    </button>
+                </div>
+            ))}
+
+            <button onClick={() => updateTopics(topics => [...topics, createEditableTopic()])} disabled={isRegenerating} style={styles.addButton}>
+                + Add topic
+            </button>
+
+            {errorMessage && <p style={styles.errorText}>{errorMessage}</p>}
+            {problems.length > 0 && (
+                <ul style={styles.problemList}>
+                    {problems.map(problem => <li key={problem}>{problem}</li>)}
+                </ul>
+            )}
+
+            <div style={styles.buttonRow}>
+                {onSaveTemplate && (
+                    <button
+                        onClick={onSaveTemplate}
+                        disabled={isRegenerating || problems.length > 0}
+                        style={{ ...styles.button, ...(isRegenerating || problems.length > 0 ? styles.buttonDisabled : styles.buttonSecondary) }}
+                        title="Save this plan so it can be reused for other interviews"
+                    >
+                        Save as Template
+                    </button>
+                )}
+                <button
+                    onClick={() => onRegenerate({})}
+                    disabled={isRegenerating || !hasRegenerableItems(plan)}
+                    style={{ ...styles.button, ...(isRegenerating || !hasRegenerableItems(plan) ? styles.buttonDisabled : styles.buttonSecondary) }}
+                    title="Re-run the Planner for every unlocked topic and question"
+                >
+                    {isRegenerating ? 'Regenerating...' : 'Regenerate Unlocked'}
+                </button>
+                <button
+                    onClick={onStart}
+                    disabled={isRegenerating || problems.length > 0}
+                    style={{ ...styles.button, ...(isRegenerating || problems.length > 0 ? styles.buttonDisabled : styles.buttonPrimary) }}
+                >
+                    Start Interview
+                </button>
+            </div>
+        </div>
+    );
+};
+
+// --- Styling ---
+const styles = {
+    panel: {
+        width: '100%', maxWidth: '760px', margin: '0 auto', textAlign: 'left',
+        backgroundColor: '#222', padding: '20px', borderRadius: '8px', border: '1px solid #444',
+        display: 'flex', flexDirection: 'column', gap: '12px'
+    },
+    headerRow: {
+        display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', flexWrap: 'wrap', gap: '10px'
+    },
+    title: {
+        margin: 0
+    },
+    competencyList: {
+        display: 'flex', flexWrap: 'wrap', gap: '6px'
+    },
+    competencyChip: {
+        fontSize: '0.8em', padding: '3px 8px', borderRadius: '12px', backgroundColor: '#1e3a5f', color: '#cfe2ff'
+    },
+    codingChip: {
+        display: 'block', marginTop: '4px', fontSize: '0.8em', padding: '1px 4px', borderRadius: '8px',
+        backgroundColor: '#17a2b8', color: '#fff', textAlign: 'center'
+    },
+    competencyPreferred: {
+        backgroundColor: '#333', color: '#bbb'
+    },
+    topicCard: {
+        border: '1px solid #444', borderRadius: '8px', padding: '10px', display: 'flex', flexDirection: 'column', gap: '8px'
+    },
+    lockedCard: {
+        borderColor: '#ffc107'
+    },
+    row: {
+        display: 'flex', gap: '6px', alignItems: 'center'
+    },
+    questionRow: {
+        paddingLeft: '20px'
+    },
+    index: {
+        color: '#888', fontSize: '0.85em', minWidth: '28px'
+    },
+    input: {
+        padding: '8px', borderRadius: '10px', border: '1px solid #555',
+        backgroundColor: '#333', color: '#fff', fontSize: '0.95em', fontFamily: 'inherit'
+    },
+    topicInput: {
+        flexGrow: 1, fontWeight: 'bold'
+    },
+    questionInput: {
+        flexGrow: 1, resize: 'vertical'
+    },
+    lockedInput: {
+        borderColor: '#ffc107'
+    },
+    iconButton: {
+        padding: '6px 8px', cursor: 'pointer', borderRadius: '8px', border: 'none',
+        backgroundColor: '#444', color: '#fff', fontSize: '0.8em', whiteSpace: 'nowrap'
+    },
+    iconButtonDisabled: {
+        opacity: 0.4, cursor: 'not-allowed'
+    },
+    lockActive: {
+        backgroundColor: '#ffc107', color: '#000'
+    },
+    deleteButton: {
+        backgroundColor: '#6b2a30'
+    },
+    addButton: {
+        alignSelf: 'flex-start', padding: '6px 10px', cursor: 'pointer', borderRadius: '8px',
+        border: '1px dashed #666', backgroundColor: 'transparent', color: '#ccc', fontSize: '0.85em'
+    },
+    hint: {
+        fontSize: '0.85em', color: '#aaa', fontStyle: 'italic'
+    },
+    errorText: {
+        color: '#ff6b6b', margin: 0
+    },
+    problemList: {
+        color: '#ffc107', fontSize: '0.85em', margin: 0, paddingLeft: '20px'
+    },
+    buttonRow: {
+        display: 'flex', justifyContent: 'flex-end', gap: '10px', marginTop: '8px'
+    },
+    button: {
+        padding: '8px 14px', cursor: 'pointer', borderRadius: '10px', border: 'none',
+        fontSize: '0.9em', fontWeight: '500', color: '#fff'
+    },
+    buttonPrimary: {
+        backgroundColor: '#007bff'
+    },
+    buttonSecondary: {
+        backgroundColor: '#6c757d'
+    },
+    buttonDisabled: {
+        backgroundColor: '#555', color: '#aaa', cursor: 'not-allowed'
+    },
+};
+
+export default PlanReviewPanel;
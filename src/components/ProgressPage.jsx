@@ -0,0 +1,272 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { listSessions } from '../services/sessionStore';
+import { formatScore, METRIC_KEYS } from '../services/sessionSummary';
+import { buildTopicProgress, WEAK_SCORE_THRESHOLD } from '../services/progressAnalytics';
+
+const CHART_WIDTH = 640;
+const CHART_HEIGHT = 220;
+const CHART_PADDING = 30;
+const DEFAULT_CHARTED_TOPICS = 4;
+const LINE_COLORS = ['#ff6b6b', '#ffc107', '#17a2b8', '#28a745', '#a96bff', '#ff8c42', '#4dabf7', '#e83e8c'];
+
+const formatTrend = (trend) => {
+    if (typeof trend !== 'number') return '—';
+    const sign = trend > 0 ? '+' : '';
+    return `${sign}${trend.toFixed(2)}`;
+};
+
+// Plots each topic's overall score per session on a shared timeline.
+const TopicTrendChart = ({ topics }) => {
+    const dates = [...new Set(topics.flatMap(topic => topic.history.map(point => point.date)))].sort((a, b) => a - b);
+    if (dates.length === 0) return null;
+    const plotWidth = CHART_WIDTH - CHART_PADDING * 2;
+    const plotHeight = CHART_HEIGHT - CHART_PADDING * 2;
+    // Sessions are spaced evenly rather than by wall-clock time so that a burst
+    // of practice in one afternoon stays readable.
+    const xFor = (date) => CHART_PADDING + (dates.length === 1 ? plotWidth / 2 : (dates.indexOf(date) / (dates.length - 1)) * plotWidth);
+    const yFor = (score) => CHART_PADDING + (1 - score) * plotHeight;
+
+    return (
+        <svg viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} style={styles.chart} role="img" aria-label="Topic score trends">
+            {[0, 0.25, 0.5, 0.75, 1].map(tick => (
+                <g key={tick}>
+                    <line x1={CHART_PADDING} x2={CHART_WIDTH - CHART_PADDING} y1={yFor(tick)} y2={yFor(tick)} stroke="#333" />
+                    <text x={CHART_PADDING - 6} y={yFor(tick) + 4} fill="#888" fontSize="10" textAnchor="end">{tick}</text>
+                </g>
+            ))}
+            <line
+                x1={CHART_PADDING} x2={CHART_WIDTH - CHART_PADDING}
+                y1={yFor(WEAK_SCORE_THRESHOLD)} y2={yFor(WEAK_SCORE_THRESHOLD)}
+                stroke="#dc3545" strokeDasharray="4 4"
+            />
+            {topics.map((topic, index) => {
+                const color = LINE_COLORS[index % LINE_COLORS.length];
+                return (
+                    <g key={topic.key}>
+                        <polyline
+                            fill="none" stroke={color} strokeWidth="2"
+                            points={topic.history.map(point => `${xFor(point.date)},${yFor(point.score)}`).join(' ')}
+                        />
+                        {topic.history.map(point => (
+                            <circle key={point.sessionId} cx={xFor(point.date)} cy={yFor(point.score)} r="4" fill={color}>
+                                <title>{`${topic.name} — ${new Date(point.date).toLocaleDateString()} (${point.jobTitle}): ${formatScore(point.score)}`}</title>
+                            </circle>
+                        ))}
+                    </g>
+                );
+            })}
+        </svg>
+    );
+};
+
+// --- Progress Analytics Page ---
+function ProgressPage() {
+    const navigate = useNavigate();
+    const [topicProgress, setTopicProgress] = useState([]);
+    const [sessionCount, setSessionCount] = useState(0);
+    const [chartedKeys, setChartedKeys] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [errorMessage, setErrorMessage] = useState('');
+
+    useEffect(() => {
+        listSessions()
+            .then(sessions => {
+                const progress = buildTopicProgress(sessions);
+                setTopicProgress(progress);
+                setSessionCount(sessions.filter(session => (session.interviewLog || []).length > 0).length);
+                setChartedKeys(progress.slice(0, DEFAULT_CHARTED_TOPICS).map(topic => topic.key));
+            })
+            .catch(error => {
+                console.error("Failed to load progress data:", error);
+                setErrorMessage(`Could not load saved interviews: ${error.message}`);
+            })
+            .finally(() => setIsLoading(false));
+    }, []);
+
+    const chartedTopics = useMemo(
+        () => topicProgress.filter(topic => chartedKeys.includes(topic.key)),
+        [topicProgress, chartedKeys]
+    );
+    const weakTopics = topicProgress.filter(topic => topic.isConsistentlyWeak);
+
+    const toggleCharted = (key) => {
+        setChartedKeys(prev => (prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key]));
+    };
+
+    return (
+        <div style={styles.appContainer}>
+            <header style={styles.header}>
+                <h1>Progress</h1>
+                <div style={styles.headerActions}>
+                    <button onClick={() => navigate('/history')} style={{ ...styles.buttonBase, ...styles.buttonSecondary }}>History</button>
+                    <button onClick={() => navigate('/')} style={{ ...styles.buttonBase, ...styles.buttonPrimary }}>New Interview</button>
+                </div>
+            </header>
+
+            <div style={styles.card}>
+                {errorMessage && <p style={styles.errorText}>{errorMessage}</p>}
+                {isLoading && <p style={styles.mutedText}>Loading saved interviews...</p>}
+                {!isLoading && topicProgress.length === 0 && !errorMessage && (
+                    <p style={styles.mutedText}>No evaluated answers yet. Complete an interview to start tracking progress per topic.</p>
+                )}
+
+                {topicProgress.length > 0 && (
+                    <>
+                        <p style={styles.mutedText}>
+                            {topicProgress.length} topic(s) across {sessionCount} interview(s). Scores are the average of accuracy, relevance, clarity and completeness, computed locally from saved Monitor logs.
+                        </p>
+
+                        <section style={styles.section}>
+                            <h2 style={styles.sectionTitle}>Consistently Weak Skills</h2>
+                            {weakTopics.length === 0 ? (
+                                <p style={styles.mutedText}>
+                                    No topic has scored below {WEAK_SCORE_THRESHOLD} in most of its sessions (needs at least 2 sessions per topic).
+                                </p>
+                            ) : (
+                                <ul style={styles.weakList}>
+                                    {weakTopics.map(topic => (
+                                        <li key={topic.key} style={styles.weakItem}>
+                                            <strong>{topic.name}</strong> — average {formatScore(topic.averageScore)} over {topic.sessionCount} sessions
+                                            {topic.weakestMetric && <>, weakest on <em>{topic.weakestMetric}</em> ({formatScore(topic.metrics[topic.weakestMetric])})</>}
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                        </section>
+
+                        <section style={styles.section}>
+                            <h2 style={styles.sectionTitle}>Score Trends</h2>
+                            {chartedTopics.length > 0 ? <TopicTrendChart topics={chartedTopics} /> : <p style={styles.mutedText}>Select topics below to chart them.</p>}
+                            <p style={styles.hint}>Dashed line: weakness threshold ({WEAK_SCORE_THRESHOLD}).</p>
+                        </section>
+
+                        <section style={styles.section}>
+                            <h2 style={styles.sectionTitle}>All Topics</h2>
+                            <div style={styles.tableWrapper}>
+                                <table style={styles.table}>
+                                    <thead>
+                                        <tr>
+                                            <th style={styles.th}>Chart</th>
+                                            <th style={styles.th}>Topic</th>
+                                            <th style={styles.th}>Sessions</th>
+                                            <th style={styles.th}>Answers</th>
+                                            {METRIC_KEYS.map(key => <th key={key} style={{ ...styles.th, textTransform: 'capitalize' }}>{key}</th>)}
+                                            <th style={styles.th}>Average</th>
+                                            <th style={styles.th}>Latest</th>
+                                            <th style={styles.th}>Trend</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {topicProgress.map(topic => {
+                                            const colorIndex = chartedTopics.findIndex(charted => charted.key === topic.key);
+                                            return (
+                                                <tr key={topic.key} style={topic.isConsistentlyWeak ? styles.weakRow : undefined}>
+                                                    <td style={styles.td}>
+                                                        <input
+                                                            type="checkbox"
+                                                            checked={chartedKeys.includes(topic.key)}
+                                                            onChange={() => toggleCharted(topic.key)}
+                                                            aria-label={`Chart ${topic.name}`}
+                                                        />
+                                                        {colorIndex !== -1 && <span style={{ ...styles.swatch, backgroundColor: LINE_COLORS[colorIndex % LINE_COLORS.length] }} />}
+                                                    </td>
+                                                    <td style={styles.td}>{topic.name}</td>
+                                                    <td style={styles.td}>{topic.sessionCount}</td>
+                                                    <td style={styles.td}>{topic.answerCount}</td>
+                                                    {METRIC_KEYS.map(key => (
+                                                        <td key={key} style={{ ...styles.td, ...(key === topic.weakestMetric ? styles.weakCell : {}) }}>{formatScore(topic.metrics[key])}</td>
+                                                    ))}
+                                                    <td style={styles.td}>{formatScore(topic.averageScore)}</td>
+                                                    <td style={styles.td}>{formatScore(topic.latestScore)}</td>
+                                                    <td style={{ ...styles.td, color: topic.trend > 0 ? '#28a745' : (topic.trend < 0 ? '#ff6b6b' : '#ccc') }}>{formatTrend(topic.trend)}</td>
+                                                </tr>
+                                            );
+                                        })}
+                                    </tbody>
+                                </table>
+                            </div>
+                        </section>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+}
+
+// --- Styling ---
+const styles = {
+    appContainer: {
+        minHeight: '100vh', width: '100%', backgroundColor: '#000', color: '#fff',
+        display: 'flex', flexDirection: 'column', alignItems: 'center',
+        padding: '20px', boxSizing: 'border-box',
+        fontFamily: "'Roboto', 'Segoe UI', 'Helvetica Neue', sans-serif",
+    },
+    header: {
+        width: '100%', maxWidth: '900px', display: 'flex', justifyContent: 'space-between',
+        alignItems: 'center', marginBottom: '20px', flexWrap: 'wrap', gap: '10px'
+    },
+    headerActions: {
+        display: 'flex', gap: '10px'
+    },
+    card: {
+        width: '100%', maxWidth: '900px', display: 'flex', flexDirection: 'column', gap: '15px'
+    },
+    section: {
+        backgroundColor: 'rgba(34, 34, 34, 0.9)', border: '1px solid #333', borderRadius: '8px', padding: '15px'
+    },
+    sectionTitle: {
+        fontSize: '1.1em', marginTop: 0
+    },
+    chart: {
+        width: '100%', height: 'auto', backgroundColor: '#111', borderRadius: '6px'
+    },
+    weakList: {
+        margin: 0, paddingLeft: '20px', display: 'flex', flexDirection: 'column', gap: '6px'
+    },
+    weakItem: {
+        fontSize: '0.9em', color: '#ffb3b3'
+    },
+    tableWrapper: {
+        overflowX: 'auto'
+    },
+    table: {
+        width: '100%', borderCollapse: 'collapse', fontSize: '0.85em'
+    },
+    th: {
+        textAlign: 'left', padding: '6px 8px', borderBottom: '1px solid #444', color: '#aaa', fontWeight: '500'
+    },
+    td: {
+        padding: '6px 8px', borderBottom: '1px solid #333', color: '#eee'
+    },
+    weakRow: {
+        backgroundColor: 'rgba(220, 53, 69, 0.12)'
+    },
+    weakCell: {
+        color: '#ff6b6b', fontWeight: 'bold'
+    },
+    swatch: {
+        display: 'inline-block', width: '10px', height: '10px', borderRadius: '2px', marginLeft: '6px'
+    },
+    mutedText: {
+        color: '#aaa', fontSize: '0.9em'
+    },
+    hint: {
+        fontSize: '0.8em', color: '#888', fontStyle: 'italic', marginBottom: 0
+    },
+    errorText: {
+        color: '#ff6b6b'
+    },
+    buttonBase: {
+        padding: '8px 12px', cursor: 'pointer', borderRadius: '10px', border: 'none',
+        fontSize: '0.85em', fontWeight: '500', color: '#fff'
+    },
+    buttonPrimary: {
+        backgroundColor: '#007bff'
+    },
+    buttonSecondary: {
+        backgroundColor: '#6c757d'
+    },
+};
+
+export default ProgressPage;
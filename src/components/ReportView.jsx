@@ -0,0 +1,343 @@
+import React, { useState } from 'react';
+import { METRIC_KEYS, formatScore } from '../services/sessionSummary';
+import { HIRING_RECOMMENDATION_LABELS, isStructuredReport } from '../services/report';
+import { reportToMarkdown, reportToJson, reportToHtml, reportFileName, printReport } from '../services/reportExport';
+import { downloadTextFile } from '../services/download';
+import { STAR_PARTS, DESIGN_RUBRIC_PARTS } from '../services/schemas';
+import { STAR_LABELS, STAR_COVERAGE_THRESHOLD } from '../services/behavioral';
+import { DESIGN_RUBRIC_LABELS, DESIGN_RUBRIC_THRESHOLD } from '../services/systemDesign';
+import { formatDelivery, paceLabel, LONG_PAUSE_MS } from '../services/deliveryMetrics';
+import { formatTimelineOffset } from '../services/codeTimeline';
+
+const RECOMMENDATION_COLORS = {
+    strong_hire: '#28a745',
+    hire: '#28a745',
+    lean_hire: '#17a2b8',
+    lean_no_hire: '#ffc107',
+    no_hire: '#dc3545'
+};
+
+const EXPORT_FORMATS = [
+    { label: 'Markdown', extension: 'md', mimeType: 'text/markdown', render: reportToMarkdown },
+    { label: 'JSON', extension: 'json', mimeType: 'application/json', render: reportToJson },
+    { label: 'HTML', extension: 'html', mimeType: 'text/html', render: reportToHtml }
+];
+
+const FindingList = ({ items }) => (
+    items.length > 0 ? (
+        <ul style={styles.findingList}>
+            {items.map((item, index) => (
+                <li key={index} style={styles.findingItem}><strong>{item.title}:</strong> {item.detail}</li>
+            ))}
+        </ul>
+    ) : <p style={styles.mutedText}>None noted.</p>
+);
+
+// --- Analysis Report Modal ---
+const ReportView = ({ report, onClose }) => {
+    const [exportError, setExportError] = useState('');
+
+    const handlePrint = () => {
+        try {
+            setExportError('');
+            printReport(report);
+        } catch (error) {
+            setExportError(error.message);
+        }
+    };
+
+    if (!isStructuredReport(report)) {
+        return (
+            <div style={styles.overlay} onClick={onClose}>
+                <div style={styles.modal} onClick={(e) => e.stopPropagation()}>
+                    <h2>Analysis Report</h2>
+                    <p style={styles.mutedText}>This report was generated in an older format. Regenerate it for score breakdowns and exports.</p>
+                    <pre style={{ whiteSpace: 'pre-wrap', fontSize: '0.9em' }}>{report}</pre>
+                    <button onClick={onClose} style={{ ...styles.button, ...styles.buttonSecondary, marginTop: '10px' }}>Close</button>
+                </div>
+            </div>
+        );
+    }
+
+    const { analysis } = report;
+    const decision = analysis.recommendation.decision;
+
+    return (
+        <div style={styles.overlay} onClick={onClose}>
+            <div style={styles.modal} onClick={(e) => e.stopPropagation()}>
+                <h2 style={styles.title}>Analysis Report</h2>
+                <div style={styles.meta}>
+                    {report.jobTitle} @ {report.company} · {new Date(report.generatedAt).toLocaleString()} · Overall {formatScore(report.overall.score)} ({report.overall.answerCount} answers)
+                </div>
+
+                <div style={{ ...styles.recommendation, borderColor: RECOMMENDATION_COLORS[decision] || '#6c757d' }}>
+                    <strong style={{ color: RECOMMENDATION_COLORS[decision] || '#fff' }}>
+                        Recommendation: {HIRING_RECOMMENDATION_LABELS[decision] || decision}
+                    </strong>
+                    <p style={styles.paragraph}>{analysis.recommendation.rationale}</p>
+                </div>
+
+                <h3 style={styles.sectionTitle}>Summary</h3>
+                <p style={styles.paragraph}>{analysis.summary}</p>
+
+                <h3 style={styles.sectionTitle}>Strengths</h3>
+                <FindingList items={analysis.strengths} />
+
+                <h3 style={styles.sectionTitle}>Areas for Improvement</h3>
+                <FindingList items={analysis.improvements} />
+
+                {report.behavioral && (
+                    <>
+                        <h3 style={styles.sectionTitle}>Behavioral Competencies (STAR coverage)</h3>
+                        <div style={styles.tableWrapper}>
+                            <table style={styles.table}>
+                                <thead>
+                                    <tr>
+                                        <th style={styles.th}>Competency</th>
+                                        <th style={styles.th}>Answers</th>
+                                        {STAR_PARTS.map(part => <th key={part} style={styles.th}>{STAR_LABELS[part]}</th>)}
+                                        <th style={styles.th}>STAR</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {report.behavioral.competencies.map(competency => (
+                                        <tr key={competency.topicIndex}>
+                                            <td style={styles.td}>{competency.name}</td>
+                                            <td style={styles.td}>{competency.answerCount}</td>
+                                            {STAR_PARTS.map(part => (
+                                                <td key={part} style={{ ...styles.td, ...(competency.star[part] < STAR_COVERAGE_THRESHOLD ? styles.weakCell : {}) }}>
+                                                    {formatScore(competency.star[part])}
+                                                </td>
+                                            ))}
+                                            <td style={styles.td}>{formatScore(competency.score)}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    </>
+                )}
+
+                {report.design && (
+                    <>
+                        <h3 style={styles.sectionTitle}>System Design Rubric</h3>
+                        <div style={styles.tableWrapper}>
+                            <table style={styles.table}>
+                                <thead>
+                                    <tr>
+                                        <th style={styles.th}>Topic</th>
+                                        <th style={styles.th}>Answers</th>
+                                        {DESIGN_RUBRIC_PARTS.map(part => <th key={part} style={styles.th}>{DESIGN_RUBRIC_LABELS[part]}</th>)}
+                                        <th style={styles.th}>Design</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {report.design.topics.map(topic => (
+                                        <tr key={topic.topicIndex}>
+                                            <td style={styles.td}>{topic.name}</td>
+                                            <td style={styles.td}>{topic.answerCount}</td>
+                                            {DESIGN_RUBRIC_PARTS.map(part => (
+                                                <td key={part} style={{ ...styles.td, ...(topic.design[part] < DESIGN_RUBRIC_THRESHOLD ? styles.weakCell : {}) }}>
+                                                    {formatScore(topic.design[part])}
+                                                </td>
+                                            ))}
+                                            <td style={styles.td}>{formatScore(topic.score)}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    </>
+                )}
+
+                {report.delivery && (
+                    <>
+                        <h3 style={styles.sectionTitle}>Speech Delivery</h3>
+                        <div style={styles.tableWrapper}>
+                            <table style={styles.table}>
+                                <thead>
+                                    <tr>
+                                        <th style={styles.th}>Spoken answers</th>
+                                        <th style={styles.th}>Pace</th>
+                                        <th style={styles.th}>Avg. length</th>
+                                        <th style={styles.th}>Filler words</th>
+                                        <th style={styles.th}>Long pauses ({LONG_PAUSE_MS / 1000} s+)</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    <tr>
+                                        <td style={styles.td}>{report.delivery.answerCount}</td>
+                                        <td style={{ ...styles.td, ...(paceLabel(report.delivery.wpm) !== 'steady' ? styles.weakCell : {}) }}>
+                                            {report.delivery.wpm} wpm ({report.delivery.slowAnswers} slow, {report.delivery.fastAnswers} fast)
+                                        </td>
+                                        <td style={styles.td}>{report.delivery.averageWords} words, {formatTimelineOffset(report.delivery.averageDurationMs)}</td>
+                                        <td style={styles.td}>
+                                            {report.delivery.fillerCount} ({report.delivery.fillersPer100Words} per 100 words)
+                                            {report.delivery.fillerCount > 0 && (
+                                                <div style={styles.approachNote}>
+                                                    {Object.entries(report.delivery.fillers).sort((a, b) => b[1] - a[1]).map(([filler, count]) => `"${filler}" x${count}`).join(', ')}
+                                                </div>
+                                            )}
+                                        </td>
+                                        <td style={styles.td}>
+                                            {report.delivery.longPauseCount}
+                                            {report.delivery.longPauseCount > 0 && ` (longest ${(report.delivery.longestPauseMs / 1000).toFixed(1)} s)`}
+                                        </td>
+                                    </tr>
+                                </tbody>
+                            </table>
+                        </div>
+                    </>
+                )}
+
+                <h3 style={styles.sectionTitle}>Topic Breakdown</h3>
+                <div style={styles.tableWrapper}>
+                    <table style={styles.table}>
+                        <thead>
+                            <tr>
+                                <th style={styles.th}>Topic</th>
+                                <th style={styles.th}>Answers</th>
+                                {METRIC_KEYS.map(key => <th key={key} style={{ ...styles.th, textTransform: 'capitalize' }}>{key}</th>)}
+                                <th style={styles.th}>Score</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {report.topics.map(topic => (
+                                <tr key={topic.topicIndex}>
+                                    <td style={styles.td}>{topic.name}</td>
+                                    <td style={styles.td}>{topic.answerCount}</td>
+                                    {METRIC_KEYS.map(key => <td key={key} style={styles.td}>{formatScore(topic.metrics[key])}</td>)}
+                                    <td style={styles.td}>{formatScore(topic.score)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+
+                <h3 style={styles.sectionTitle}>Questions</h3>
+                <div style={styles.tableWrapper}>
+                    <table style={styles.table}>
+                        <thead>
+                            <tr>
+                                <th style={styles.th}>#</th>
+                                <th style={styles.th}>Topic</th>
+                                <th style={styles.th}>Question</th>
+                                <th style={styles.th}>Type</th>
+                                <th style={styles.th}>Score</th>
+                                <th style={styles.th}>Action</th>
+                                <th style={styles.th}>Reason</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {report.questions.map(row => (
+                                <tr key={row.number}>
+                                    <td style={styles.td}>{row.number}</td>
+                                    <td style={styles.td}>{row.topicName}</td>
+                                    <td style={styles.td}>{row.question}</td>
+                                    <td style={styles.td}>{row.type}</td>
+                                    <td style={styles.td}>{formatScore(row.score)}</td>
+                                    <td style={styles.td} title={row.action}>{row.actionCode} ({row.action})</td>
+                                    <td style={styles.td}>
+                                        {row.reason}
+                                        {row.approach && <div style={styles.approachNote}>Approach: {row.approach}</div>}
+                                        {row.delivery && <div style={styles.approachNote}>Delivery: {formatDelivery(row.delivery)}</div>}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+
+                {exportError && <p style={styles.errorText}>{exportError}</p>}
+                <div style={styles.buttonRow}>
+                    {EXPORT_FORMATS.map(({ label, extension, mimeType, render }) => (
+                        <button
+                            key={extension}
+                            onClick={() => downloadTextFile(render(report), reportFileName(report, extension), mimeType)}
+                            style={{ ...styles.button, ...styles.buttonSecondary }}
+                        >
+                            Export {label}
+                        </button>
+                    ))}
+                    <button onClick={handlePrint} style={{ ...styles.button, ...styles.buttonSecondary }} title="Open a printable version (use Save as PDF in the print dialog)">
+                        Print / PDF
+                    </button>
+                    <button onClick={onClose} style={{ ...styles.button, ...styles.buttonPrimary }}>Close</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// --- Styling ---
+const styles = {
+    overlay: {
+        position: 'fixed', top: 0, left: 0, width: '100%', height: '100%',
+        backgroundColor: 'rgba(0, 0, 0, 0.5)', zIndex: 999,
+    },
+    modal: {
+        position: 'fixed', top: '50%', left: '50%', transform: 'translate(-50%, -50%)',
+        backgroundColor: '#222', padding: '20px', borderRadius: '8px', width: '90%',
+        maxWidth: '900px', maxHeight: '85%', overflowY: 'auto', zIndex: 1000, color: '#fff', textAlign: 'left'
+    },
+    title: {
+        marginBottom: '4px'
+    },
+    meta: {
+        fontSize: '0.85em', color: '#aaa', marginBottom: '12px'
+    },
+    recommendation: {
+        border: '2px solid', borderRadius: '8px', padding: '10px 12px', margin: '10px 0'
+    },
+    sectionTitle: {
+        fontSize: '1em', marginTop: '18px', marginBottom: '6px', borderTop: '1px solid #444', paddingTop: '12px'
+    },
+    paragraph: {
+        fontSize: '0.9em', lineHeight: 1.5, margin: '6px 0'
+    },
+    findingList: {
+        margin: 0, paddingLeft: '20px', fontSize: '0.9em', lineHeight: 1.5
+    },
+    findingItem: {
+        marginBottom: '4px'
+    },
+    tableWrapper: {
+        overflowX: 'auto'
+    },
+    table: {
+        width: '100%', borderCollapse: 'collapse', fontSize: '0.8em'
+    },
+    th: {
+        textAlign: 'left', padding: '6px 8px', borderBottom: '1px solid #444', color: '#aaa', fontWeight: '500'
+    },
+    weakCell: {
+        color: '#ffc107'
+    },
+    td: {
+        padding: '6px 8px', borderBottom: '1px solid #333', color: '#eee', verticalAlign: 'top'
+    },
+    approachNote: {
+        color: '#aaa', marginTop: '4px'
+    },
+    mutedText: {
+        color: '#aaa', fontSize: '0.9em'
+    },
+    errorText: {
+        color: '#ff6b6b', fontSize: '0.9em'
+    },
+    buttonRow: {
+        display: 'flex', justifyContent: 'flex-end', gap: '10px', marginTop: '20px', flexWrap: 'wrap'
+    },
+    button: {
+        padding: '8px 14px', cursor: 'pointer', borderRadius: '10px', border: 'none',
+        fontSize: '0.9em', fontWeight: '500', color: '#fff'
+    },
+    buttonPrimary: {
+        backgroundColor: '#007bff'
+    },
+    buttonSecondary: {
+        backgroundColor: '#6c757d'
+    },
+};
+
+export default ReportView;
@@ -0,0 +1,244 @@
+import React, { useState } from 'react';
+import {
+    STT_PROVIDERS, STT_PROVIDER_LABELS, STT_LANGUAGES, WHISPER_CHUNK_LIMITS, SILENCE_SECONDS_LIMITS, DEFAULT_STT_SETTINGS,
+    resolveSttProvider, isWebSpeechAvailable
+} from '../services/speechToText';
+import { TTS_PROVIDERS, TTS_PROVIDER_LABELS, DEFAULT_TTS_SETTINGS, isSpeechSynthesisAvailable } from '../services/textToSpeech';
+
+// --- Voice Settings Panel ---
+const VoiceSettingsPanel = ({ sttSettings, ttsSettings, ttsProvider, onSave, onClose }) => {
+    const [draft, setDraft] = useState(sttSettings);
+    const [ttsDraft, setTtsDraft] = useState(ttsSettings);
+    const showsKokoro = ttsDraft.provider === TTS_PROVIDERS.AUTO || ttsDraft.provider === TTS_PROVIDERS.KOKORO;
+    const showsOpenAi = ttsDraft.provider === TTS_PROVIDERS.AUTO || ttsDraft.provider === TTS_PROVIDERS.OPENAI;
+    const resolvedProvider = resolveSttProvider(draft);
+    const usesWhisper = draft.provider === STT_PROVIDERS.WHISPER || (draft.provider === STT_PROVIDERS.AUTO && resolvedProvider === STT_PROVIDERS.WHISPER);
+    const isKnownLanguage = STT_LANGUAGES.some(language => language.id === draft.language);
+
+    const updateWhisperField = (field, value) => {
+        setDraft(prev => ({ ...prev, whisper: { ...prev.whisper, [field]: value } }));
+    };
+
+    const updateTtsField = (provider, field, value) => {
+        setTtsDraft(prev => ({ ...prev, [provider]: { ...prev[provider], [field]: value } }));
+    };
+
+    return (
+        <div style={styles.overlay} onClick={onClose}>
+            <div style={styles.panel} onClick={(e) => e.stopPropagation()}>
+                <h2 style={styles.title}>Voice Settings</h2>
+
+                <h3 style={styles.sectionTitle}>Speech Output</h3>
+                <label style={styles.label} htmlFor="tts-provider">Provider</label>
+                <select
+                    id="tts-provider"
+                    value={ttsDraft.provider}
+                    onChange={(e) => setTtsDraft(prev => ({ ...prev, provider: e.target.value }))}
+                    style={styles.input}
+                >
+                    {Object.values(TTS_PROVIDERS).map(provider => (
+                        <option key={provider} value={provider}>{TTS_PROVIDER_LABELS[provider]}</option>
+                    ))}
+                </select>
+                <p style={styles.hint}>
+                    {ttsProvider ? `Currently speaking with: ${TTS_PROVIDER_LABELS[ttsProvider]}.` : 'No provider is currently available.'}
+                    {ttsDraft.provider === TTS_PROVIDERS.AUTO && ' Providers are tried in order, and one that fails during the interview is replaced by the next.'}
+                </p>
+                {ttsDraft.provider === TTS_PROVIDERS.BROWSER && !isSpeechSynthesisAvailable() && (
+                    <p style={styles.warning}>This browser does not support speech synthesis.</p>
+                )}
+
+                {showsKokoro && (
+                    <>
+                        <label style={styles.label} htmlFor="tts-kokoro-endpoint">Kokoro server</label>
+                        <input
+                            id="tts-kokoro-endpoint" type="text" style={styles.input}
+                            value={ttsDraft.kokoro.endpoint}
+                            onChange={(e) => updateTtsField('kokoro', 'endpoint', e.target.value)}
+                        />
+                    </>
+                )}
+                {showsOpenAi && (
+                    <>
+                        <label style={styles.label} htmlFor="tts-openai-endpoint">OpenAI-compatible speech endpoint</label>
+                        <input
+                            id="tts-openai-endpoint" type="text" style={styles.input}
+                            placeholder="e.g. http://localhost:8000/v1/audio/speech"
+                            value={ttsDraft.openai.endpoint}
+                            onChange={(e) => updateTtsField('openai', 'endpoint', e.target.value)}
+                        />
+                        <div style={styles.inlineFields}>
+                            <label style={styles.label} htmlFor="tts-openai-model">Model</label>
+                            <input
+                                id="tts-openai-model" type="text" style={{ ...styles.input, width: '140px' }}
+                                value={ttsDraft.openai.model}
+                                onChange={(e) => updateTtsField('openai', 'model', e.target.value)}
+                            />
+                            <label style={styles.label} htmlFor="tts-openai-key">API key (optional)</label>
+                            <input
+                                id="tts-openai-key" type="password" style={{ ...styles.input, width: '160px' }}
+                                value={ttsDraft.openai.apiKey}
+                                onChange={(e) => updateTtsField('openai', 'apiKey', e.target.value)}
+                            />
+                        </div>
+                        <label style={styles.label} htmlFor="tts-openai-voices">Voices (comma-separated)</label>
+                        <input
+                            id="tts-openai-voices" type="text" style={styles.input}
+                            value={ttsDraft.openai.voices}
+                            onChange={(e) => updateTtsField('openai', 'voices', e.target.value)}
+                        />
+                        {ttsDraft.provider === TTS_PROVIDERS.AUTO && (
+                            <p style={styles.hint}>Leave the endpoint empty to skip this provider.</p>
+                        )}
+                    </>
+                )}
+
+                <h3 style={styles.sectionTitle}>Speech Recognition</h3>
+                <label style={styles.label} htmlFor="stt-provider">Backend</label>
+                <select
+                    id="stt-provider"
+                    value={draft.provider}
+                    onChange={(e) => setDraft(prev => ({ ...prev, provider: e.target.value }))}
+                    style={styles.input}
+                >
+                    {Object.values(STT_PROVIDERS).map(provider => (
+                        <option key={provider} value={provider}>{STT_PROVIDER_LABELS[provider]}</option>
+                    ))}
+                </select>
+                {resolvedProvider === null && (
+                    <p style={styles.warning}>This backend is not available in this browser, so recording is disabled.</p>
+                )}
+                {resolvedProvider === STT_PROVIDERS.WEB_SPEECH && (
+                    <p style={styles.hint}>Some browsers (e.g. Chrome) send Web Speech audio to a cloud service. Choose the local Whisper server to keep audio on this machine.</p>
+                )}
+
+                <label style={styles.label} htmlFor="stt-language">Language</label>
+                <select
+                    id="stt-language"
+                    value={isKnownLanguage ? draft.language : ''}
+                    onChange={(e) => setDraft(prev => ({ ...prev, language: e.target.value || prev.language }))}
+                    style={styles.input}
+                >
+                    {!isKnownLanguage && <option value="">{draft.language}</option>}
+                    {STT_LANGUAGES.map(language => (
+                        <option key={language.id} value={language.id}>{language.label} ({language.id})</option>
+                    ))}
+                </select>
+
+                {usesWhisper && (
+                    <>
+                        <label style={styles.label} htmlFor="stt-whisper-endpoint">Whisper endpoint</label>
+                        <input
+                            id="stt-whisper-endpoint" type="text" style={styles.input}
+                            value={draft.whisper.endpoint}
+                            onChange={(e) => updateWhisperField('endpoint', e.target.value)}
+                        />
+                        <label style={styles.label} htmlFor="stt-whisper-model">Model (optional)</label>
+                        <input
+                            id="stt-whisper-model" type="text" style={styles.input}
+                            placeholder="e.g. whisper-1 for OpenAI-compatible servers"
+                            value={draft.whisper.model}
+                            onChange={(e) => updateWhisperField('model', e.target.value)}
+                        />
+                        <div style={styles.inlineFields}>
+                            <label style={styles.label} htmlFor="stt-whisper-chunk">Segment length (s)</label>
+                            <input
+                                id="stt-whisper-chunk" type="number" style={{ ...styles.input, width: '70px' }}
+                                min={WHISPER_CHUNK_LIMITS.min} max={WHISPER_CHUNK_LIMITS.max} step="1"
+                                value={draft.whisper.chunkSeconds}
+                                onChange={(e) => updateWhisperField('chunkSeconds', Math.min(WHISPER_CHUNK_LIMITS.max, Math.max(WHISPER_CHUNK_LIMITS.min, parseInt(e.target.value, 10) || WHISPER_CHUNK_LIMITS.min)))}
+                            />
+                        </div>
+                        <p style={styles.hint}>
+                            Audio is sent in segments of this length as 16 kHz WAV, e.g. to whisper.cpp's <code>server</code> (<code>/inference</code>) or an OpenAI-compatible <code>/v1/audio/transcriptions</code> endpoint. Shorter segments show text sooner; longer ones transcribe more accurately.
+                        </p>
+                    </>
+                )}
+                {!isWebSpeechAvailable() && draft.provider === STT_PROVIDERS.AUTO && (
+                    <p style={styles.hint}>This browser has no built-in speech recognition, so the Whisper server is used.</p>
+                )}
+
+                <h3 style={styles.sectionTitle}>Hands-free Mode</h3>
+                <label style={styles.checkboxLabel}>
+                    <input
+                        type="checkbox"
+                        checked={draft.handsFree.enabled}
+                        onChange={(e) => setDraft(prev => ({ ...prev, handsFree: { ...prev.handsFree, enabled: e.target.checked } }))}
+                    />
+                    Listen automatically after each question and send the answer after a pause
+                </label>
+                <div style={styles.inlineFields}>
+                    <label style={styles.label} htmlFor="stt-silence">Send after silence of (s)</label>
+                    <input
+                        id="stt-silence" type="number" style={{ ...styles.input, width: '70px' }}
+                        min={SILENCE_SECONDS_LIMITS.min} max={SILENCE_SECONDS_LIMITS.max} step="0.5"
+                        value={draft.handsFree.silenceSeconds}
+                        onChange={(e) => setDraft(prev => ({ ...prev, handsFree: { ...prev.handsFree, silenceSeconds: Math.min(SILENCE_SECONDS_LIMITS.max, Math.max(SILENCE_SECONDS_LIMITS.min, Number(e.target.value) || SILENCE_SECONDS_LIMITS.min)) } }))}
+                    />
+                </div>
+                <p style={styles.hint}>Start speaking while the interviewer talks to interrupt it. Headphones help keep the interviewer's voice out of the microphone.</p>
+
+                <div style={styles.buttonRow}>
+                    <button onClick={() => { setDraft(DEFAULT_STT_SETTINGS); setTtsDraft(DEFAULT_TTS_SETTINGS); }} style={{ ...styles.button, ...styles.buttonSecondary }}>Reset Defaults</button>
+                    <button onClick={onClose} style={{ ...styles.button, ...styles.buttonSecondary }}>Cancel</button>
+                    <button onClick={() => onSave(draft, ttsDraft)} style={{ ...styles.button, ...styles.buttonPrimary }}>Save</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+// --- Styling ---
+const styles = {
+    overlay: {
+        position: 'fixed', top: 0, left: 0, width: '100%', height: '100%',
+        backgroundColor: 'rgba(0, 0, 0, 0.6)', zIndex: 1100,
+        display: 'flex', justifyContent: 'center', alignItems: 'center'
+    },
+    panel: {
+        width: '90%', maxWidth: '560px', backgroundColor: '#222', color: '#fff',
+        padding: '20px', borderRadius: '8px', border: '1px solid #444',
+        display: 'flex', flexDirection: 'column', gap: '6px', textAlign: 'left',
+        maxHeight: '85vh', overflowY: 'auto'
+    },
+    title: {
+        marginBottom: '10px', borderBottom: '1px solid #444', paddingBottom: '10px'
+    },
+    sectionTitle: {
+        fontSize: '1em', marginTop: '6px'
+    },
+    checkboxLabel: {
+        fontSize: '0.85em', color: '#ccc', marginTop: '10px', display: 'flex', gap: '8px', alignItems: 'center'
+    },
+    label: {
+        fontSize: '0.85em', color: '#ccc', marginTop: '8px'
+    },
+    input: {
+        padding: '8px', borderRadius: '10px', border: '1px solid #555',
+        backgroundColor: '#333', color: '#fff', fontSize: '0.95em'
+    },
+    inlineFields: {
+        display: 'flex', gap: '8px', alignItems: 'center', flexWrap: 'wrap'
+    },
+    hint: {
+        fontSize: '0.85em', color: '#aaa', fontStyle: 'italic', marginTop: '8px'
+    },
+    warning: {
+        fontSize: '0.85em', color: '#ffc107', marginTop: '8px'
+    },
+    buttonRow: {
+        display: 'flex', justifyContent: 'flex-end', gap: '10px', marginTop: '20px', flexWrap: 'wrap'
+    },
+    button: {
+        padding: '8px 14px', cursor: 'pointer', borderRadius: '10px', border: 'none',
+        fontSize: '0.9em', fontWeight: '500', color: '#fff'
+    },
+    buttonPrimary: {
+        backgroundColor: '#007bff'
+    },
+    buttonSecondary: {
+        backgroundColor: '#6c757d'
+    },
+};
+
+export default VoiceSettingsPanel;
@@ -0,0 +1,9 @@
+export const ACTION_CODES = {
+    REPEAT_QUESTION: 1,
+    CLARIFY_QUESTION: 2,
+    NEXT_QUESTION: 3,
+    NEXT_TOPIC: 4,
+    END_INTERVIEW: 5
+};
+
+export const getActionCodeName = (code) => Object.keys(ACTION_CODES).find(key => ACTION_CODES[key] === code) || `Unknown (${code})`;
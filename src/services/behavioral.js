@@ -0,0 +1,69 @@
+import { ACTION_CODES } from './actionCodes';
+import { STAR_PARTS } from './schemas';
+
+// --- Behavioral Mode (STAR) ---
+// In behavioral interviews the Monitor also scores how well an answer covers
+// Situation, Task, Action and Result. Answers that skip a part are sent back
+// with CLARIFY_QUESTION, and the report rolls the coverage up per competency.
+
+export const STAR_LABELS = {
+    situation: 'Situation',
+    task: 'Task',
+    action: 'Action',
+    result: 'Result'
+};
+
+// A STAR part scored below this is treated as missing from the answer.
+export const STAR_COVERAGE_THRESHOLD = 0.5;
+
+export const missingStarParts = (star) => STAR_PARTS.filter(part => (star?.[part] ?? 0) < STAR_COVERAGE_THRESHOLD);
+
+export const starScore = (star) => (
+    star ? STAR_PARTS.reduce((sum, part) => sum + (star[part] ?? 0), 0) / STAR_PARTS.length : null
+);
+
+// Guarantees that a planned answer with missing STAR parts is followed up,
+// even when the Monitor wanted to move on. The attempt limit in the interview
+// loop still moves on eventually.
+export const enforceStarCoverage = (monitorOutput) => {
+    const missing = missingStarParts(monitorOutput.star);
+    const isMovingOn = monitorOutput.actionCode === ACTION_CODES.NEXT_QUESTION || monitorOutput.actionCode === ACTION_CODES.NEXT_TOPIC;
+    if (missing.length === 0 || !isMovingOn) return monitorOutput;
+    const missingLabels = missing.map(part => STAR_LABELS[part]).join(', ');
+    return {
+        ...monitorOutput,
+        actionCode: ACTION_CODES.CLARIFY_QUESTION,
+        reason: `${monitorOutput.reason} Missing STAR parts: ${missingLabels}.`,
+        discussion_point: `ask for the missing ${missingLabels}`
+    };
+};
+
+const averageStar = (entries) => Object.fromEntries(STAR_PARTS.map(part => [
+    part,
+    entries.length > 0 ? entries.reduce((sum, entry) => sum + (entry.star[part] ?? 0), 0) / entries.length : null
+]));
+
+// Per-competency (topic) STAR coverage for the report. Only answers the
+// Monitor scored in behavioral mode are counted.
+export const buildBehavioralSummary = (interviewPlan, interviewLog) => {
+    const starEntries = interviewLog.filter(entry => entry.star);
+    if (starEntries.length === 0) return null;
+    const topicIndexes = [...new Set(starEntries.map(entry => entry.topicIndex))].sort((a, b) => a - b);
+    const overall = averageStar(starEntries);
+    return {
+        star: overall,
+        score: starScore(overall),
+        competencies: topicIndexes.map(topicIndex => {
+            const entries = starEntries.filter(entry => entry.topicIndex === topicIndex);
+            const star = averageStar(entries);
+            return {
+                topicIndex,
+                name: interviewPlan?.topics?.[topicIndex]?.name || `Topic ${topicIndex + 1}`,
+                answerCount: entries.length,
+                star,
+                score: starScore(star),
+                missing: missingStarParts(star)
+            };
+        })
+    };
+};
@@ -0,0 +1,45 @@
+// --- Code Editor Languages ---
+// Languages offered in the code editor. `id` is both the Monaco language mode
+// and the tag written after ``` in the answer, so the chat and exports can
+// highlight it. The last choice is remembered in localStorage.
+
+const STORAGE_KEY = 'openInterviewAI.codeLanguage';
+
+export const CODE_LANGUAGES = [
+    { id: 'javascript', label: 'JavaScript' },
+    { id: 'typescript', label: 'TypeScript' },
+    { id: 'python', label: 'Python' },
+    { id: 'java', label: 'Java' },
+    { id: 'go', label: 'Go' },
+    { id: 'sql', label: 'SQL' }
+];
+
+export const DEFAULT_CODE_LANGUAGE = 'javascript';
+
+// Fence tags people commonly type by hand, mapped to the ids above.
+const LANGUAGE_ALIASES = { js: 'javascript', jsx: 'javascript', ts: 'typescript', tsx: 'typescript', py: 'python', golang: 'go' };
+
+export const resolveCodeLanguage = (tag) => {
+    const normalized = (tag || '').toLowerCase();
+    const id = LANGUAGE_ALIASES[normalized] || normalized;
+    return CODE_LANGUAGES.some(language => language.id === id) ? id : null;
+};
+
+export const getCodeLanguageLabel = (id) => CODE_LANGUAGES.find(language => language.id === id)?.label || id;
+
+export const loadCodeLanguage = () => {
+    try {
+        return resolveCodeLanguage(localStorage.getItem(STORAGE_KEY)) || DEFAULT_CODE_LANGUAGE;
+    } catch (error) {
+        console.warn("Could not load the code editor language, using the default:", error);
+        return DEFAULT_CODE_LANGUAGE;
+    }
+};
+
+export const saveCodeLanguage = (id) => {
+    try {
+        localStorage.setItem(STORAGE_KEY, id);
+    } catch (error) {
+        console.warn("Could not persist the code editor language:", error);
+    }
+};
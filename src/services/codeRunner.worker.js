@@ -0,0 +1,81 @@
+// --- Code Runner Worker ---
+// Runs the candidate's JavaScript against the hidden tests of a coding
+// question, one message per test. Each worker handles a single run; the main
+// thread (see coding.js) enforces time limits by terminating it.
+
+const send = self.postMessage.bind(self);
+
+// Network, storage and messaging globals are hidden before the candidate code
+// is evaluated. This guards against accidents rather than being a security
+// boundary: the code is the candidate's own, running in their own browser.
+const HIDDEN_GLOBALS = [
+    'fetch', 'XMLHttpRequest', 'WebSocket', 'EventSource', 'importScripts', 'indexedDB',
+    'caches', 'BroadcastChannel', 'Worker', 'SharedWorker', 'postMessage', 'close'
+];
+
+const hideGlobals = () => HIDDEN_GLOBALS.forEach(name => {
+    try {
+        Object.defineProperty(self, name, { value: undefined, writable: false, configurable: false });
+    } catch {
+        // Not defined in this browser, or already locked.
+    }
+});
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+const deepEqual = (actual, expected) => {
+    if (Object.is(actual, expected)) return true;
+    if (Array.isArray(actual) && Array.isArray(expected)) {
+        return actual.length === expected.length && actual.every((item, index) => deepEqual(item, expected[index]));
+    }
+    if (isPlainObject(actual) && isPlainObject(expected)) {
+        const keys = Object.keys(expected);
+        return Object.keys(actual).length === keys.length && keys.every(key => deepEqual(actual[key], expected[key]));
+    }
+    return false;
+};
+
+// Results travel as JSON text so values that cannot be cloned (functions,
+// cycles) still produce a readable preview.
+const preview = (value) => {
+    if (value === undefined) return 'undefined';
+    try {
+        const text = JSON.stringify(value);
+        return text === undefined ? String(value) : text.slice(0, 300);
+    } catch {
+        return String(value).slice(0, 300);
+    }
+};
+
+const describeError = (error) => (error instanceof Error ? `${error.name}: ${error.message}` : `Thrown: ${preview(error)}`);
+
+self.onmessage = async ({ data }) => {
+    const { code, functionName, tests, startIndex } = data;
+    hideGlobals();
+
+    let solution;
+    try {
+        solution = new Function(`${code}\nreturn typeof ${functionName} === 'function' ? ${functionName} : undefined;`)();
+    } catch (error) {
+        send({ type: 'compile-error', message: describeError(error) });
+        return;
+    }
+    if (!solution) {
+        send({ type: 'compile-error', message: `No function named "${functionName}" was defined.` });
+        return;
+    }
+    send({ type: 'ready' });
+
+    for (let index = startIndex; index < tests.length; index++) {
+        const { args, expected } = tests[index];
+        const startedAt = performance.now();
+        try {
+            const actual = await solution(...args);
+            const durationMs = performance.now() - startedAt;
+            send({ type: 'result', index, passed: deepEqual(actual, expected), durationMs, actual: preview(actual), error: null });
+        } catch (error) {
+            send({ type: 'result', index, passed: false, durationMs: performance.now() - startedAt, actual: null, error: describeError(error) });
+        }
+    }
+    send({ type: 'done' });
+};
@@ -0,0 +1,77 @@
+// --- Code Snapshot Timeline ---
+// Timed snapshots of the code editor during one answer, so reviewers can
+// replay how a solution was written and the Monitor can comment on the
+// approach. A timeline is { startedAt, snapshots: [{ t, code }] } with `t` in
+// milliseconds since startedAt; it is stored on the candidate message.
+
+// Edits closer together than this are merged into the latest snapshot.
+export const SNAPSHOT_INTERVAL_MS = 1000;
+// Older snapshots are thinned out beyond this to keep sessions small.
+const MAX_SNAPSHOTS = 300;
+// A pause at least this long is called out in the approach summary.
+const LONG_PAUSE_MS = 30000;
+// An edit that removes at least this share of the previous lines counts as a rewrite.
+const REWRITE_SHARE = 0.4;
+const MAX_EXCERPT_CHARACTERS = 1200;
+
+export const createCodeTimeline = (initialCode, now = Date.now()) => ({
+    startedAt: now,
+    snapshots: [{ t: 0, code: initialCode }]
+});
+
+// Drops every second snapshot except the first and last.
+const thinSnapshots = (snapshots) => snapshots.filter((_, index) => index === 0 || index === snapshots.length - 1 || index % 2 === 0);
+
+export const recordCodeSnapshot = (timeline, code, now = Date.now()) => {
+    const { snapshots } = timeline;
+    const last = snapshots[snapshots.length - 1];
+    if (last.code === code) return timeline;
+    const t = now - timeline.startedAt;
+    const next = snapshots.length > 1 && t - last.t < SNAPSHOT_INTERVAL_MS
+        ? [...snapshots.slice(0, -1), { t: last.t, code }]
+        : [...snapshots, { t, code }];
+    return { ...timeline, snapshots: next.length > MAX_SNAPSHOTS ? thinSnapshots(next) : next };
+};
+
+export const timelineDuration = (timeline) => timeline.snapshots[timeline.snapshots.length - 1].t;
+
+export const formatTimelineOffset = (ms) => {
+    const totalSeconds = Math.round(ms / 1000);
+    return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+};
+
+const lineSet = (code) => new Set(code.split('\n').map(line => line.trim()).filter(Boolean));
+
+const excerpt = (code) => (code.length > MAX_EXCERPT_CHARACTERS ? `${code.slice(0, MAX_EXCERPT_CHARACTERS)}\n... (truncated)` : code);
+
+// Plain-text description of how the code evolved, for the Monitor prompt:
+// timing, pauses, rewrites and two intermediate drafts.
+export const describeCodeTimeline = (timeline) => {
+    const { snapshots } = timeline;
+    if (snapshots.length < 2) return null;
+    const pauses = [];
+    const rewrites = [];
+    snapshots.slice(1).forEach((snapshot, index) => {
+        const previous = snapshots[index];
+        if (snapshot.t - previous.t >= LONG_PAUSE_MS) pauses.push({ at: previous.t, length: snapshot.t - previous.t });
+        const previousLines = lineSet(previous.code);
+        const currentLines = lineSet(snapshot.code);
+        const removed = [...previousLines].filter(line => !currentLines.has(line)).length;
+        if (previousLines.size >= 3 && removed / previousLines.size >= REWRITE_SHARE) rewrites.push(snapshot.t);
+    });
+    const drafts = [Math.floor(snapshots.length / 3), Math.floor((2 * snapshots.length) / 3)]
+        .filter((index, position, all) => index > 0 && index < snapshots.length - 1 && all.indexOf(index) === position)
+        .map(index => snapshots[index]);
+
+    const lines = [
+        `Editing took ${formatTimelineOffset(timelineDuration(timeline))} (${snapshots.length} snapshots).`,
+        pauses.length > 0
+            ? `Long pauses: ${pauses.map(pause => `${Math.round(pause.length / 1000)} s at ${formatTimelineOffset(pause.at)}`).join(', ')}.`
+            : 'No long pauses.',
+        rewrites.length > 0
+            ? `Major rewrites (${Math.round(REWRITE_SHARE * 100)}%+ of lines replaced) at ${rewrites.map(formatTimelineOffset).join(', ')}.`
+            : 'The code grew incrementally without major rewrites.',
+        ...drafts.map(draft => `Draft at ${formatTimelineOffset(draft.t)}:\n${excerpt(draft.code)}`)
+    ];
+    return lines.join('\n');
+};
@@ -0,0 +1,125 @@
+// --- Coding Questions ---
+// The Planner can turn some technical questions into coding problems with
+// hidden tests. Challenges are stored on the plan keyed by the question text,
+// so reordering questions (plan review, question banks) keeps them attached
+// and rewriting a statement drops its now-unrelated tests.
+
+// Time a single test may run before the worker is terminated.
+export const TEST_TIME_LIMIT_MS = 2000;
+// Time for the worker to start and evaluate the candidate's top-level code.
+const STARTUP_TIME_LIMIT_MS = 5000;
+
+// Converts the Planner's positional codingChallenges into text-keyed ones,
+// dropping entries that point outside the plan or at the same question twice.
+export const resolveCodingChallenges = (plan) => {
+    const seen = new Set();
+    const codingChallenges = (plan.codingChallenges || []).flatMap(({ topicIndex, questionIndex, functionName, starterCode, tests }) => {
+        const question = plan.topics[topicIndex]?.questions[questionIndex];
+        if (!question || seen.has(question)) {
+            console.warn(`Dropping coding challenge at T${topicIndex}Q${questionIndex}: no such question or already used.`);
+            return [];
+        }
+        seen.add(question);
+        return [{ question, functionName, starterCode, tests }];
+    });
+    const { codingChallenges: _positional, ...rest } = plan;
+    return codingChallenges.length > 0 ? { ...rest, codingChallenges } : rest;
+};
+
+export const findCodingChallenge = (plan, questionText) => (
+    (questionText && plan?.codingChallenges?.find(challenge => challenge.question === questionText)) || null
+);
+
+// Keeps only the challenges whose question is still in the plan.
+export const pruneCodingChallenges = (plan) => {
+    const questions = new Set(plan.topics.flatMap(topic => topic.questions));
+    const codingChallenges = (plan.codingChallenges || []).filter(challenge => questions.has(challenge.question));
+    const { codingChallenges: _previous, ...rest } = plan;
+    return codingChallenges.length > 0 ? { ...rest, codingChallenges } : rest;
+};
+
+// Runs tests from startIndex in a fresh worker. Resolves with
+// { timedOutIndex } when a test exceeds the limit, { compileError } when the
+// code cannot be loaded, or {} when every remaining test reported back.
+const runInWorker = (code, challenge, startIndex, results, timeLimitMs) => new Promise(resolve => {
+    const worker = new Worker(new URL('./codeRunner.worker.js', import.meta.url), { type: 'module' });
+    let currentIndex = startIndex;
+    let timer = null;
+    const finish = (outcome) => {
+        clearTimeout(timer);
+        worker.terminate();
+        resolve(outcome);
+    };
+    const startTimer = (limitMs, onTimeout) => {
+        clearTimeout(timer);
+        timer = setTimeout(onTimeout, limitMs);
+    };
+    const watchCurrentTest = () => startTimer(timeLimitMs, () => finish({ timedOutIndex: currentIndex }));
+
+    worker.onmessage = ({ data }) => {
+        if (data.type === 'ready') {
+            watchCurrentTest();
+        } else if (data.type === 'result') {
+            results[data.index] = { index: data.index, passed: data.passed, timedOut: false, durationMs: data.durationMs, actual: data.actual, error: data.error };
+            currentIndex = data.index + 1;
+            watchCurrentTest();
+        } else if (data.type === 'compile-error') {
+            finish({ compileError: data.message });
+        } else if (data.type === 'done') {
+            finish({});
+        }
+    };
+    worker.onerror = (event) => {
+        event.preventDefault();
+        finish({ compileError: event.message || "The code could not be run." });
+    };
+    startTimer(STARTUP_TIME_LIMIT_MS, () => finish({ compileError: `The code did not finish loading within ${STARTUP_TIME_LIMIT_MS / 1000} s (is there an infinite loop outside the function?).` }));
+    worker.postMessage({ code, functionName: challenge.functionName, tests: challenge.tests, startIndex });
+});
+
+// Runs the candidate's code against every hidden test. A test that exceeds
+// the time limit is marked as timed out and the remaining tests continue in
+// a new worker. Returns { code, results, passedCount, total, compileError }.
+export const runCodingTests = async (code, challenge, { timeLimitMs = TEST_TIME_LIMIT_MS } = {}) => {
+    const results = [];
+    let startIndex = 0;
+    while (startIndex < challenge.tests.length) {
+        const outcome = await runInWorker(code, challenge, startIndex, results, timeLimitMs);
+        if (outcome.compileError) {
+            return { code, results: [], passedCount: 0, total: challenge.tests.length, compileError: outcome.compileError };
+        }
+        if (outcome.timedOutIndex === undefined) break;
+        results[outcome.timedOutIndex] = {
+            index: outcome.timedOutIndex, passed: false, timedOut: true, durationMs: timeLimitMs, actual: null,
+            error: `Timed out after ${timeLimitMs} ms`
+        };
+        startIndex = outcome.timedOutIndex + 1;
+    }
+    return {
+        code,
+        results,
+        passedCount: results.filter(result => result.passed).length,
+        total: challenge.tests.length,
+        compileError: null
+    };
+};
+
+// One-line summary shown to the candidate with their answer.
+export const summarizeTestRun = (run) => {
+    if (run.compileError) return `0/${run.total} hidden tests passed (code did not run: ${run.compileError})`;
+    const timedOut = run.results.filter(result => result.timedOut).length;
+    const slowest = Math.max(...run.results.filter(result => !result.timedOut).map(result => result.durationMs), 0);
+    return `${run.passedCount}/${run.total} hidden tests passed${timedOut > 0 ? `, ${timedOut} timed out` : ''}; slowest test ${slowest.toFixed(1)} ms`;
+};
+
+// Per-test detail for the Monitor, which (unlike the candidate) may see the
+// inputs and expected values.
+export const formatTestRunForMonitor = (run, challenge) => {
+    if (run.compileError) return `The code did not run: ${run.compileError}`;
+    return run.results.map(result => {
+        const { args, expected } = challenge.tests[result.index];
+        const status = result.passed ? 'PASS' : (result.timedOut ? 'TIMEOUT' : 'FAIL');
+        const detail = result.passed ? '' : ` expected ${JSON.stringify(expected)}, ${result.error ? `error "${result.error}"` : `got ${result.actual}`}`;
+        return `- Test ${result.index + 1} ${status} (${result.durationMs.toFixed(1)} ms): ${challenge.functionName}(${args.map(arg => JSON.stringify(arg)).join(', ')})${detail}`;
+    }).join('\n');
+};
@@ -0,0 +1,107 @@
+import { callStructuredLlm, LLM_ROLES } from './llm';
+import { COMPETENCY_MODEL_SCHEMA } from './schemas';
+import { normalizeTopicName } from './progressAnalytics';
+
+// --- Competency Model ---
+// First planning stage: the Analyst condenses the job details into weighted
+// competencies, and allocateCompetencies() maps them onto the configured
+// topics and questions before the Planner writes the actual questions.
+
+// A preferred competency counts for less than a required one of equal weight.
+const PRIORITY_FACTORS = { required: 1, preferred: 0.6 };
+
+const cleanList = (items) => [...new Set(
+    (Array.isArray(items) ? items : []).map(item => String(item ?? '').trim()).filter(Boolean)
+)];
+
+// Required vs preferred as stated in the structured job details. Listed
+// skills count as required; responsibilities are context for the weights.
+export const getStatedRequirements = (jobDetails) => ({
+    required: cleanList([...(jobDetails?.qualifications?.required || []), ...(jobDetails?.skills || [])]),
+    preferred: cleanList(jobDetails?.qualifications?.preferred),
+    responsibilities: cleanList(jobDetails?.responsibilities)
+});
+
+// True when every word of one phrase appears in the other, so "React" matches
+// "3+ years of React" but "Java" does not match "JavaScript".
+const mentions = (statement, competencyName) => {
+    const statementWords = normalizeTopicName(statement).split(' ').filter(Boolean);
+    const competencyWords = normalizeTopicName(competencyName).split(' ').filter(Boolean);
+    if (statementWords.length === 0 || competencyWords.length === 0) return false;
+    return competencyWords.every(word => statementWords.includes(word))
+        || statementWords.every(word => competencyWords.includes(word));
+};
+
+// The structured job details decide the priority whenever they mention the
+// competency; the Analyst's own judgement only fills the gaps.
+const resolvePriority = (competency, stated) => {
+    if (stated.required.some(item => mentions(item, competency.name))) return 'required';
+    if (stated.preferred.some(item => mentions(item, competency.name))) return 'preferred';
+    return competency.priority;
+};
+
+export const effectiveWeight = (competency) => competency.weight * (PRIORITY_FACTORS[competency.priority] ?? 1);
+
+const formatListSection = (label, items) => (
+    items.length > 0 ? `\n${label}:\n${items.map(item => `- ${item}`).join('\n')}` : ''
+);
+
+const COMPETENCY_FOCUS = {
+    technical: 'interviewable competencies (skills or knowledge areas)',
+    behavioral: 'behavioral competencies (such as leadership, conflict resolution, ownership, communication or stakeholder management) that the responsibilities and seniority call for',
+    'system-design': 'system design competencies (such as distributed systems, data modelling and storage, scalability, reliability or API design) that the role\'s systems call for'
+};
+
+// Returns { competencies } sorted by effective weight, heaviest first.
+export const extractCompetencies = async (jobDetails, llmSettings, signal, mode = 'technical') => {
+    const stated = getStatedRequirements(jobDetails);
+    const prompt = `You are analysing a job posting to decide what a ${mode} interview should assess.
+Job title: ${jobDetails?.job_title || 'Unknown'}
+Description: """ ${jobDetails?.description || ''} """${formatListSection('Required skills and qualifications', stated.required)}${formatListSection('Preferred qualifications', stated.preferred)}${formatListSection('Responsibilities', stated.responsibilities)}
+
+Instructions: 1. Condense the posting into 3 to 12 distinct ${COMPETENCY_FOCUS[mode] || COMPETENCY_FOCUS.technical}, merging overlapping items. 2. Set "priority" to "required" for competencies backed by the required list and "preferred" for those backed only by the preferred list; if no lists are given, infer it from the description. 3. Set "weight" from 1 (minor) to 5 (central to the role) by how much the responsibilities and description depend on it. 4. Give a one-sentence "rationale". Output ONLY the following JSON structure: \`\`\`json { "competencies": [ { "name": "Competency", "weight": 5, "priority": "required", "rationale": "Why it matters for this role" } ] } \`\`\``;
+    const model = await callStructuredLlm(prompt, {
+        schema: COMPETENCY_MODEL_SCHEMA, settings: llmSettings, role: LLM_ROLES.ANALYST,
+        mockContext: { ...stated, mode }, signal
+    });
+
+    const byName = new Map();
+    model.competencies.forEach(competency => {
+        const resolved = { ...competency, name: competency.name.trim(), priority: resolvePriority(competency, stated) };
+        const key = normalizeTopicName(resolved.name);
+        const existing = byName.get(key);
+        if (!existing || effectiveWeight(resolved) > effectiveWeight(existing)) byName.set(key, resolved);
+    });
+    return {
+        competencies: [...byName.values()].sort((a, b) => effectiveWeight(b) - effectiveWeight(a))
+    };
+};
+
+// Gives the heaviest competencies a topic each and splits the configured total
+// of questions between topics in proportion to weight (at least one each).
+// Largest remainders keep the total exact. Topics beyond the modelled
+// competencies are left to the Planner at an average weight.
+export const allocateCompetencies = (competencies, { topicCount, questionsPerTopic }) => {
+    const focus = competencies.slice(0, topicCount);
+    const averageWeight = focus.length > 0 ? focus.reduce((sum, c) => sum + effectiveWeight(c), 0) / focus.length : 1;
+    const weights = Array.from({ length: topicCount }, (_, index) => (focus[index] ? effectiveWeight(focus[index]) : averageWeight));
+    const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+
+    const totalQuestions = topicCount * questionsPerTopic;
+    const shares = weights.map(weight => (weight / weightSum) * (totalQuestions - topicCount));
+    const questionCounts = shares.map(share => 1 + Math.floor(share));
+    let remaining = totalQuestions - questionCounts.reduce((sum, count) => sum + count, 0);
+    shares
+        .map((share, index) => ({ index, remainder: share - Math.floor(share) }))
+        .sort((a, b) => b.remainder - a.remainder)
+        .forEach(({ index }) => {
+            if (remaining > 0) { questionCounts[index]++; remaining--; }
+        });
+
+    return {
+        topics: questionCounts.map((questionCount, index) => ({ competency: focus[index] || null, questionCount })),
+        secondary: competencies.slice(topicCount)
+    };
+};
+
+export const describeCompetency = ({ name, priority, weight }) => `${name} (${priority}, weight ${weight}/5)`;
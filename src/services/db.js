@@ -0,0 +1,68 @@
+// --- IndexedDB Access ---
+// Thin promise wrapper around a single local database. Add new object stores
+// to STORES and bump DB_VERSION; onupgradeneeded creates whatever is missing.
+
+const DB_NAME = 'openInterviewAI';
+const DB_VERSION = 3;
+
+export const STORES = {
+    SESSIONS: 'sessions',
+    PLAN_TEMPLATES: 'planTemplates',
+    QUESTION_BANKS: 'questionBanks',
+    // Recorded interview audio, in chunks so a long recording is saved as it goes.
+    SESSION_AUDIO: 'sessionAudio'
+};
+
+const STORE_DEFINITIONS = {
+    [STORES.SESSIONS]: { keyPath: 'id', indexes: ['updatedAt'] },
+    [STORES.PLAN_TEMPLATES]: { keyPath: 'id', indexes: ['updatedAt'] },
+    [STORES.QUESTION_BANKS]: { keyPath: 'id', indexes: ['updatedAt'] },
+    [STORES.SESSION_AUDIO]: { keyPath: 'id', indexes: ['sessionId'] }
+};
+
+export const createRecordId = () => (
+    window.crypto?.randomUUID
+        ? window.crypto.randomUUID()
+        : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`
+);
+
+let dbPromise = null;
+
+const openDatabase = () => {
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error("IndexedDB is not available in this browser."));
+                return;
+            }
+            const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                Object.entries(STORE_DEFINITIONS).forEach(([storeName, { keyPath, indexes }]) => {
+                    if (db.objectStoreNames.contains(storeName)) return;
+                    const store = db.createObjectStore(storeName, { keyPath });
+                    indexes.forEach(index => store.createIndex(index, index));
+                });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        }).catch(error => {
+            dbPromise = null;
+            throw error;
+        });
+    }
+    return dbPromise;
+};
+
+// Runs operation(store) in its own transaction and resolves with the result
+// of the request it returns once the transaction has committed.
+export const runTransaction = async (storeName, mode, operation) => {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeName, mode);
+        const request = operation(transaction.objectStore(storeName));
+        transaction.oncomplete = () => resolve(request?.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error("IndexedDB transaction aborted."));
+    });
+};
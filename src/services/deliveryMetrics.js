@@ -0,0 +1,137 @@
+import { formatTimelineOffset } from './codeTimeline';
+
+// --- Speech Delivery Metrics ---
+// How a spoken answer was delivered, computed locally from its transcript and
+// the speech timing measured on the microphone (createSpeechTimer in
+// voiceActivity.js): pace, filler words, long pauses and length. Stored as
+// `delivery` on the answer's interview log entry; the Monitor never sees it.
+
+// A quiet gap at least this long inside an answer counts as a long pause.
+export const LONG_PAUSE_MS = 2000;
+// Conversational pace; answers outside it are called slow or fast.
+export const PACE_RANGE_WPM = { min: 110, max: 170 };
+// Guards the pace of one-word answers against a near-zero duration.
+const MIN_DURATION_MS = 1000;
+
+// Hesitation sounds, matched with their drawn-out spellings ("ummm", "uhh").
+const HESITATIONS = [
+    ['um', /^u+m+$/],
+    ['uh', /^u+h+$/],
+    ['er', /^e+r+m*$/],
+    ['ah', /^a+h+$/],
+    ['hmm', /^h+m+$/]
+];
+
+// Filler words and phrases. `unlessAfter` lists preceding words that make the
+// phrase part of the sentence ("I'd like to", "do you know", "what kind of").
+const FILLER_PHRASES = [
+    { filler: 'like', words: ['like'], unlessAfter: ['i', 'you', 'we', 'they', 'would', "i'd", "you'd", "we'd", "they'd", "don't", "didn't", "doesn't", 'not', 'really', 'just', 'feel', 'feels', 'felt', 'look', 'looks', 'looked', 'sounds', 'seem', 'seems', 'something', 'anything', 'nothing', 'things'] },
+    { filler: 'you know', words: ['you', 'know'], unlessAfter: ['do', 'did', "don't", "didn't", 'if', 'whether', 'what', 'how', 'as'] },
+    { filler: 'I mean', words: ['i', 'mean'], unlessAfter: ['what', 'do', "don't"] },
+    { filler: 'sort of', words: ['sort', 'of'], unlessAfter: ['a', 'the', 'this', 'that', 'what', 'which', 'any', 'some', 'same', 'every'] },
+    { filler: 'kind of', words: ['kind', 'of'], unlessAfter: ['a', 'the', 'this', 'that', 'what', 'which', 'any', 'some', 'same', 'every'] },
+    { filler: 'basically', words: ['basically'], unlessAfter: [] },
+    { filler: 'actually', words: ['actually'], unlessAfter: [] },
+    { filler: 'literally', words: ['literally'], unlessAfter: [] }
+];
+
+export const tokenizeSpeech = (text) => (text || '').toLowerCase().replace(/’/g, "'").match(/[a-z0-9']+/g) || [];
+
+// Returns { [filler]: count } for the fillers that occur in the words.
+export const countFillerWords = (words) => {
+    const counts = {};
+    const add = (filler) => { counts[filler] = (counts[filler] || 0) + 1; };
+    words.forEach((word, index) => {
+        const hesitation = HESITATIONS.find(([, pattern]) => pattern.test(word));
+        if (hesitation) {
+            add(hesitation[0]);
+            return;
+        }
+        FILLER_PHRASES.forEach(({ filler, words: phrase, unlessAfter }) => {
+            if (!phrase.every((part, offset) => words[index + offset] === part)) return;
+            if (index > 0 && unlessAfter.includes(words[index - 1])) return;
+            add(filler);
+        });
+    });
+    return counts;
+};
+
+const sumCounts = (counts) => Object.values(counts).reduce((sum, count) => sum + count, 0);
+
+// Delivery metrics of one spoken answer, or null when no speech was timed.
+export const computeDeliveryMetrics = (text, timing) => {
+    if (!timing || timing.firstSpeechAt === null || timing.lastSpeechAt === null) return null;
+    const words = tokenizeSpeech(text);
+    if (words.length === 0) return null;
+    const durationMs = Math.max(MIN_DURATION_MS, timing.lastSpeechAt - timing.firstSpeechAt);
+    const fillers = countFillerWords(words);
+    return {
+        wordCount: words.length,
+        durationMs,
+        wpm: Math.round(words.length / (durationMs / 60000)),
+        fillers,
+        fillerCount: sumCounts(fillers),
+        longPauseCount: timing.pausesMs.filter(pause => pause >= LONG_PAUSE_MS).length,
+        longestPauseMs: Math.max(0, ...timing.pausesMs)
+    };
+};
+
+export const paceLabel = (wpm) => {
+    if (wpm < PACE_RANGE_WPM.min) return 'slow';
+    if (wpm > PACE_RANGE_WPM.max) return 'fast';
+    return 'steady';
+};
+
+const formatSeconds = (ms) => `${(ms / 1000).toFixed(1)} s`;
+
+const formatFillers = (fillers) => Object.entries(fillers)
+    .sort((a, b) => b[1] - a[1])
+    .map(([filler, count]) => `"${filler}" x${count}`)
+    .join(', ');
+
+// One-line description of an answer's delivery, e.g. for the eval panel.
+export const formatDelivery = (delivery) => [
+    `${delivery.wpm} wpm (${paceLabel(delivery.wpm)})`,
+    `${delivery.wordCount} words in ${formatTimelineOffset(delivery.durationMs)}`,
+    delivery.fillerCount > 0 ? `fillers: ${delivery.fillerCount} (${formatFillers(delivery.fillers)})` : 'no fillers',
+    delivery.longPauseCount > 0 ? `long pauses: ${delivery.longPauseCount} (longest ${formatSeconds(delivery.longestPauseMs)})` : 'no long pauses'
+].join(', ');
+
+// Delivery across all spoken answers of a session; null when none was spoken.
+export const buildDeliverySummary = (interviewLog) => {
+    const entries = interviewLog.filter(entry => entry.delivery);
+    if (entries.length === 0) return null;
+    const deliveries = entries.map(entry => entry.delivery);
+    const wordCount = deliveries.reduce((sum, delivery) => sum + delivery.wordCount, 0);
+    const durationMs = deliveries.reduce((sum, delivery) => sum + delivery.durationMs, 0);
+    const fillers = {};
+    deliveries.forEach(delivery => Object.entries(delivery.fillers).forEach(([filler, count]) => {
+        fillers[filler] = (fillers[filler] || 0) + count;
+    }));
+    const fillerCount = sumCounts(fillers);
+    return {
+        answerCount: entries.length,
+        wpm: Math.round(wordCount / (durationMs / 60000)),
+        averageWords: Math.round(wordCount / entries.length),
+        averageDurationMs: Math.round(durationMs / entries.length),
+        fillers,
+        fillerCount,
+        fillersPer100Words: Math.round((fillerCount / wordCount) * 1000) / 10,
+        longPauseCount: deliveries.reduce((sum, delivery) => sum + delivery.longPauseCount, 0),
+        longestPauseMs: Math.max(...deliveries.map(delivery => delivery.longestPauseMs)),
+        slowAnswers: deliveries.filter(delivery => paceLabel(delivery.wpm) === 'slow').length,
+        fastAnswers: deliveries.filter(delivery => paceLabel(delivery.wpm) === 'fast').length
+    };
+};
+
+// Plain-text summary for the Report prompt and the report exports.
+export const describeDeliverySummary = (summary) => [
+    `${summary.answerCount} spoken answer(s), ${summary.wpm} wpm on average (${summary.slowAnswers} slow, ${summary.fastAnswers} fast; ${PACE_RANGE_WPM.min}-${PACE_RANGE_WPM.max} is conversational).`,
+    `Answers averaged ${summary.averageWords} words over ${formatTimelineOffset(summary.averageDurationMs)}.`,
+    summary.fillerCount > 0
+        ? `${summary.fillerCount} filler word(s), ${summary.fillersPer100Words} per 100 words: ${formatFillers(summary.fillers)}.`
+        : 'No filler words.',
+    summary.longPauseCount > 0
+        ? `${summary.longPauseCount} pause(s) of ${LONG_PAUSE_MS / 1000} s or more, the longest ${formatSeconds(summary.longestPauseMs)}.`
+        : `No pauses of ${LONG_PAUSE_MS / 1000} s or more.`
+].join(' ');
@@ -0,0 +1,90 @@
+// --- Interview Audio Recording ---
+// Mixes the candidate's microphone and the interviewer's TTS clips into one
+// MediaRecorder timeline. Chunks are handed to onChunk as they are recorded
+// (see appendSessionAudioChunk in sessionStore.js), so a crash or reload
+// loses at most the last few seconds.
+
+// How often MediaRecorder emits a chunk.
+const CHUNK_MS = 5000;
+const PREFERRED_MIME_TYPES = ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/webm', 'audio/mp4'];
+
+export const isAudioRecordingAvailable = () => typeof window !== 'undefined'
+    && typeof window.MediaRecorder !== 'undefined'
+    && !!(window.AudioContext || window.webkitAudioContext);
+
+const pickMimeType = () => PREFERRED_MIME_TYPES.find(type => window.MediaRecorder.isTypeSupported?.(type)) || '';
+
+// Starts recording right away. onChunk(blob, index) is called for every
+// recorded chunk, including the last one after stop(). Returns
+// { mimeType, attachStream, trackAudioElement, stop }.
+export const createInterviewRecorder = ({ onChunk, onError }) => {
+    const AudioCtx = window.AudioContext || window.webkitAudioContext;
+    const context = new AudioCtx();
+    const destination = context.createMediaStreamDestination();
+    if (context.state === 'suspended') {
+        context.resume().catch(error => console.warn("Could not resume the recording AudioContext:", error));
+    }
+
+    const mimeType = pickMimeType();
+    const recorder = new MediaRecorder(destination.stream, mimeType ? { mimeType } : undefined);
+    let chunkIndex = 0;
+    recorder.ondataavailable = (event) => {
+        if (event.data && event.data.size > 0) onChunk(event.data, chunkIndex++);
+    };
+    recorder.onerror = (event) => onError?.(event.error || new Error('Audio recording failed.'));
+    const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+    recorder.start(CHUNK_MS);
+
+    return {
+        mimeType: recorder.mimeType || mimeType || 'audio/webm',
+
+        // Adds a microphone stream to the mix. Returns a function that removes it.
+        attachStream: (stream) => {
+            const source = context.createMediaStreamSource(stream);
+            source.connect(destination);
+            return () => {
+                try { source.disconnect(); } catch { /* already disconnected */ }
+            };
+        },
+
+        // Mixes a TTS clip into the recording while its <audio> element plays.
+        // The clip is decoded separately rather than tapped from the element,
+        // which the visualizer already owns through createMediaElementSource.
+        trackAudioElement: (url, audio) => {
+            let source = null;
+            let isDone = false;
+            const decoded = fetch(url)
+                .then(response => response.arrayBuffer())
+                .then(data => context.decodeAudioData(data));
+            const start = () => {
+                decoded.then(buffer => {
+                    if (isDone || source || audio.paused || context.state === 'closed') return;
+                    source = context.createBufferSource();
+                    source.buffer = buffer;
+                    source.connect(destination);
+                    source.start(0, Math.min(audio.currentTime, buffer.duration));
+                }).catch(error => console.warn("Could not add interviewer audio to the recording:", error));
+            };
+            const finish = () => {
+                isDone = true;
+                if (source) {
+                    try { source.stop(); } catch { /* already stopped */ }
+                }
+            };
+            audio.addEventListener('playing', start);
+            audio.addEventListener('pause', finish);
+            audio.addEventListener('ended', finish);
+        },
+
+        // Flushes the last chunk and releases the AudioContext.
+        stop: async () => {
+            if (recorder.state !== 'inactive') {
+                recorder.stop();
+                await stopped;
+            }
+            if (context.state !== 'closed') {
+                await context.close().catch(error => console.warn("Could not close the recording AudioContext:", error));
+            }
+        }
+    };
+};
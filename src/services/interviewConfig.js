@@ -0,0 +1,95 @@
+// --- Interview Configuration ---
+// Interview mode, plan size, difficulty and time budget chosen before planning. The last used
+// values are remembered in localStorage and stored with each session.
+
+const STORAGE_KEY = 'openInterviewAI.interviewConfig';
+
+export const DIFFICULTY_LEVELS = ['junior', 'mid', 'senior', 'staff'];
+
+export const DIFFICULTY_LABELS = {
+    junior: 'Junior',
+    mid: 'Mid-level',
+    senior: 'Senior',
+    staff: 'Staff / Principal'
+};
+
+export const INTERVIEW_MODES = ['technical', 'behavioral', 'system-design'];
+
+export const INTERVIEW_MODE_LABELS = {
+    technical: 'Technical',
+    behavioral: 'Behavioral (STAR)',
+    'system-design': 'System Design (whiteboard)'
+};
+
+export const INTERVIEW_CONFIG_LIMITS = {
+    topicCount: { min: 1, max: 8 },
+    questionsPerTopic: { min: 1, max: 6 },
+    timeBudgetMinutes: { min: 5, max: 180 },
+    codingQuestions: { min: 0, max: 4 }
+};
+
+export const DEFAULT_INTERVIEW_CONFIG = {
+    mode: 'technical',
+    topicCount: 2,
+    questionsPerTopic: 3,
+    difficulty: 'mid',
+    timeBudgetMinutes: 30,
+    reviewPlan: true,
+    // Optional question bank: this many questions per topic come from the
+    // bank (when it has matching skills) and the rest are generated.
+    questionBankId: null,
+    bankQuestionsPerTopic: 0,
+    // Technical mode only: this many planned questions are coding problems
+    // whose answers run against hidden tests.
+    codingQuestions: 0,
+    // Record the microphone and the interviewer's voice into one audio
+    // timeline stored with the session (see interviewAudio.js).
+    recordAudio: false
+};
+
+const clampInteger = (value, { min, max }, fallback) => {
+    const number = parseInt(value, 10);
+    if (!Number.isFinite(number)) return fallback;
+    return Math.min(max, Math.max(min, number));
+};
+
+export const normalizeInterviewConfig = (config = {}) => {
+    const questionsPerTopic = clampInteger(config.questionsPerTopic, INTERVIEW_CONFIG_LIMITS.questionsPerTopic, DEFAULT_INTERVIEW_CONFIG.questionsPerTopic);
+    return {
+        mode: INTERVIEW_MODES.includes(config.mode) ? config.mode : DEFAULT_INTERVIEW_CONFIG.mode,
+        topicCount: clampInteger(config.topicCount, INTERVIEW_CONFIG_LIMITS.topicCount, DEFAULT_INTERVIEW_CONFIG.topicCount),
+        questionsPerTopic,
+        difficulty: DIFFICULTY_LEVELS.includes(config.difficulty) ? config.difficulty : DEFAULT_INTERVIEW_CONFIG.difficulty,
+        timeBudgetMinutes: clampInteger(config.timeBudgetMinutes, INTERVIEW_CONFIG_LIMITS.timeBudgetMinutes, DEFAULT_INTERVIEW_CONFIG.timeBudgetMinutes),
+        reviewPlan: typeof config.reviewPlan === 'boolean' ? config.reviewPlan : DEFAULT_INTERVIEW_CONFIG.reviewPlan,
+        questionBankId: typeof config.questionBankId === 'string' && config.questionBankId ? config.questionBankId : null,
+        bankQuestionsPerTopic: clampInteger(config.bankQuestionsPerTopic, { min: 0, max: questionsPerTopic }, DEFAULT_INTERVIEW_CONFIG.bankQuestionsPerTopic),
+        codingQuestions: clampInteger(config.codingQuestions, INTERVIEW_CONFIG_LIMITS.codingQuestions, DEFAULT_INTERVIEW_CONFIG.codingQuestions),
+        recordAudio: typeof config.recordAudio === 'boolean' ? config.recordAudio : DEFAULT_INTERVIEW_CONFIG.recordAudio
+    };
+};
+
+export const loadInterviewConfig = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+        return normalizeInterviewConfig(stored || DEFAULT_INTERVIEW_CONFIG);
+    } catch (error) {
+        console.warn("Could not load interview configuration, using defaults:", error);
+        return { ...DEFAULT_INTERVIEW_CONFIG };
+    }
+};
+
+export const saveInterviewConfig = (config) => {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(normalizeInterviewConfig(config)));
+    } catch (error) {
+        console.warn("Could not persist interview configuration:", error);
+    }
+};
+
+export const totalQuestionCount = (config) => config.topicCount * config.questionsPerTopic;
+
+// Coding questions only apply to technical interviews and never exceed the plan size.
+export const codingQuestionCount = (config) => (
+    config.mode === 'technical' ? Math.min(config.codingQuestions || 0, totalQuestionCount(config)) : 0
+);
@@ -0,0 +1,503 @@
+import { ACTION_CODES } from './actionCodes';
+import { parseJsonContent, validateAgainstSchema } from './schemas';
+import { runWithRetry, createHttpError, isAbortError, DEFAULT_REQUEST_OPTIONS } from './requestControl';
+
+// --- LLM Provider Layer ---
+// Every Analyst / Planner / Interviewer / Monitor / Report call goes through callLlm(),
+// which dispatches to the provider selected in the settings panel.
+
+export const LLM_PROVIDERS = {
+    OLLAMA: 'ollama',
+    OPENAI_COMPATIBLE: 'openai',
+    MOCK: 'mock'
+};
+
+export const LLM_PROVIDER_LABELS = {
+    [LLM_PROVIDERS.OLLAMA]: 'Ollama',
+    [LLM_PROVIDERS.OPENAI_COMPATIBLE]: 'OpenAI-compatible',
+    [LLM_PROVIDERS.MOCK]: 'Local Mock'
+};
+
+export const LLM_ROLES = {
+    ANALYST: 'analyst',
+    PLANNER: 'planner',
+    INTERVIEWER: 'interviewer',
+    MONITOR: 'monitor',
+    REPORT: 'report'
+};
+
+export const LLM_ROLE_LABELS = {
+    [LLM_ROLES.ANALYST]: 'Competency Analyst',
+    [LLM_ROLES.PLANNER]: 'Planner',
+    [LLM_ROLES.INTERVIEWER]: 'Interviewer',
+    [LLM_ROLES.MONITOR]: 'Monitor',
+    [LLM_ROLES.REPORT]: 'Report'
+};
+
+const LLM_SETTINGS_STORAGE_KEY = 'openInterviewAI.llmSettings';
+
+export const DEFAULT_LLM_SETTINGS = {
+    provider: LLM_PROVIDERS.OLLAMA,
+    streamInterviewer: true,
+    timeoutSeconds: DEFAULT_REQUEST_OPTIONS.timeoutMs / 1000,
+    maxRetries: DEFAULT_REQUEST_OPTIONS.retries,
+    [LLM_PROVIDERS.OLLAMA]: {
+        endpoint: 'http://localhost:11434',
+        model: 'llama3.1',
+        structuredOutput: true
+    },
+    [LLM_PROVIDERS.OPENAI_COMPATIBLE]: {
+        endpoint: 'http://localhost:8080',
+        model: 'local-model',
+        apiKey: '',
+        jsonMode: true,
+        structuredOutput: true
+    },
+    [LLM_PROVIDERS.MOCK]: {
+        model: 'mock'
+    },
+    // Per-role overrides. An empty model falls back to the provider model and
+    // null parameters leave the server defaults untouched.
+    roles: Object.fromEntries(Object.values(LLM_ROLES).map(role => [
+        role, { model: '', temperature: null, maxTokens: null }
+    ]))
+};
+
+export const loadLlmSettings = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(LLM_SETTINGS_STORAGE_KEY) || 'null');
+        if (!stored || typeof stored !== 'object') return DEFAULT_LLM_SETTINGS;
+        const provider = Object.values(LLM_PROVIDERS).includes(stored.provider) ? stored.provider : DEFAULT_LLM_SETTINGS.provider;
+        const merged = {
+            provider,
+            streamInterviewer: typeof stored.streamInterviewer === 'boolean' ? stored.streamInterviewer : DEFAULT_LLM_SETTINGS.streamInterviewer,
+            timeoutSeconds: Number.isFinite(stored.timeoutSeconds) ? stored.timeoutSeconds : DEFAULT_LLM_SETTINGS.timeoutSeconds,
+            maxRetries: Number.isInteger(stored.maxRetries) ? stored.maxRetries : DEFAULT_LLM_SETTINGS.maxRetries
+        };
+        Object.values(LLM_PROVIDERS).forEach(key => {
+            merged[key] = { ...DEFAULT_LLM_SETTINGS[key], ...(stored[key] || {}) };
+        });
+        merged.roles = {};
+        Object.values(LLM_ROLES).forEach(role => {
+            merged.roles[role] = { ...DEFAULT_LLM_SETTINGS.roles[role], ...(stored.roles?.[role] || {}) };
+        });
+        return merged;
+    } catch (error) {
+        console.warn("Could not load LLM settings, using defaults:", error);
+        return DEFAULT_LLM_SETTINGS;
+    }
+};
+
+export const saveLlmSettings = (settings) => {
+    try {
+        localStorage.setItem(LLM_SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+    } catch (error) {
+        console.warn("Could not persist LLM settings:", error);
+    }
+};
+
+export const getActiveModelLabel = (settings) => {
+    const providerConfig = settings[settings.provider] || {};
+    return `${LLM_PROVIDER_LABELS[settings.provider]}: ${providerConfig.model}`;
+};
+
+// Provider config with the role's model and sampling parameters applied on top.
+export const resolveRoleConfig = (settings, role) => {
+    const providerConfig = settings[settings.provider] || {};
+    const roleConfig = settings.roles?.[role] || {};
+    return {
+        ...providerConfig,
+        model: roleConfig.model?.trim() || providerConfig.model,
+        temperature: roleConfig.temperature ?? null,
+        maxTokens: roleConfig.maxTokens ?? null
+    };
+};
+
+export const getRoleModelLabels = (settings) => Object.values(LLM_ROLES).map(role => ({
+    role,
+    label: LLM_ROLE_LABELS[role],
+    model: resolveRoleConfig(settings, role).model
+}));
+
+const trimTrailingSlash = (url) => (url || '').replace(/\/+$/, '');
+
+// Reads a streamed fetch body and hands every complete, non-empty line to onLine.
+const readStreamLines = async (response, onLine) => {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        buffer += decoder.decode(value, { stream: true });
+        let newlineIndex;
+        while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, newlineIndex).trim();
+            buffer = buffer.slice(newlineIndex + 1);
+            if (line) onLine(line);
+        }
+    }
+    buffer += decoder.decode();
+    if (buffer.trim()) onLine(buffer.trim());
+};
+
+// `format` is either 'json' or a JSON Schema object. Ollama accepts a schema
+// directly in its `format` field (0.5+); older servers only understand 'json'.
+const callOllamaProvider = async (prompt, config, { format, onToken, signal }) => {
+    const ollamaFormat = typeof format === 'object' && !config.structuredOutput ? 'json' : format;
+    const options = {};
+    if (config.temperature !== null && config.temperature !== undefined) options.temperature = config.temperature;
+    if (config.maxTokens) options.num_predict = config.maxTokens;
+    const response = await fetch(`${trimTrailingSlash(config.endpoint)}/api/generate`, {
+        method: 'POST',
+        signal,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            model: config.model,
+            prompt: prompt,
+            stream: !!onToken,
+            ...(ollamaFormat ? { format: ollamaFormat } : {}),
+            ...(Object.keys(options).length > 0 ? { options } : {})
+        }),
+    });
+    if (!response.ok) {
+        const errorBody = await response.text();
+        console.error("Ollama API Error Response:", errorBody);
+        throw createHttpError(`Ollama API request failed: ${response.status} ${response.statusText}. ${errorBody}`, response.status);
+    }
+    if (onToken) {
+        // NDJSON stream: one {"response": "...", "done": false} object per line.
+        let content = '';
+        await readStreamLines(response, (line) => {
+            const chunk = JSON.parse(line);
+            if (chunk.error) throw new Error(`Ollama stream error: ${chunk.error}`);
+            if (typeof chunk.response === 'string' && chunk.response) {
+                content += chunk.response;
+                onToken(content);
+            }
+        });
+        return content;
+    }
+    const data = await response.json();
+    if (!data || typeof data.response !== 'string') {
+        console.error("Invalid response structure from Ollama (expected data.response as string):", data);
+        throw new Error("Invalid or unexpected response structure from Ollama API.");
+    }
+    return data.response;
+};
+
+const getOpenAiResponseFormat = (format, config) => {
+    if (!format) return null;
+    if (typeof format === 'object' && config.structuredOutput) {
+        return { type: 'json_schema', json_schema: { name: format.title || 'response', schema: format } };
+    }
+    return config.jsonMode ? { type: 'json_object' } : null;
+};
+
+const callOpenAiCompatibleProvider = async (prompt, config, { format, onToken, signal }) => {
+    const responseFormat = getOpenAiResponseFormat(format, config);
+    const headers = { 'Content-Type': 'application/json' };
+    if (config.apiKey) headers.Authorization = `Bearer ${config.apiKey}`;
+    const response = await fetch(`${trimTrailingSlash(config.endpoint)}/v1/chat/completions`, {
+        method: 'POST',
+        signal,
+        headers,
+        body: JSON.stringify({
+            model: config.model,
+            messages: [{ role: 'user', content: prompt }],
+            stream: !!onToken,
+            ...(config.temperature !== null && config.temperature !== undefined ? { temperature: config.temperature } : {}),
+            ...(config.maxTokens ? { max_tokens: config.maxTokens } : {}),
+            ...(responseFormat ? { response_format: responseFormat } : {})
+        }),
+    });
+    if (!response.ok) {
+        const errorBody = await response.text();
+        console.error("OpenAI-compatible API Error Response:", errorBody);
+        throw createHttpError(`Chat completions request failed: ${response.status} ${response.statusText}. ${errorBody}`, response.status);
+    }
+    if (onToken) {
+        // Server-sent events: "data: {...}" lines terminated by "data: [DONE]".
+        let content = '';
+        await readStreamLines(response, (line) => {
+            if (!line.startsWith('data:')) return;
+            const payload = line.slice(5).trim();
+            if (payload === '[DONE]') return;
+            const delta = JSON.parse(payload)?.choices?.[0]?.delta?.content;
+            if (typeof delta === 'string' && delta) {
+                content += delta;
+                onToken(content);
+            }
+        });
+        return content;
+    }
+    const data = await response.json();
+    const content = data?.choices?.[0]?.message?.content;
+    if (typeof content !== 'string') {
+        console.error("Invalid response structure from chat completions (expected choices[0].message.content):", data);
+        throw new Error("Invalid or unexpected response structure from OpenAI-compatible API.");
+    }
+    return content;
+};
+
+// Deterministic offline responses, keyed by role. Callers pass the structured
+// inputs of the prompt as `mockContext` so no prompt parsing is needed.
+const MOCK_PLAN_TOPICS = [
+    { name: "Core Fundamentals", questions: [
+        "Walk me through a recent project that is relevant to this role.",
+        "Which fundamentals of your main language or framework do you rely on most, and why?",
+        "How would you debug a production issue you cannot reproduce locally?"
+    ] },
+    { name: "Collaboration and Design", questions: [
+        "How do you approach designing a new feature from a vague requirement?",
+        "Describe a trade-off you made between speed of delivery and code quality.",
+        "How do you review and give feedback on a teammate's code?"
+    ] }
+];
+
+// The Analyst builds both the competency model and, when a resume is given,
+// the candidate profile; the mock tells them apart by the context it receives.
+const mockCandidateProfile = ({ resumeText, competencies }) => {
+    const firstLine = resumeText.split('\n').map(line => line.trim()).find(Boolean) || 'Candidate';
+    return {
+        summary: `Mock profile of ${firstLine.slice(0, 80)}.`,
+        experienceYears: null,
+        skills: competencies.filter(competency => resumeText.toLowerCase().includes(competency.name.toLowerCase())).map(competency => competency.name),
+        projects: [{ name: "Most recent project", summary: "Mock project summary; switch to a real LLM provider for resume analysis." }],
+        gaps: competencies.filter(competency => !resumeText.toLowerCase().includes(competency.name.toLowerCase())).map(competency => competency.name)
+    };
+};
+
+const MOCK_BEHAVIORAL_TOPICS = [
+    { name: "Leadership", questions: [
+        "Tell me about a time you led a team or initiative without formal authority.",
+        "Describe a situation where you had to make a difficult decision for your team.",
+        "Tell me about a time you mentored someone who was struggling."
+    ] },
+    { name: "Conflict Resolution", questions: [
+        "Tell me about a time you disagreed with a colleague on a technical decision.",
+        "Describe a situation where you had to deliver unwelcome news to a stakeholder.",
+        "Tell me about a time a project was at risk because of a conflict and what you did."
+    ] }
+];
+
+const MOCK_SYSTEM_DESIGN_TOPICS = [
+    { name: "Scalable Web Services", questions: [
+        "Design a URL shortener that serves 10,000 redirects per second.",
+        "How would your design change if traffic grew tenfold in one region?",
+        "Where would you add caching, and how would you keep it consistent?"
+    ] },
+    { name: "Data Storage and Reliability", questions: [
+        "Design the storage layer for a chat application with message history.",
+        "How would you partition and replicate that data?",
+        "What happens in your design when a database node fails?"
+    ] }
+];
+
+const MOCK_CODING_CHALLENGES = [
+    {
+        statement: "Write a function sumEven(numbers) that returns the sum of the even numbers in an array of integers.",
+        functionName: 'sumEven',
+        starterCode: "function sumEven(numbers) {\n    // Your code here\n}\n",
+        tests: [
+            { args: [[1, 2, 3, 4]], expected: 6 },
+            { args: [[]], expected: 0 },
+            { args: [[-2, 5, 8]], expected: 6 },
+            { args: [[1, 3, 5]], expected: 0 }
+        ]
+    },
+    {
+        statement: "Write a function isPalindrome(text) that returns true when text reads the same backwards, ignoring case and non-alphanumeric characters.",
+        functionName: 'isPalindrome',
+        starterCode: "function isPalindrome(text) {\n    // Your code here\n}\n",
+        tests: [
+            { args: ["Racecar"], expected: true },
+            { args: ["A man, a plan, a canal: Panama"], expected: true },
+            { args: ["hello"], expected: false },
+            { args: [""], expected: true }
+        ]
+    },
+    {
+        statement: "Write a function chunk(items, size) that splits an array into consecutive chunks of at most size items.",
+        functionName: 'chunk',
+        starterCode: "function chunk(items, size) {\n    // Your code here\n}\n",
+        tests: [
+            { args: [[1, 2, 3, 4, 5], 2], expected: [[1, 2], [3, 4], [5]] },
+            { args: [[], 3], expected: [] },
+            { args: [["a", "b"], 5], expected: [["a", "b"]] }
+        ]
+    }
+];
+
+const MOCK_TOPICS_BY_MODE = {
+    technical: MOCK_PLAN_TOPICS,
+    behavioral: MOCK_BEHAVIORAL_TOPICS,
+    'system-design': MOCK_SYSTEM_DESIGN_TOPICS
+};
+
+const MOCK_RESPONDERS = {
+    analyst: (context = {}) => {
+        if (typeof context.resumeText === 'string') return mockCandidateProfile(context);
+        const { required = [], preferred = [], mode } = context;
+        if (mode === 'behavioral' || mode === 'system-design') {
+            return { competencies: MOCK_TOPICS_BY_MODE[mode].map((topic, index) => ({ name: topic.name, weight: 4 - index, priority: 'required', rationale: `Mock ${mode} competency.` })) };
+        }
+        const competencies = [
+            ...required.map(name => ({ name, weight: 4, priority: 'required', rationale: "Listed as a required skill or qualification." })),
+            ...preferred.map(name => ({ name, weight: 2, priority: 'preferred', rationale: "Listed as a preferred qualification." }))
+        ].slice(0, 12);
+        return {
+            competencies: competencies.length > 0
+                ? competencies
+                : MOCK_PLAN_TOPICS.map((topic, index) => ({ name: topic.name, weight: 4 - index, priority: 'required', rationale: "Mock competency inferred offline." }))
+        };
+    },
+    planner: ({ topicCount = 2, questionsPerTopic = 3, timeBudgetMinutes = 30, questionCounts, mode, codingQuestions = 0 } = {}) => {
+        const templates = MOCK_TOPICS_BY_MODE[mode] || MOCK_PLAN_TOPICS;
+        const topics = Array.from({ length: topicCount }, (_, topicIndex) => {
+            const template = templates[topicIndex % templates.length];
+            const questionCount = questionCounts?.[topicIndex] ?? questionsPerTopic;
+            return {
+                name: topicIndex < templates.length ? template.name : `${template.name} ${Math.floor(topicIndex / templates.length) + 1}`,
+                questions: Array.from({ length: questionCount }, (_, questionIndex) => template.questions[questionIndex % template.questions.length])
+            };
+        });
+        // Coding problems replace the last questions of each topic in turn.
+        const codingChallenges = topics
+            .flatMap((topic, topicIndex) => topic.questions.map((_, questionIndex) => ({ topicIndex, questionIndex, fromEnd: topic.questions.length - 1 - questionIndex })))
+            .sort((a, b) => a.fromEnd - b.fromEnd || a.topicIndex - b.topicIndex)
+            .slice(0, codingQuestions)
+            .map(({ topicIndex, questionIndex }, index) => {
+                const { statement, ...challenge } = MOCK_CODING_CHALLENGES[index % MOCK_CODING_CHALLENGES.length];
+                topics[topicIndex].questions[questionIndex] = index < MOCK_CODING_CHALLENGES.length ? statement : `${statement} (variant ${index + 1})`;
+                return { topicIndex, questionIndex, ...challenge };
+            });
+        return { topics, estimatedMinutes: timeBudgetMinutes, ...(codingChallenges.length > 0 ? { codingChallenges } : {}) };
+    },
+    interviewer: ({ actionCode, questionText } = {}) => (
+        actionCode === ACTION_CODES.END_INTERVIEW
+            ? { type: 'planned', text: "Thank you for your time. That concludes our interview." }
+            : { type: 'planned', text: questionText || "Could you tell me more about that?" }
+    ),
+    monitor: ({ topicIndex = 0, questionIndex = 0, answer = '', mode, approach = null } = {}) => {
+        const wordCount = answer.trim().split(/\s+/).filter(Boolean).length;
+        const score = Math.min(1, Math.round((wordCount / 40) * 10) / 10);
+        const sufficient = wordCount >= 8;
+        const output = {
+            topicIndex, questionIndex,
+            metrics: { accuracy: score, relevance: score, clarity: score, completeness: score },
+            actionCode: sufficient ? ACTION_CODES.NEXT_QUESTION : ACTION_CODES.CLARIFY_QUESTION,
+            reason: sufficient ? "Mock monitor: answer has enough detail to move on." : "Mock monitor: answer is too short, asking for elaboration.",
+            discussion_point: sufficient ? null : "ask for specific example",
+            ...(approach ? { approach: /Major rewrites/.test(approach) ? "Mock monitor: started with a first draft, then rewrote most of it." : "Mock monitor: built the solution up incrementally." } : {})
+        };
+        const covers = (pattern) => (pattern.test(answer) ? 0.8 : 0.2);
+        if (mode === 'system-design') {
+            return {
+                ...output,
+                design: {
+                    scalability: covers(/\b(scale|scaling|shard|partition|replica|replicat|cache|caching|queue|load balancer)/i),
+                    tradeoffs: covers(/\b(trade-?off|instead of|at the cost|consistency|latency|downside|alternatively)\b/i),
+                    components: covers(/System Diagram Provided|\b(database|service|gateway|storage|cdn)\b/i)
+                }
+            };
+        }
+        if (mode !== 'behavioral') return output;
+        return {
+            ...output,
+            star: {
+                situation: covers(/\b(when|while|during|at my|at our|last year|once)\b/i),
+                task: covers(/\b(goal|task|needed to|had to|responsible|asked to)\b/i),
+                action: covers(/\bI (decided|led|built|talked|proposed|organized|wrote|set up|worked)\b/i),
+                result: covers(/\b(result|outcome|as a result|reduced|increased|improved|shipped|learned)\b/i)
+            }
+        };
+    },
+    report: () => ({
+        summary: "Mock report generated offline. Switch to a real LLM provider in Settings for a detailed analysis.",
+        strengths: [{ title: "Engagement", detail: "The candidate answered every question that was asked." }],
+        improvements: [{ title: "Depth", detail: "Short answers were asked for elaboration; add concrete examples." }],
+        recommendation: { decision: 'lean_hire', rationale: "Mock recommendation based on canned data." }
+    })
+};
+
+const callMockProvider = async (prompt, config, { role, mockContext, onToken }) => {
+    const responder = MOCK_RESPONDERS[role];
+    if (!responder) throw new Error(`Mock provider has no responder for role "${role}".`);
+    const content = JSON.stringify(responder(mockContext));
+    if (onToken) onToken(content);
+    return content;
+};
+
+const PROVIDER_IMPLEMENTATIONS = {
+    [LLM_PROVIDERS.OLLAMA]: callOllamaProvider,
+    [LLM_PROVIDERS.OPENAI_COMPATIBLE]: callOpenAiCompatibleProvider,
+    [LLM_PROVIDERS.MOCK]: callMockProvider
+};
+
+// Resolves with the raw text content returned by the selected provider. When
+// onToken is given the response is streamed and onToken receives the
+// accumulated content after every chunk. Each attempt is bounded by the
+// configured timeout; transient failures are retried unless tokens were
+// already streamed to the caller. Aborting `signal` cancels the call.
+export const callLlm = async (prompt, { settings = DEFAULT_LLM_SETTINGS, role, format = 'json', mockContext, onToken, signal } = {}) => {
+    const providerCall = PROVIDER_IMPLEMENTATIONS[settings.provider];
+    if (!providerCall) throw new Error(`Unknown LLM provider: ${settings.provider}`);
+    const config = resolveRoleConfig(settings, role);
+    console.log(`Calling ${LLM_PROVIDER_LABELS[settings.provider]} (${config.model}) for ${role || 'unknown role'}`);
+    let hasStreamed = false;
+    const trackedOnToken = onToken ? (content) => { hasStreamed = true; onToken(content); } : undefined;
+    try {
+        const content = await runWithRetry(
+            (attemptSignal) => providerCall(prompt, config, { role, format, mockContext, onToken: trackedOnToken, signal: attemptSignal }),
+            {
+                label: `${LLM_PROVIDER_LABELS[settings.provider]} ${role || ''} call`.replace(/\s+/g, ' '),
+                timeoutMs: settings.timeoutSeconds * 1000,
+                retries: settings.maxRetries,
+                signal,
+                canRetry: () => !hasStreamed
+            }
+        );
+        console.log("LLM Raw Response Content received.");
+        return content;
+    } catch (error) {
+        if (isAbortError(error)) throw error;
+        console.error(`Error calling ${LLM_PROVIDER_LABELS[settings.provider]} API:`, error);
+        throw new Error(`Network or API error calling ${LLM_PROVIDER_LABELS[settings.provider]}: ${error.message}`);
+    }
+};
+
+export const MAX_REPAIR_ATTEMPTS = 2;
+
+const buildRepairPrompt = (prompt, invalidContent, errors) => `${prompt}
+
+Your previous response was rejected because it did not match the required JSON structure.
+Previous response:
+${invalidContent}
+
+Validation errors:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Respond again with ONLY a corrected JSON object that fixes every error above.`;
+
+// Calls the LLM with the schema as the requested output format, validates the
+// parsed result and re-prompts with the validation errors (at most
+// MAX_REPAIR_ATTEMPTS times) before giving up. Only the first attempt streams.
+export const callStructuredLlm = async (prompt, { schema, onToken, ...options }) => {
+    let currentPrompt = prompt;
+    let lastErrors = [];
+    for (let attempt = 0; attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+        const content = await callLlm(currentPrompt, { ...options, format: schema, onToken: attempt === 0 ? onToken : undefined });
+        let parsed;
+        try {
+            parsed = parseJsonContent(content);
+            lastErrors = validateAgainstSchema(parsed, schema);
+        } catch (error) {
+            lastErrors = [error.message];
+        }
+        if (lastErrors.length === 0) return parsed;
+        console.warn(`${schema.title} failed validation (attempt ${attempt + 1}/${MAX_REPAIR_ATTEMPTS + 1}):`, lastErrors);
+        currentPrompt = buildRepairPrompt(prompt, content, lastErrors);
+    }
+    throw new Error(`${schema.title} output still invalid after ${MAX_REPAIR_ATTEMPTS} repair attempts: ${lastErrors.join('; ')}`);
+};
@@ -0,0 +1,136 @@
+import { callStructuredLlm, LLM_ROLES } from './llm';
+import { INTERVIEW_PLAN_SCHEMA } from './schemas';
+import { DIFFICULTY_LABELS } from './interviewConfig';
+import { pruneCodingChallenges } from './coding';
+
+// --- Plan Review & Partial Regeneration ---
+// During review the plan is held in an editable form where every topic and
+// question has a stable id (for reordering) and a `locked` flag. Locked items
+// are kept verbatim when the Planner is re-run; everything else in the
+// requested scope is replaced.
+
+let nextItemId = 0;
+const createItemId = () => `plan-item-${Date.now().toString(36)}-${nextItemId++}`;
+
+export const createEditableQuestion = (text = '') => ({ id: createItemId(), text, locked: false });
+
+export const createEditableTopic = (name = '', questions = ['']) => ({
+    id: createItemId(),
+    name,
+    locked: false,
+    questions: questions.map(createEditableQuestion)
+});
+
+// Coding challenges ride along unchanged; they are keyed by question text, so
+// a question keeps its hidden tests only while its statement is unedited.
+export const toEditablePlan = (plan) => ({
+    topics: (plan?.topics || []).map(topic => createEditableTopic(topic.name, topic.questions)),
+    codingChallenges: plan?.codingChallenges || []
+});
+
+export const fromEditablePlan = (editablePlan) => pruneCodingChallenges({
+    topics: editablePlan.topics.map(topic => ({
+        name: topic.name.trim(),
+        questions: topic.questions.map(question => question.text.trim()).filter(Boolean)
+    })),
+    codingChallenges: editablePlan.codingChallenges
+});
+
+// Returns a list of problems that prevent the edited plan from being used.
+export const validateEditablePlan = (editablePlan) => {
+    const problems = [];
+    if (editablePlan.topics.length === 0) problems.push('Add at least one topic.');
+    editablePlan.topics.forEach((topic, topicIndex) => {
+        if (!topic.name.trim()) problems.push(`Topic ${topicIndex + 1} needs a name.`);
+        if (!topic.questions.some(question => question.text.trim())) problems.push(`Topic ${topicIndex + 1} needs at least one question.`);
+    });
+    return problems;
+};
+
+export const moveItem = (items, index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= items.length) return items;
+    const reordered = [...items];
+    [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+    return reordered;
+};
+
+// scope: {} for the whole plan, { topicIndex } for one topic, or
+// { topicIndex, questionIndex } for a single question.
+const isInScope = (scope, topicIndex, questionIndex) => (
+    (scope.topicIndex === undefined || scope.topicIndex === topicIndex)
+    && (scope.questionIndex === undefined || questionIndex === undefined || scope.questionIndex === questionIndex)
+);
+
+const isTopicNameReplaced = (scope, topic, topicIndex) => (
+    !topic.locked && scope.questionIndex === undefined && isInScope(scope, topicIndex)
+);
+
+const isQuestionReplaced = (scope, topic, question, topicIndex, questionIndex) => (
+    !topic.locked && !question.locked && isInScope(scope, topicIndex, questionIndex)
+);
+
+export const hasRegenerableItems = (editablePlan, scope = {}) => editablePlan.topics.some((topic, topicIndex) => (
+    isTopicNameReplaced(scope, topic, topicIndex)
+    || topic.questions.some((question, questionIndex) => isQuestionReplaced(scope, topic, question, topicIndex, questionIndex))
+));
+
+const describePlanForRegeneration = (editablePlan, scope) => editablePlan.topics.map((topic, topicIndex) => {
+    const nameMarker = isTopicNameReplaced(scope, topic, topicIndex) ? 'REPLACE' : 'KEEP';
+    const questions = topic.questions.map((question, questionIndex) => {
+        const marker = isQuestionReplaced(scope, topic, question, topicIndex, questionIndex) ? 'REPLACE' : 'KEEP';
+        return `    ${questionIndex + 1}. [${marker}] ${question.text || '(empty)'}`;
+    }).join('\n');
+    return `Topic ${topicIndex + 1} [${nameMarker}]: ${topic.name || '(empty)'}\n${questions}`;
+}).join('\n');
+
+const MODE_NOTES = {
+    behavioral: ' This is a behavioral interview: topics are behavioral competencies and every question asks for one specific past situation that can be answered in STAR form.',
+    'system-design': ' This is a system design interview: each topic opens with an open-ended design problem and its later questions dig into scaling, storage, failure handling or trade-offs of that design; no coding questions.'
+};
+
+// Re-runs the Planner for the unlocked items in `scope` and returns a new
+// editable plan. Locked and out-of-scope items keep their ids and content.
+export const regeneratePlanParts = async ({ jobDescription, interviewConfig, editablePlan, scope = {}, llmSettings, signal }) => {
+    const prompt = `You are revising an interview plan for this job description: """ ${jobDescription} """
+The plan is pitched at a ${DIFFICULTY_LABELS[interviewConfig.difficulty]} (${interviewConfig.difficulty}) candidate and the interview must fit in ${interviewConfig.timeBudgetMinutes} minutes.${MODE_NOTES[interviewConfig.mode] || ''}
+Current plan (items marked [KEEP] must be returned exactly as written; items marked [REPLACE] must be replaced with new, different content that fits the job and does not duplicate any other question):
+${describePlanForRegeneration(editablePlan, scope)}
+
+Return the complete revised plan with the same number of topics and the same number of questions per topic, in the same order.
+Output ONLY the following JSON structure: \`\`\`json { "topics": [ { "name": "Topic Name", "questions": ["Question 1", "Question 2"] } ] } \`\`\``;
+    const schema = {
+        ...INTERVIEW_PLAN_SCHEMA,
+        properties: {
+            topics: { ...INTERVIEW_PLAN_SCHEMA.properties.topics, minItems: editablePlan.topics.length, maxItems: editablePlan.topics.length }
+        }
+    };
+    const revised = await callStructuredLlm(prompt, {
+        schema, settings: llmSettings, role: LLM_ROLES.PLANNER, signal,
+        mockContext: {
+            ...interviewConfig,
+            topicCount: editablePlan.topics.length,
+            questionsPerTopic: Math.max(1, ...editablePlan.topics.map(topic => topic.questions.length)),
+            // Regeneration only rewrites text; replaced coding questions lose their tests.
+            codingQuestions: 0
+        }
+    });
+    // Merge by position; if the Planner returned fewer questions than asked,
+    // the existing text is kept for the missing ones.
+    return {
+        ...editablePlan,
+        topics: editablePlan.topics.map((topic, topicIndex) => {
+            const revisedTopic = revised.topics[topicIndex];
+            return {
+                ...topic,
+                name: isTopicNameReplaced(scope, topic, topicIndex) ? revisedTopic.name : topic.name,
+                questions: topic.questions.map((question, questionIndex) => {
+                    const revisedText = revisedTopic.questions[questionIndex];
+                    return isQuestionReplaced(scope, topic, question, topicIndex, questionIndex) && revisedText
+                        ? { ...question, text: revisedText }
+                        : question;
+                })
+            };
+        })
+    };
+};
@@ -0,0 +1,28 @@
+import { runTransaction, createRecordId, STORES } from './db';
+
+// --- Saved Plan Templates ---
+// A template is a named copy of an interviewPlan (plus the configuration it
+// was built with) that can start a new interview without calling the Planner.
+
+export const savePlanTemplate = async ({ id, name, jobTitle, interviewPlan, interviewConfig, createdAt }) => {
+    const template = {
+        id: id || createRecordId(),
+        name: name.trim(),
+        jobTitle: jobTitle || null,
+        interviewPlan,
+        interviewConfig: interviewConfig || null,
+        createdAt: createdAt || Date.now(),
+        updatedAt: Date.now()
+    };
+    await runTransaction(STORES.PLAN_TEMPLATES, 'readwrite', store => store.put(template));
+    return template;
+};
+
+export const getPlanTemplate = (templateId) => runTransaction(STORES.PLAN_TEMPLATES, 'readonly', store => store.get(templateId));
+
+export const listPlanTemplates = async () => {
+    const templates = await runTransaction(STORES.PLAN_TEMPLATES, 'readonly', store => store.getAll());
+    return (templates || []).sort((a, b) => a.name.localeCompare(b.name));
+};
+
+export const deletePlanTemplate = (templateId) => runTransaction(STORES.PLAN_TEMPLATES, 'readwrite', store => store.delete(templateId));
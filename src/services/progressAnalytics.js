@@ -0,0 +1,81 @@
+import { METRIC_KEYS, averageMetrics, overallScore } from './sessionSummary';
+
+// --- Progress Analytics ---
+// Groups Monitor scores by skill topic across all saved sessions. Topic names
+// come from each session's interviewPlan and are normalized so that
+// "React Hooks", "react hooks" and "React-Hooks" count as the same skill.
+
+export const WEAK_SCORE_THRESHOLD = 0.6;
+const MIN_SESSIONS_FOR_WEAKNESS = 2;
+const WEAK_SESSION_RATIO = 2 / 3;
+
+export const normalizeTopicName = (name) => (name || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9+#]+/g, ' ')
+    .trim();
+
+// One point per (topic, session): the topic's averaged metrics in that session.
+const collectTopicPoints = (sessions) => {
+    const topics = new Map();
+    sessions.forEach(session => {
+        const planTopics = session.interviewPlan?.topics || [];
+        const entriesByTopic = new Map();
+        (session.interviewLog || []).forEach(entry => {
+            const topicName = planTopics[entry.topicIndex]?.name;
+            const key = normalizeTopicName(topicName);
+            if (!key) return;
+            if (!entriesByTopic.has(key)) entriesByTopic.set(key, { name: topicName, entries: [] });
+            entriesByTopic.get(key).entries.push(entry);
+        });
+        entriesByTopic.forEach(({ name, entries }, key) => {
+            if (!topics.has(key)) topics.set(key, { key, names: new Set(), points: [] });
+            const topic = topics.get(key);
+            const metrics = averageMetrics(entries);
+            topic.names.add(name);
+            topic.points.push({
+                sessionId: session.id,
+                jobTitle: session.jobDetails?.job_title || 'Untitled Interview',
+                date: session.startedAt || session.createdAt || session.updatedAt,
+                answerCount: entries.length,
+                metrics,
+                score: overallScore(metrics)
+            });
+        });
+    });
+    return topics;
+};
+
+// Returns one record per normalized topic, sorted weakest first, with its
+// score history (oldest first), averages, trend and a consistent-weakness flag.
+export const buildTopicProgress = (sessions) => {
+    const topics = collectTopicPoints(sessions);
+    return [...topics.values()].map(({ key, names, points }) => {
+        const history = points
+            .filter(point => typeof point.score === 'number')
+            .sort((a, b) => (a.date || 0) - (b.date || 0));
+        const metrics = Object.fromEntries(METRIC_KEYS.map(metricKey => {
+            const values = history.map(point => point.metrics[metricKey]).filter(value => typeof value === 'number');
+            return [metricKey, values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null];
+        }));
+        const weakestMetric = METRIC_KEYS
+            .filter(metricKey => typeof metrics[metricKey] === 'number')
+            .sort((a, b) => metrics[a] - metrics[b])[0] || null;
+        const weakSessions = history.filter(point => point.score < WEAK_SCORE_THRESHOLD).length;
+        return {
+            key,
+            name: [...names][0],
+            history,
+            sessionCount: history.length,
+            answerCount: history.reduce((sum, point) => sum + point.answerCount, 0),
+            metrics,
+            averageScore: overallScore(metrics),
+            latestScore: history.length > 0 ? history[history.length - 1].score : null,
+            trend: history.length >= 2 ? history[history.length - 1].score - history[0].score : null,
+            weakestMetric,
+            isConsistentlyWeak: history.length >= MIN_SESSIONS_FOR_WEAKNESS && weakSessions / history.length >= WEAK_SESSION_RATIO
+        };
+    })
+        .filter(topic => topic.sessionCount > 0)
+        .sort((a, b) => a.averageScore - b.averageScore);
+};
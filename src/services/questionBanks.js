@@ -0,0 +1,156 @@
+import { runTransaction, createRecordId, STORES } from './db';
+import { validateAgainstSchema } from './schemas';
+import { DIFFICULTY_LEVELS } from './interviewConfig';
+import { normalizeTopicName } from './progressAnalytics';
+
+// --- Question Banks ---
+// Named collections of questions tagged by skill and difficulty. The Planner
+// can draw part of each topic from a bank (see composePlanFromBank), and banks
+// move between machines as JSON files.
+
+export const QUESTION_BANK_FORMAT = 'open-interview-ai/question-bank';
+export const QUESTION_BANK_VERSION = 1;
+
+const QUESTION_BANK_FILE_SCHEMA = {
+    title: 'QuestionBankFile',
+    type: 'object',
+    required: ['format', 'version', 'bank'],
+    properties: {
+        format: { type: 'string', enum: [QUESTION_BANK_FORMAT] },
+        version: { type: 'integer', minimum: 1, maximum: QUESTION_BANK_VERSION },
+        bank: {
+            type: 'object',
+            required: ['name', 'questions'],
+            properties: {
+                name: { type: 'string', minLength: 1 },
+                questions: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['text', 'skill', 'difficulty'],
+                        properties: {
+                            text: { type: 'string', minLength: 1 },
+                            skill: { type: 'string', minLength: 1 },
+                            difficulty: { type: 'string', enum: DIFFICULTY_LEVELS }
+                        }
+                    }
+                }
+            }
+        }
+    }
+};
+
+export const createBankQuestion = ({ text = '', skill = '', difficulty = 'mid' } = {}) => ({
+    id: createRecordId(), text, skill, difficulty
+});
+
+export const saveQuestionBank = async (bank) => {
+    const record = { ...bank, id: bank.id || createRecordId(), createdAt: bank.createdAt || Date.now(), updatedAt: Date.now() };
+    await runTransaction(STORES.QUESTION_BANKS, 'readwrite', store => store.put(record));
+    return record;
+};
+
+export const getQuestionBank = (bankId) => runTransaction(STORES.QUESTION_BANKS, 'readonly', store => store.get(bankId));
+
+export const listQuestionBanks = async () => {
+    const banks = await runTransaction(STORES.QUESTION_BANKS, 'readonly', store => store.getAll());
+    return (banks || []).sort((a, b) => a.name.localeCompare(b.name));
+};
+
+export const deleteQuestionBank = (bankId) => runTransaction(STORES.QUESTION_BANKS, 'readwrite', store => store.delete(bankId));
+
+export const questionBankToJson = (bank) => JSON.stringify({
+    format: QUESTION_BANK_FORMAT,
+    version: QUESTION_BANK_VERSION,
+    exportedAt: Date.now(),
+    bank: {
+        name: bank.name,
+        questions: bank.questions.map(({ text, skill, difficulty }) => ({ text, skill, difficulty }))
+    }
+}, null, 2);
+
+// Validates an exported bank file and saves it as a new bank.
+export const importQuestionBankFile = async (fileText) => {
+    let bankDocument;
+    try {
+        bankDocument = JSON.parse(fileText);
+    } catch (error) {
+        throw new Error(`Not a valid question bank file: ${error.message}`);
+    }
+    const errors = validateAgainstSchema(bankDocument, QUESTION_BANK_FILE_SCHEMA);
+    if (errors.length > 0) {
+        throw new Error(`Not a valid question bank file: ${errors.slice(0, 3).join('; ')}`);
+    }
+    return saveQuestionBank({
+        name: bankDocument.bank.name.trim(),
+        questions: bankDocument.bank.questions.map(question => createBankQuestion({
+            text: question.text.trim(), skill: question.skill.trim(), difficulty: question.difficulty
+        }))
+    });
+};
+
+// Distinct skills in the bank, spelled as they first appear.
+export const listBankSkills = (bank) => {
+    const skills = new Map();
+    (bank?.questions || []).forEach(question => {
+        const key = normalizeTopicName(question.skill);
+        if (key && !skills.has(key)) skills.set(key, question.skill.trim());
+    });
+    return [...skills.values()];
+};
+
+const skillMatchesTopic = (skill, topicName) => {
+    const normalizedSkill = normalizeTopicName(skill);
+    const normalizedTopic = normalizeTopicName(topicName);
+    if (!normalizedSkill || !normalizedTopic) return false;
+    if (normalizedSkill === normalizedTopic) return true;
+    const topicWords = normalizedTopic.split(' ');
+    return normalizedSkill.split(' ').every(word => topicWords.includes(word));
+};
+
+const shuffle = (items) => {
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+};
+
+// Picks up to `count` random questions for a topic, preferring the target
+// difficulty and falling back to the nearest levels.
+export const pickBankQuestions = (bank, topicName, difficulty, count, excludeTexts = []) => {
+    const targetLevel = DIFFICULTY_LEVELS.indexOf(difficulty);
+    const candidates = (bank?.questions || []).filter(question => (
+        question.text.trim() && skillMatchesTopic(question.skill, topicName) && !excludeTexts.includes(question.text)
+    ));
+    return shuffle(candidates)
+        .sort((a, b) => Math.abs(DIFFICULTY_LEVELS.indexOf(a.difficulty) - targetLevel) - Math.abs(DIFFICULTY_LEVELS.indexOf(b.difficulty) - targetLevel))
+        .slice(0, count)
+        .map(question => question.text);
+};
+
+// Replaces the first `bankQuestionsPerTopic` generated questions of every
+// topic that matches a bank skill with bank questions, in place; the later
+// generated questions keep their positions. Coding questions (those with a
+// `codingChallenges` entry) are never replaced, so their hidden tests and the
+// configured number of coding problems survive. Topics without enough
+// matching bank questions keep the Planner's questions for the remainder.
+export const composePlanFromBank = (plan, bank, { bankQuestionsPerTopic, difficulty }) => {
+    let bankQuestionCount = 0;
+    const usedTexts = [];
+    const codingQuestions = new Set((plan.codingChallenges || []).map(challenge => challenge.question));
+    const topics = plan.topics.map(topic => {
+        const replaceableCount = topic.questions.filter(question => !codingQuestions.has(question)).length;
+        // Questions the Planner already took from the bank are not picked again.
+        const picked = pickBankQuestions(bank, topic.name, difficulty, Math.min(bankQuestionsPerTopic, replaceableCount), [...usedTexts, ...topic.questions]);
+        usedTexts.push(...picked);
+        bankQuestionCount += picked.length;
+        let nextPicked = 0;
+        const questions = topic.questions.map(question => (
+            !codingQuestions.has(question) && nextPicked < picked.length ? picked[nextPicked++] : question
+        ));
+        return { ...topic, questions };
+    });
+    return { plan: { ...plan, topics }, bankQuestionCount };
+};
@@ -0,0 +1,145 @@
+import { callStructuredLlm, LLM_ROLES } from './llm';
+import { getActionCodeName } from './actionCodes';
+import { REPORT_ANALYSIS_SCHEMA } from './schemas';
+import { averageMetrics, overallScore } from './sessionSummary';
+import { buildBehavioralSummary, STAR_LABELS } from './behavioral';
+import { buildDesignSummary, DESIGN_RUBRIC_LABELS } from './systemDesign';
+import { buildDeliverySummary, describeDeliverySummary, formatDelivery } from './deliveryMetrics';
+
+// --- Analysis Report ---
+// A report combines locally computed scores (per topic and per question) with
+// the Report role's narrative analysis. It is stored with the session as plain
+// JSON so it can be re-rendered and exported without another LLM call.
+
+export const REPORT_FORMAT_VERSION = 1;
+
+export const HIRING_RECOMMENDATION_LABELS = {
+    strong_hire: 'Strong Hire',
+    hire: 'Hire',
+    lean_hire: 'Lean Hire',
+    lean_no_hire: 'Lean No Hire',
+    no_hire: 'No Hire'
+};
+
+const questionTextFor = (interviewPlan, entry) => (
+    entry.questionText || interviewPlan?.topics?.[entry.topicIndex]?.questions?.[entry.questionIndex] || ''
+);
+
+const topicNameFor = (interviewPlan, topicIndex) => interviewPlan?.topics?.[topicIndex]?.name || `Topic ${topicIndex + 1}`;
+
+export const buildTopicBreakdown = (interviewPlan, interviewLog) => {
+    const topicIndexes = [...new Set(interviewLog.map(entry => entry.topicIndex))].sort((a, b) => a - b);
+    return topicIndexes.map(topicIndex => {
+        const entries = interviewLog.filter(entry => entry.topicIndex === topicIndex);
+        const metrics = averageMetrics(entries);
+        return {
+            topicIndex,
+            name: topicNameFor(interviewPlan, topicIndex),
+            answerCount: entries.length,
+            metrics,
+            score: overallScore(metrics)
+        };
+    });
+};
+
+export const buildQuestionRows = (interviewPlan, interviewLog) => interviewLog.map((entry, index) => ({
+    number: index + 1,
+    topicIndex: entry.topicIndex,
+    topicName: topicNameFor(interviewPlan, entry.topicIndex),
+    questionIndex: entry.questionIndex,
+    question: questionTextFor(interviewPlan, entry),
+    type: entry.type || 'planned',
+    metrics: entry.metrics || {},
+    score: overallScore(entry.metrics || {}),
+    actionCode: entry.actionCode,
+    action: getActionCodeName(entry.actionCode),
+    reason: entry.reason || '',
+    discussionPoint: entry.discussion_point || null,
+    star: entry.star || null,
+    design: entry.design || null,
+    tests: entry.tests || null,
+    approach: entry.approach || null,
+    delivery: entry.delivery || null
+}));
+
+const formatInterviewLog = (interviewPlan, interviewLog) => buildQuestionRows(interviewPlan, interviewLog).map(row => `Question ${row.number} (Topic: ${row.topicName}, Type: ${row.type}):
+Question: ${row.question}
+Metrics: ${JSON.stringify(row.metrics)}${row.star ? `\nSTAR coverage: ${JSON.stringify(row.star)}` : ''}${row.design ? `\nDesign rubric: ${JSON.stringify(row.design)}` : ''}${row.tests ? `\nHidden tests passed: ${row.tests.passed}/${row.tests.total}` : ''}${row.approach ? `\nCoding approach: ${row.approach}` : ''}${row.delivery ? `\nSpoken delivery: ${formatDelivery(row.delivery)}` : ''}
+Action: ${row.action}
+Reason: ${row.reason}
+${row.discussionPoint ? `Discussion Point: ${row.discussionPoint}` : ''}`).join('\n\n');
+
+const formatBehavioralSummary = (behavioral) => behavioral.competencies.map(competency => (
+    `- ${competency.name}: ${Object.entries(competency.star).map(([part, score]) => `${STAR_LABELS[part]} ${score.toFixed(2)}`).join(', ')}${competency.missing.length > 0 ? ` (weak: ${competency.missing.map(part => STAR_LABELS[part]).join(', ')})` : ''}`
+)).join('\n');
+
+const formatDesignSummary = (design) => design.topics.map(topic => (
+    `- ${topic.name}: ${Object.entries(topic.design).map(([part, score]) => `${DESIGN_RUBRIC_LABELS[part]} ${score.toFixed(2)}`).join(', ')}${topic.weak.length > 0 ? ` (weak: ${topic.weak.map(part => DESIGN_RUBRIC_LABELS[part]).join(', ')})` : ''}`
+)).join('\n');
+
+const callReportLlm = async (jobDetails, interviewPlan, interviewLog, { behavioral, design, delivery }, llmSettings, signal) => {
+    const role = jobDetails?.job_title ? `${jobDetails.job_title}${jobDetails.company ? ` at ${jobDetails.company}` : ''}` : 'the role';
+    const behavioralInstructions = behavioral
+        ? `\nThis was a behavioral interview. Summarize the candidate's behavioral competencies: for each competency below, say what the STAR coverage shows about how they operate, and call out STAR parts they habitually leave out.
+Average STAR coverage per competency (0-1):
+${formatBehavioralSummary(behavioral)}\n`
+        : '';
+    const designInstructions = design
+        ? `\nThis was a system design interview. Assess the candidate's designs on scalability, trade-offs and component choices, using the diagrams described in the answers and the rubric averages below, and name the design habits to work on.
+Average design rubric per topic (0-1):
+${formatDesignSummary(design)}\n`
+        : '';
+    const approachInstructions = interviewLog.some(entry => entry.approach)
+        ? `\nSome answers include a "Coding approach" note, summarized from timed editor snapshots. Comment on how the candidate approaches writing code (planning, iterating, refactoring) where it adds to the assessment; do not count pauses or rewrites against them on their own.\n`
+        : '';
+    const deliveryInstructions = delivery
+        ? `\nSome answers were spoken; their "Spoken delivery" notes are measured locally from the speech recognition transcript and microphone timing. Mention pace, filler words or long pauses only where they would noticeably affect how the answers come across, as a communication point separate from the content.
+Delivery across spoken answers: ${describeDeliverySummary(delivery)}\n`
+        : '';
+    const interviewKind = behavioral ? 'behavioral' : (design ? 'system design' : 'technical');
+    const prompt = `You are writing the analysis section of a ${interviewKind} interview report for ${role}.
+Based on the interview log below, respond ONLY with a JSON object in this format:
+{
+  "summary": "2-4 sentence overall assessment of the candidate's performance",
+  "strengths": [ { "title": "short label", "detail": "evidence from the answers" } ],
+  "improvements": [ { "title": "short label", "detail": "what was missing and how to improve" } ],
+  "recommendation": { "decision": "strong_hire" | "hire" | "lean_hire" | "lean_no_hire" | "no_hire", "rationale": "why" }
+}
+Base every point on the metrics, reasons and discussion points in the log; do not invent answers.
+${behavioralInstructions}${designInstructions}${approachInstructions}${deliveryInstructions}
+Interview log:
+${formatInterviewLog(interviewPlan, interviewLog)}`;
+    return callStructuredLlm(prompt, { settings: llmSettings, role: LLM_ROLES.REPORT, schema: REPORT_ANALYSIS_SCHEMA, signal });
+};
+
+// Builds the full report for a session ({ jobDetails, interviewConfig, interviewPlan, interviewLog }).
+export const createAnalysisReport = async ({ jobDetails, interviewConfig, interviewPlan, interviewLog }, llmSettings, signal) => {
+    if (!interviewLog || interviewLog.length === 0) {
+        throw new Error("No interview log available to generate a report.");
+    }
+    const behavioral = buildBehavioralSummary(interviewPlan, interviewLog);
+    const design = buildDesignSummary(interviewPlan, interviewLog);
+    const delivery = buildDeliverySummary(interviewLog);
+    const analysis = await callReportLlm(jobDetails, interviewPlan, interviewLog, { behavioral, design, delivery }, llmSettings, signal);
+    const overallMetrics = averageMetrics(interviewLog);
+    return {
+        version: REPORT_FORMAT_VERSION,
+        generatedAt: Date.now(),
+        jobTitle: jobDetails?.job_title || 'Untitled Interview',
+        company: jobDetails?.company || 'N/A',
+        mode: interviewConfig?.mode || 'technical',
+        overall: { metrics: overallMetrics, score: overallScore(overallMetrics), answerCount: interviewLog.length },
+        topics: buildTopicBreakdown(interviewPlan, interviewLog),
+        questions: buildQuestionRows(interviewPlan, interviewLog),
+        // Per-competency STAR coverage; null for technical interviews.
+        behavioral,
+        // Per-topic design rubric averages; null outside system design interviews.
+        design,
+        // Pace, filler words and pauses across spoken answers; null when none was spoken.
+        delivery,
+        analysis
+    };
+};
+
+// Reports saved before the structured format were plain LLM text.
+export const isStructuredReport = (report) => !!report && typeof report === 'object' && report.version >= 1;
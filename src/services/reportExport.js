@@ -0,0 +1,158 @@
+import { METRIC_KEYS, formatScore } from './sessionSummary';
+import { HIRING_RECOMMENDATION_LABELS } from './report';
+import { slugify } from './download';
+import { STAR_PARTS, DESIGN_RUBRIC_PARTS } from './schemas';
+import { STAR_LABELS } from './behavioral';
+import { DESIGN_RUBRIC_LABELS } from './systemDesign';
+import { describeDeliverySummary, formatDelivery } from './deliveryMetrics';
+
+// --- Report Export ---
+// Markdown, JSON and printable HTML renderings of a structured report. PDF
+// export goes through the browser's print dialog ("Save as PDF").
+
+export const reportFileName = (report, extension) => (
+    `interview-report-${slugify(report.jobTitle)}-${new Date(report.generatedAt).toISOString().slice(0, 10)}.${extension}`
+);
+
+const escapeMarkdownCell = (text) => String(text ?? '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+
+const escapeHtml = (text) => String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const recommendationLabel = (report) => HIRING_RECOMMENDATION_LABELS[report.analysis.recommendation.decision] || report.analysis.recommendation.decision;
+
+export const reportToJson = (report) => JSON.stringify(report, null, 2);
+
+export const reportToMarkdown = (report) => {
+    const { analysis } = report;
+    const lines = [
+        `# Interview Report: ${report.jobTitle}`,
+        '',
+        `**Company:** ${report.company}  `,
+        `**Generated:** ${new Date(report.generatedAt).toLocaleString()}  `,
+        `**Overall score:** ${formatScore(report.overall.score)} (${report.overall.answerCount} answers)  `,
+        `**Recommendation:** ${recommendationLabel(report)}`,
+        '',
+        '## Summary',
+        '',
+        analysis.summary,
+        '',
+        '## Recommendation',
+        '',
+        `**${recommendationLabel(report)}** — ${analysis.recommendation.rationale}`,
+        '',
+        '## Strengths',
+        '',
+        ...(analysis.strengths.length > 0 ? analysis.strengths.map(item => `- **${item.title}:** ${item.detail}`) : ['- None noted.']),
+        '',
+        '## Areas for Improvement',
+        '',
+        ...(analysis.improvements.length > 0 ? analysis.improvements.map(item => `- **${item.title}:** ${item.detail}`) : ['- None noted.']),
+        '',
+        ...(report.behavioral ? [
+            '## Behavioral Competencies (STAR coverage)',
+            '',
+            `| Competency | Answers | ${STAR_PARTS.map(part => STAR_LABELS[part]).join(' | ')} | STAR |`,
+            `|---|---|${STAR_PARTS.map(() => '---').join('|')}|---|`,
+            ...report.behavioral.competencies.map(competency => `| ${escapeMarkdownCell(competency.name)} | ${competency.answerCount} | ${STAR_PARTS.map(part => formatScore(competency.star[part])).join(' | ')} | ${formatScore(competency.score)} |`),
+            ''
+        ] : []),
+        ...(report.design ? [
+            '## System Design Rubric',
+            '',
+            `| Topic | Answers | ${DESIGN_RUBRIC_PARTS.map(part => DESIGN_RUBRIC_LABELS[part]).join(' | ')} | Design |`,
+            `|---|---|${DESIGN_RUBRIC_PARTS.map(() => '---').join('|')}|---|`,
+            ...report.design.topics.map(topic => `| ${escapeMarkdownCell(topic.name)} | ${topic.answerCount} | ${DESIGN_RUBRIC_PARTS.map(part => formatScore(topic.design[part])).join(' | ')} | ${formatScore(topic.score)} |`),
+            ''
+        ] : []),
+        ...(report.delivery ? [
+            '## Speech Delivery',
+            '',
+            describeDeliverySummary(report.delivery),
+            ''
+        ] : []),
+        '## Topic Breakdown',
+        '',
+        `| Topic | Answers | ${METRIC_KEYS.join(' | ')} | Score |`,
+        `|---|---|${METRIC_KEYS.map(() => '---').join('|')}|---|`,
+        ...report.topics.map(topic => `| ${escapeMarkdownCell(topic.name)} | ${topic.answerCount} | ${METRIC_KEYS.map(key => formatScore(topic.metrics[key])).join(' | ')} | ${formatScore(topic.score)} |`),
+        '',
+        '## Questions',
+        '',
+        '| # | Topic | Question | Type | Score | Action | Reason |',
+        '|---|---|---|---|---|---|---|',
+        ...report.questions.map(row => `| ${row.number} | ${escapeMarkdownCell(row.topicName)} | ${escapeMarkdownCell(row.question)} | ${row.type} | ${formatScore(row.score)} | ${row.actionCode} (${row.action}) | ${escapeMarkdownCell([row.reason, row.approach && `Approach: ${row.approach}`, row.delivery && `Delivery: ${formatDelivery(row.delivery)}`].filter(Boolean).join(' '))} |`),
+        ''
+    ];
+    return lines.join('\n');
+};
+
+export const reportToHtml = (report) => {
+    const { analysis } = report;
+    const findingList = (items) => (items.length > 0
+        ? `<ul>${items.map(item => `<li><strong>${escapeHtml(item.title)}:</strong> ${escapeHtml(item.detail)}</li>`).join('')}</ul>`
+        : '<p>None noted.</p>');
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Interview Report: ${escapeHtml(report.jobTitle)}</title>
+<style>
+  body { font-family: 'Segoe UI', 'Helvetica Neue', sans-serif; color: #111; max-width: 900px; margin: 24px auto; padding: 0 16px; }
+  h1 { margin-bottom: 4px; }
+  .meta { color: #555; margin-bottom: 16px; }
+  .recommendation { border: 2px solid #007bff; border-radius: 8px; padding: 12px; margin: 16px 0; }
+  table { width: 100%; border-collapse: collapse; font-size: 0.9em; margin-bottom: 16px; }
+  th, td { border: 1px solid #ccc; padding: 6px 8px; text-align: left; vertical-align: top; }
+  th { background: #f2f2f2; }
+  @media print { body { margin: 0; } .recommendation { break-inside: avoid; } tr { break-inside: avoid; } }
+</style>
+</head>
+<body>
+<h1>Interview Report: ${escapeHtml(report.jobTitle)}</h1>
+<div class="meta">${escapeHtml(report.company)} · Generated ${escapeHtml(new Date(report.generatedAt).toLocaleString())} · Overall score ${formatScore(report.overall.score)} (${report.overall.answerCount} answers)</div>
+<h2>Summary</h2>
+<p>${escapeHtml(analysis.summary)}</p>
+<div class="recommendation"><strong>Recommendation: ${escapeHtml(recommendationLabel(report))}</strong><br>${escapeHtml(analysis.recommendation.rationale)}</div>
+<h2>Strengths</h2>
+${findingList(analysis.strengths)}
+<h2>Areas for Improvement</h2>
+${findingList(analysis.improvements)}
+${report.behavioral ? `<h2>Behavioral Competencies (STAR coverage)</h2>
+<table>
+<tr><th>Competency</th><th>Answers</th>${STAR_PARTS.map(part => `<th>${STAR_LABELS[part]}</th>`).join('')}<th>STAR</th></tr>
+${report.behavioral.competencies.map(competency => `<tr><td>${escapeHtml(competency.name)}</td><td>${competency.answerCount}</td>${STAR_PARTS.map(part => `<td>${formatScore(competency.star[part])}</td>`).join('')}<td>${formatScore(competency.score)}</td></tr>`).join('\n')}
+</table>
+` : ''}${report.design ? `<h2>System Design Rubric</h2>
+<table>
+<tr><th>Topic</th><th>Answers</th>${DESIGN_RUBRIC_PARTS.map(part => `<th>${DESIGN_RUBRIC_LABELS[part]}</th>`).join('')}<th>Design</th></tr>
+${report.design.topics.map(topic => `<tr><td>${escapeHtml(topic.name)}</td><td>${topic.answerCount}</td>${DESIGN_RUBRIC_PARTS.map(part => `<td>${formatScore(topic.design[part])}</td>`).join('')}<td>${formatScore(topic.score)}</td></tr>`).join('\n')}
+</table>
+` : ''}${report.delivery ? `<h2>Speech Delivery</h2>
+<p>${escapeHtml(describeDeliverySummary(report.delivery))}</p>
+` : ''}<h2>Topic Breakdown</h2>
+<table>
+<tr><th>Topic</th><th>Answers</th>${METRIC_KEYS.map(key => `<th>${key}</th>`).join('')}<th>Score</th></tr>
+${report.topics.map(topic => `<tr><td>${escapeHtml(topic.name)}</td><td>${topic.answerCount}</td>${METRIC_KEYS.map(key => `<td>${formatScore(topic.metrics[key])}</td>`).join('')}<td>${formatScore(topic.score)}</td></tr>`).join('\n')}
+</table>
+<h2>Questions</h2>
+<table>
+<tr><th>#</th><th>Topic</th><th>Question</th><th>Type</th><th>Score</th><th>Action</th><th>Reason</th></tr>
+${report.questions.map(row => `<tr><td>${row.number}</td><td>${escapeHtml(row.topicName)}</td><td>${escapeHtml(row.question)}</td><td>${row.type}</td><td>${formatScore(row.score)}</td><td>${row.actionCode} (${escapeHtml(row.action)})</td><td>${escapeHtml(row.reason)}${row.approach ? `<br><em>Approach: ${escapeHtml(row.approach)}</em>` : ''}${row.delivery ? `<br><em>Delivery: ${escapeHtml(formatDelivery(row.delivery))}</em>` : ''}</td></tr>`).join('\n')}
+</table>
+</body>
+</html>`;
+};
+
+// Opens the HTML rendering in a new window and triggers the print dialog.
+export const printReport = (report) => {
+    const printWindow = window.open('', '_blank');
+    if (!printWindow) throw new Error("The print window was blocked. Allow pop-ups for this site to print or save as PDF.");
+    printWindow.document.write(reportToHtml(report));
+    printWindow.document.close();
+    printWindow.focus();
+    printWindow.print();
+};
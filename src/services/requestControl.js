@@ -0,0 +1,79 @@
+// --- Request Control: timeouts, retries and cancellation ---
+
+export const DEFAULT_REQUEST_OPTIONS = {
+    timeoutMs: 60000,
+    retries: 2,
+    baseDelayMs: 500
+};
+
+const TRANSIENT_HTTP_STATUSES = [408, 425, 429, 500, 502, 503, 504];
+
+export const createHttpError = (message, status) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+const createTimeoutError = (label, timeoutMs) => {
+    const error = new Error(`${label} timed out after ${timeoutMs / 1000}s.`);
+    error.name = 'TimeoutError';
+    return error;
+};
+
+const createAbortError = (label) => {
+    const error = new Error(`${label} was cancelled.`);
+    error.name = 'AbortError';
+    return error;
+};
+
+export const isAbortError = (error) => error?.name === 'AbortError';
+
+// Timeouts, dropped connections (fetch rejects with a TypeError) and
+// 408/429/5xx responses are worth retrying; anything else is not.
+export const isTransientError = (error) => {
+    if (!error || isAbortError(error)) return false;
+    if (error.name === 'TimeoutError' || error instanceof TypeError) return true;
+    return TRANSIENT_HTTP_STATUSES.includes(error.status);
+};
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) { reject(createAbortError('Retry wait')); return; }
+    const timer = setTimeout(() => { signal?.removeEventListener('abort', onAbort); resolve(); }, ms);
+    const onAbort = () => { clearTimeout(timer); reject(createAbortError('Retry wait')); };
+    signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// Runs operation(attemptSignal) with a per-attempt timeout and exponential
+// backoff between transient failures. Aborting `signal` cancels the current
+// attempt and any pending retry and rejects with an AbortError.
+// `canRetry` lets callers veto a retry, e.g. once streamed output was shown.
+export const runWithRetry = async (operation, {
+    label = 'Request',
+    timeoutMs = DEFAULT_REQUEST_OPTIONS.timeoutMs,
+    retries = DEFAULT_REQUEST_OPTIONS.retries,
+    baseDelayMs = DEFAULT_REQUEST_OPTIONS.baseDelayMs,
+    signal,
+    canRetry = () => true
+} = {}) => {
+    for (let attempt = 0; ; attempt++) {
+        if (signal?.aborted) throw createAbortError(label);
+        const controller = new AbortController();
+        const onAbort = () => controller.abort();
+        signal?.addEventListener('abort', onAbort, { once: true });
+        let timedOut = false;
+        const timer = timeoutMs > 0 ? setTimeout(() => { timedOut = true; controller.abort(); }, timeoutMs) : null;
+        try {
+            return await operation(controller.signal);
+        } catch (error) {
+            if (signal?.aborted) throw createAbortError(label);
+            const failure = timedOut ? createTimeoutError(label, timeoutMs) : error;
+            if (attempt >= retries || !isTransientError(failure) || !canRetry(failure)) throw failure;
+            const delay = baseDelayMs * 2 ** attempt + Math.random() * baseDelayMs;
+            console.warn(`${label} failed (${failure.message}). Retrying in ${Math.round(delay)}ms (attempt ${attempt + 2}/${retries + 1})...`);
+            await sleep(delay, signal);
+        } finally {
+            if (timer) clearTimeout(timer);
+            signal?.removeEventListener('abort', onAbort);
+        }
+    }
+};
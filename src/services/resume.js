@@ -0,0 +1,95 @@
+import { callStructuredLlm, LLM_ROLES } from './llm';
+import { RESUME_PROFILE_SCHEMA } from './schemas';
+import { describeCompetency } from './competencies';
+
+// --- Resume Parsing & Candidate Profile ---
+// Resumes are read entirely in the browser (pdf.js for PDF, mammoth for DOCX)
+// and only the extracted text is kept. The Analyst then condenses it into a
+// candidate profile that the Planner and Interviewer can use.
+
+export const RESUME_ACCEPT = '.pdf,.docx,.txt,.md,application/pdf,application/vnd.openxmlformats-officedocument.wordprocessingml.document,text/plain,text/markdown';
+
+// Enough for a long CV while keeping the Analyst prompt a reasonable size.
+const MAX_RESUME_CHARACTERS = 20000;
+const MAX_RESUME_FILE_BYTES = 10 * 1024 * 1024;
+
+const fileExtension = (fileName) => (fileName.match(/\.([^.]+)$/)?.[1] || '').toLowerCase();
+
+const extractPdfText = async (arrayBuffer) => {
+    const [pdfjs, { default: workerUrl }] = await Promise.all([
+        import('pdfjs-dist'),
+        import('pdfjs-dist/build/pdf.worker.min.mjs?url')
+    ]);
+    pdfjs.GlobalWorkerOptions.workerSrc = workerUrl;
+    const pdf = await pdfjs.getDocument({ data: new Uint8Array(arrayBuffer) }).promise;
+    const pages = [];
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+        const page = await pdf.getPage(pageNumber);
+        const content = await page.getTextContent();
+        pages.push(content.items.map(item => `${item.str}${item.hasEOL ? '\n' : ''}`).join(''));
+    }
+    await pdf.destroy();
+    return pages.join('\n\n');
+};
+
+const extractDocxText = async (arrayBuffer) => {
+    const { default: mammoth } = await import('mammoth');
+    const result = await mammoth.extractRawText({ arrayBuffer });
+    return result.value;
+};
+
+const normalizeResumeText = (text) => text
+    .replace(/\r\n?/g, '\n')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+// Returns { fileName, text, truncated } or throws with a message fit for the UI.
+export const parseResumeFile = async (file) => {
+    if (file.size > MAX_RESUME_FILE_BYTES) {
+        throw new Error("Resume file is larger than 10 MB.");
+    }
+    const extension = fileExtension(file.name);
+    let rawText;
+    if (extension === 'pdf' || file.type === 'application/pdf') {
+        rawText = await extractPdfText(await file.arrayBuffer());
+    } else if (extension === 'docx') {
+        rawText = await extractDocxText(await file.arrayBuffer());
+    } else if (['txt', 'md'].includes(extension) || file.type.startsWith('text/')) {
+        rawText = await file.text();
+    } else {
+        throw new Error("Unsupported resume format. Use PDF, DOCX or plain text.");
+    }
+    const text = normalizeResumeText(rawText);
+    if (!text) {
+        throw new Error("No text could be read from the resume. Scanned PDFs without a text layer are not supported.");
+    }
+    return {
+        fileName: file.name,
+        text: text.slice(0, MAX_RESUME_CHARACTERS),
+        truncated: text.length > MAX_RESUME_CHARACTERS
+    };
+};
+
+// Condenses the resume into a profile and compares it with the job's
+// competencies. `gaps` lists competencies the resume shows little evidence of.
+export const extractCandidateProfile = async (resumeText, competencies, llmSettings, signal) => {
+    const competencyList = (competencies || []).map(describeCompetency);
+    const prompt = `You are preparing an interviewer to talk to a candidate. Candidate resume: """ ${resumeText} """
+${competencyList.length > 0 ? `Competencies the job requires: ${competencyList.join('; ')}.` : ''}
+Instructions: 1. Summarize the candidate's background in one or two sentences in "summary". 2. Estimate total years of professional experience in "experienceYears" (null if unclear). 3. List the candidate's main skills in "skills". 4. List up to 5 concrete projects or roles from the resume in "projects", each with a short "summary" of what the candidate did and with which technologies. 5. In "gaps", list the job competencies above that the resume shows little or no evidence of (empty if none were given). Output ONLY the following JSON structure: \`\`\`json { "summary": "...", "experienceYears": 5, "skills": ["..."], "projects": [ { "name": "...", "summary": "..." } ], "gaps": ["..."] } \`\`\``;
+    return callStructuredLlm(prompt, {
+        schema: RESUME_PROFILE_SCHEMA, settings: llmSettings, role: LLM_ROLES.ANALYST,
+        mockContext: { resumeText, competencies: competencies || [] }, signal
+    });
+};
+
+// Short plain-text form of the profile for Planner and Interviewer prompts.
+export const describeCandidateProfile = (profile) => {
+    if (!profile) return '';
+    const lines = [`Background: ${profile.summary}`];
+    if (profile.experienceYears !== null && profile.experienceYears !== undefined) lines.push(`Experience: about ${profile.experienceYears} year(s)`);
+    if (profile.skills.length > 0) lines.push(`Skills: ${profile.skills.join(', ')}`);
+    profile.projects.forEach(project => lines.push(`Project "${project.name}": ${project.summary}`));
+    return lines.join('\n');
+};
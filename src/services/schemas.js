@@ -0,0 +1,319 @@
+import { ACTION_CODES } from './actionCodes';
+
+// --- Structured Output Schemas ---
+// Plain JSON Schema objects: sent to providers that support constrained
+// decoding (Ollama `format`, OpenAI-compatible `json_schema`) and checked
+// locally with validateAgainstSchema() for every role's response.
+
+const SCORE = { type: 'number', minimum: 0, maximum: 1 };
+
+export const INTERVIEW_PLAN_SCHEMA = {
+    title: 'InterviewPlan',
+    type: 'object',
+    required: ['topics'],
+    properties: {
+        topics: {
+            type: 'array',
+            minItems: 1,
+            items: {
+                type: 'object',
+                required: ['name', 'questions'],
+                properties: {
+                    name: { type: 'string', minLength: 1 },
+                    questions: { type: 'array', minItems: 1, items: { type: 'string', minLength: 1 } }
+                }
+            }
+        }
+    }
+};
+
+const planTopicWithQuestionCount = (count) => ({
+    ...INTERVIEW_PLAN_SCHEMA.properties.topics.items,
+    properties: {
+        ...INTERVIEW_PLAN_SCHEMA.properties.topics.items.properties,
+        questions: { type: 'array', minItems: count, maxItems: count, items: { type: 'string', minLength: 1 } }
+    }
+});
+
+// A coding question: the question text at topicIndex/questionIndex is the
+// problem statement, and the tests call functionName with `args` and compare
+// the result with `expected` (any JSON value). The tests stay hidden from the
+// candidate.
+const createCodingChallengeSchema = (topicCount, maxQuestionsPerTopic) => ({
+    type: 'object',
+    required: ['topicIndex', 'questionIndex', 'functionName', 'starterCode', 'tests'],
+    properties: {
+        topicIndex: { type: 'integer', minimum: 0, maximum: topicCount - 1 },
+        questionIndex: { type: 'integer', minimum: 0, maximum: maxQuestionsPerTopic - 1 },
+        functionName: { type: 'string', pattern: '^[A-Za-z_$][A-Za-z0-9_$]*$' },
+        starterCode: { type: 'string', minLength: 1 },
+        tests: {
+            type: 'array',
+            minItems: 3,
+            maxItems: 10,
+            items: {
+                type: 'object',
+                required: ['args', 'expected'],
+                properties: { args: { type: 'array' }, expected: {} }
+            }
+        }
+    }
+});
+
+// The plan schema tightened to an interview configuration: exact topic and
+// question counts, and an estimated duration that must fit the time budget.
+// questionCounts (one entry per topic) overrides the uniform questionsPerTopic
+// when questions are allocated by competency weight. codingQuestions > 0
+// requires that many entries in codingChallenges.
+export const createInterviewPlanSchema = ({ topicCount, questionsPerTopic, timeBudgetMinutes, questionCounts, codingQuestions = 0 }) => ({
+    ...INTERVIEW_PLAN_SCHEMA,
+    required: ['topics', 'estimatedMinutes', ...(codingQuestions > 0 ? ['codingChallenges'] : [])],
+    properties: {
+        topics: {
+            ...INTERVIEW_PLAN_SCHEMA.properties.topics,
+            minItems: topicCount,
+            maxItems: topicCount,
+            ...(questionCounts
+                ? { prefixItems: questionCounts.map(planTopicWithQuestionCount), items: planTopicWithQuestionCount(questionsPerTopic) }
+                : { items: planTopicWithQuestionCount(questionsPerTopic) })
+        },
+        estimatedMinutes: { type: 'number', minimum: 1, maximum: timeBudgetMinutes },
+        ...(codingQuestions > 0 ? {
+            codingChallenges: {
+                type: 'array',
+                minItems: codingQuestions,
+                maxItems: codingQuestions,
+                items: createCodingChallengeSchema(topicCount, Math.max(questionsPerTopic, ...(questionCounts || [])))
+            }
+        } : {})
+    }
+});
+
+export const COMPETENCY_PRIORITIES = ['required', 'preferred'];
+
+export const COMPETENCY_MODEL_SCHEMA = {
+    title: 'CompetencyModel',
+    type: 'object',
+    required: ['competencies'],
+    properties: {
+        competencies: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 12,
+            items: {
+                type: 'object',
+                required: ['name', 'weight', 'priority', 'rationale'],
+                properties: {
+                    name: { type: 'string', minLength: 1 },
+                    weight: { type: 'integer', minimum: 1, maximum: 5 },
+                    priority: { type: 'string', enum: COMPETENCY_PRIORITIES },
+                    rationale: { type: 'string', minLength: 1 }
+                }
+            }
+        }
+    }
+};
+
+export const INTERVIEWER_TURN_SCHEMA = {
+    title: 'InterviewerTurn',
+    type: 'object',
+    required: ['type', 'text'],
+    properties: {
+        type: { type: 'string', enum: ['planned', 'follow-up'] },
+        text: { type: 'string', minLength: 1 }
+    }
+};
+
+export const MONITOR_OUTPUT_SCHEMA = {
+    title: 'MonitorOutput',
+    type: 'object',
+    required: ['topicIndex', 'questionIndex', 'metrics', 'actionCode', 'reason', 'discussion_point'],
+    properties: {
+        topicIndex: { type: 'integer', minimum: 0 },
+        questionIndex: { type: 'integer', minimum: 0 },
+        metrics: {
+            type: 'object',
+            required: ['accuracy', 'relevance', 'clarity', 'completeness'],
+            properties: { accuracy: SCORE, relevance: SCORE, clarity: SCORE, completeness: SCORE }
+        },
+        actionCode: {
+            type: 'integer',
+            minimum: Math.min(...Object.values(ACTION_CODES)),
+            maximum: Math.max(...Object.values(ACTION_CODES))
+        },
+        reason: { type: 'string', minLength: 1 },
+        discussion_point: { type: ['string', 'null'] },
+        // Only requested when the answer comes with an editor timeline (see codeTimeline.js).
+        approach: { type: ['string', 'null'] }
+    }
+};
+
+export const STAR_PARTS = ['situation', 'task', 'action', 'result'];
+
+// Behavioral mode adds how well the answer covered each STAR part.
+export const BEHAVIORAL_MONITOR_OUTPUT_SCHEMA = {
+    ...MONITOR_OUTPUT_SCHEMA,
+    title: 'BehavioralMonitorOutput',
+    required: [...MONITOR_OUTPUT_SCHEMA.required, 'star'],
+    properties: {
+        ...MONITOR_OUTPUT_SCHEMA.properties,
+        star: {
+            type: 'object',
+            required: STAR_PARTS,
+            properties: Object.fromEntries(STAR_PARTS.map(part => [part, SCORE]))
+        }
+    }
+};
+
+export const DESIGN_RUBRIC_PARTS = ['scalability', 'tradeoffs', 'components'];
+
+// System design mode adds the design rubric scores.
+export const SYSTEM_DESIGN_MONITOR_OUTPUT_SCHEMA = {
+    ...MONITOR_OUTPUT_SCHEMA,
+    title: 'SystemDesignMonitorOutput',
+    required: [...MONITOR_OUTPUT_SCHEMA.required, 'design'],
+    properties: {
+        ...MONITOR_OUTPUT_SCHEMA.properties,
+        design: {
+            type: 'object',
+            required: DESIGN_RUBRIC_PARTS,
+            properties: Object.fromEntries(DESIGN_RUBRIC_PARTS.map(part => [part, SCORE]))
+        }
+    }
+};
+
+export const RESUME_PROFILE_SCHEMA = {
+    title: 'CandidateProfile',
+    type: 'object',
+    required: ['summary', 'experienceYears', 'skills', 'projects', 'gaps'],
+    properties: {
+        summary: { type: 'string', minLength: 1 },
+        experienceYears: { type: ['number', 'null'], minimum: 0 },
+        skills: { type: 'array', items: { type: 'string', minLength: 1 } },
+        projects: {
+            type: 'array',
+            maxItems: 5,
+            items: {
+                type: 'object',
+                required: ['name', 'summary'],
+                properties: {
+                    name: { type: 'string', minLength: 1 },
+                    summary: { type: 'string', minLength: 1 }
+                }
+            }
+        },
+        gaps: { type: 'array', items: { type: 'string', minLength: 1 } }
+    }
+};
+
+export const HIRING_RECOMMENDATIONS = ['strong_hire', 'hire', 'lean_hire', 'lean_no_hire', 'no_hire'];
+
+const REPORT_FINDING = {
+    type: 'object',
+    required: ['title', 'detail'],
+    properties: {
+        title: { type: 'string', minLength: 1 },
+        detail: { type: 'string', minLength: 1 }
+    }
+};
+
+// Only the narrative parts of the report come from the LLM; score breakdowns
+// and the per-question table are computed locally from the interview log.
+export const REPORT_ANALYSIS_SCHEMA = {
+    title: 'ReportAnalysis',
+    type: 'object',
+    required: ['summary', 'strengths', 'improvements', 'recommendation'],
+    properties: {
+        summary: { type: 'string', minLength: 1 },
+        strengths: { type: 'array', items: REPORT_FINDING },
+        improvements: { type: 'array', items: REPORT_FINDING },
+        recommendation: {
+            type: 'object',
+            required: ['decision', 'rationale'],
+            properties: {
+                decision: { type: 'string', enum: HIRING_RECOMMENDATIONS },
+                rationale: { type: 'string', minLength: 1 }
+            }
+        }
+    }
+};
+
+const typeOfValue = (value) => {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+};
+
+const matchesType = (value, type) => {
+    if (type === 'integer') return Number.isInteger(value);
+    if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+    return typeOfValue(value) === type;
+};
+
+// Validates the subset of JSON Schema used above. Returns a list of
+// human-readable errors (empty when valid) so they can be fed back to the LLM.
+export const validateAgainstSchema = (value, schema, path = '$') => {
+    const errors = [];
+    if (schema.type) {
+        const allowedTypes = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!allowedTypes.some(type => matchesType(value, type))) {
+            errors.push(`${path} must be of type ${allowedTypes.join(' or ')} (got ${typeOfValue(value)})`);
+            return errors;
+        }
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')} (got ${JSON.stringify(value)})`);
+    }
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.trim().length < schema.minLength) errors.push(`${path} must not be empty`);
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path} must be at most ${schema.maxLength} characters`);
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) errors.push(`${path} must match ${schema.pattern} (got ${JSON.stringify(value)})`);
+    }
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} must be >= ${schema.minimum} (got ${value})`);
+        if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} must be <= ${schema.maximum} (got ${value})`);
+    }
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path} must contain at least ${schema.minItems} item(s) (got ${value.length})`);
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path} must contain at most ${schema.maxItems} item(s) (got ${value.length})`);
+        // prefixItems gives per-position schemas; items covers the rest.
+        const prefixItems = schema.prefixItems || [];
+        value.forEach((item, index) => {
+            const itemSchema = index < prefixItems.length ? prefixItems[index] : schema.items;
+            if (itemSchema) errors.push(...validateAgainstSchema(item, itemSchema, `${path}[${index}]`));
+        });
+    }
+    if (typeOfValue(value) === 'object') {
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) errors.push(`${path}.${key} is required`);
+        });
+        Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+            if (key in value) errors.push(...validateAgainstSchema(value[key], propertySchema, `${path}.${key}`));
+        });
+    }
+    return errors;
+};
+
+// Parses the JSON object out of an LLM response. Accepts bare JSON, a ```json
+// fenced block, or a single object surrounded by stray prose.
+export const parseJsonContent = (content) => {
+    if (!content || typeof content !== 'string') {
+        throw new Error("LLM response is empty or not a string.");
+    }
+    const trimmedContent = content.trim();
+    const fencedMatch = trimmedContent.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
+    let jsonString = fencedMatch ? fencedMatch[1] : trimmedContent;
+    if (!fencedMatch) {
+        const firstBrace = jsonString.indexOf('{');
+        const lastBrace = jsonString.lastIndexOf('}');
+        if (firstBrace === -1 || lastBrace <= firstBrace) {
+            throw new Error("Response does not contain a JSON object.");
+        }
+        jsonString = jsonString.substring(firstBrace, lastBrace + 1);
+    }
+    try {
+        return JSON.parse(jsonString);
+    } catch (error) {
+        throw new Error(`Response is not valid JSON: ${error.message}`);
+    }
+};
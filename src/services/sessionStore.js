@@ -0,0 +1,86 @@
+import { runTransaction, createRecordId, STORES } from './db';
+
+// --- Interview Session Persistence ---
+
+export const SESSION_FORMAT_VERSION = 1;
+
+export const createSessionId = createRecordId;
+
+export const saveSession = (session) => runTransaction(
+    STORES.SESSIONS, 'readwrite',
+    store => store.put({ ...session, version: SESSION_FORMAT_VERSION, updatedAt: Date.now() })
+);
+
+export const getSession = (sessionId) => runTransaction(STORES.SESSIONS, 'readonly', store => store.get(sessionId));
+
+export const listSessions = async () => {
+    const sessions = await runTransaction(STORES.SESSIONS, 'readonly', store => store.getAll());
+    return (sessions || []).sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0));
+};
+
+export const deleteSession = async (sessionId) => {
+    await runTransaction(STORES.SESSIONS, 'readwrite', store => store.delete(sessionId));
+    await deleteSessionAudio(sessionId);
+};
+
+// --- Session Audio ---
+// Chunks of the interview recording (see interviewAudio.js), stored apart from
+// the session so listing sessions does not load them. A session can have
+// several segments, one per recording run (e.g. after a reload); the session
+// keeps their timing in `audioSegments`.
+
+export const appendSessionAudioChunk = (sessionId, segmentId, index, blob) => runTransaction(
+    STORES.SESSION_AUDIO, 'readwrite',
+    store => store.put({ id: `${segmentId}:${String(index).padStart(6, '0')}`, sessionId, segmentId, index, blob })
+);
+
+// Resolves with { [segmentId]: Blob } of the recorded audio.
+export const loadSessionAudio = async (sessionId) => {
+    const chunks = await runTransaction(STORES.SESSION_AUDIO, 'readonly', store => store.index('sessionId').getAll(sessionId));
+    const bySegment = {};
+    (chunks || []).sort((a, b) => a.index - b.index).forEach(chunk => {
+        (bySegment[chunk.segmentId] = bySegment[chunk.segmentId] || []).push(chunk.blob);
+    });
+    return Object.fromEntries(Object.entries(bySegment).map(([segmentId, blobs]) => [segmentId, new Blob(blobs, { type: blobs[0].type })]));
+};
+
+export const deleteSessionAudio = (sessionId) => runTransaction(STORES.SESSION_AUDIO, 'readwrite', store => {
+    const request = store.index('sessionId').openCursor(IDBKeyRange.only(sessionId));
+    request.onsuccess = () => {
+        const cursor = request.result;
+        if (cursor) {
+            cursor.delete();
+            cursor.continue();
+        }
+    };
+    return request;
+});
+
+// Merges `changes` into a stored session without touching the rest of it.
+export const updateSession = async (sessionId, changes) => {
+    const session = await getSession(sessionId);
+    if (!session) throw new Error(`Session ${sessionId} not found.`);
+    const updated = { ...session, ...changes };
+    await saveSession(updated);
+    return updated;
+};
+
+// A fresh session that skips planning and starts from an existing plan.
+export const createRetakeSession = async (session) => {
+    const retake = {
+        id: createSessionId(),
+        createdAt: Date.now(),
+        retakeOf: session.id,
+        jobDetails: session.jobDetails,
+        resume: session.resume || null,
+        candidateProfile: session.candidateProfile || null,
+        interviewConfig: session.interviewConfig,
+        competencyModel: session.competencyModel || null,
+        interviewPlan: session.interviewPlan,
+        interviewState: 'PLANNING_COMPLETE',
+        conversation: [],
+        interviewLog: []
+    };
+    await saveSession(retake);
+    return retake;
+};
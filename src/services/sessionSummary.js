@@ -0,0 +1,47 @@
+// --- Session Summaries ---
+// Derived, display-ready data for saved sessions. Everything is computed from
+// the stored interviewLog and plan; nothing here calls an LLM.
+
+export const METRIC_KEYS = ['accuracy', 'relevance', 'clarity', 'completeness'];
+
+const mean = (values) => (values.length > 0 ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+
+export const averageMetrics = (logEntries) => Object.fromEntries(METRIC_KEYS.map(key => [
+    key,
+    mean(logEntries.map(entry => entry.metrics?.[key]).filter(value => typeof value === 'number'))
+]));
+
+export const overallScore = (metrics) => mean(METRIC_KEYS.map(key => metrics[key]).filter(value => typeof value === 'number'));
+
+export const summarizeSession = (session) => {
+    const interviewLog = session.interviewLog || [];
+    const topics = session.interviewPlan?.topics || [];
+    const coveredTopicIndexes = [...new Set(interviewLog.map(entry => entry.topicIndex))].filter(index => topics[index]);
+    const metrics = averageMetrics(interviewLog);
+    const startedAt = session.startedAt || session.createdAt;
+    const finishedAt = session.endedAt || session.updatedAt;
+    return {
+        id: session.id,
+        jobTitle: session.jobDetails?.job_title || 'Untitled Interview',
+        company: session.jobDetails?.company || 'N/A',
+        date: session.createdAt,
+        durationMs: startedAt && finishedAt ? Math.max(0, finishedAt - startedAt) : null,
+        status: session.interviewState,
+        topicsCovered: coveredTopicIndexes.map(index => topics[index].name),
+        totalTopics: topics.length,
+        answerCount: interviewLog.length,
+        metrics,
+        overallScore: overallScore(metrics)
+    };
+};
+
+export const formatDuration = (durationMs) => {
+    if (durationMs === null || durationMs === undefined) return '—';
+    const totalMinutes = Math.round(durationMs / 60000);
+    if (totalMinutes < 1) return '< 1 min';
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    return hours > 0 ? `${hours} h ${minutes} min` : `${minutes} min`;
+};
+
+export const formatScore = (score) => (typeof score === 'number' ? score.toFixed(2) : '—');
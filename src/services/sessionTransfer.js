@@ -0,0 +1,187 @@
+import { validateAgainstSchema } from './schemas';
+import { slugify } from './download';
+import { getActionCodeName } from './actionCodes';
+import { formatScore } from './sessionSummary';
+import { createSessionId, saveSession } from './sessionStore';
+
+// --- Session Export / Import ---
+// A self-contained, versioned JSON document describing one interview (see
+// "Session Export Format" in the README), plus a Markdown transcript for people.
+
+export const SESSION_EXPORT_FORMAT = 'open-interview-ai/session';
+export const SESSION_EXPORT_VERSION = 1;
+
+const SESSION_EXPORT_SCHEMA = {
+    title: 'SessionExport',
+    type: 'object',
+    required: ['format', 'version', 'session'],
+    properties: {
+        format: { type: 'string', enum: [SESSION_EXPORT_FORMAT] },
+        version: { type: 'integer', minimum: 1, maximum: SESSION_EXPORT_VERSION },
+        session: {
+            type: 'object',
+            required: ['jobDetails', 'interviewPlan', 'conversation', 'interviewLog'],
+            properties: {
+                jobDetails: { type: 'object' },
+                interviewPlan: { type: ['object', 'null'] },
+                resume: { type: ['object', 'null'] },
+                candidateProfile: { type: ['object', 'null'] },
+                competencyModel: { type: ['object', 'null'] },
+                conversation: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['role', 'content'],
+                        properties: {
+                            role: { type: 'string', enum: ['interviewer', 'candidate', 'system'] },
+                            content: { type: 'string' },
+                            timestamp: { type: ['integer', 'null'] },
+                            spokenAt: { type: 'integer' }
+                        }
+                    }
+                },
+                interviewLog: { type: 'array', items: { type: 'object' } },
+                codeSnippets: { type: 'array', items: { type: 'object', required: ['code'], properties: { code: { type: 'string' } } } },
+                audioSegments: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['id', 'startedAt', 'endedAt'],
+                        properties: {
+                            id: { type: 'string' },
+                            startedAt: { type: 'integer' },
+                            endedAt: { type: 'integer' },
+                            mimeType: { type: 'string' }
+                        }
+                    }
+                }
+            }
+        }
+    }
+};
+
+const FENCED_CODE = /```(\w*)\n([\s\S]*?)```/g;
+
+// Code snippets come from the candidate message's `code` field, or are parsed
+// from fenced blocks for sessions recorded before that field existed.
+const extractCodeSnippets = (conversation) => conversation.flatMap((message, messageIndex) => {
+    if (message.role !== 'candidate') return [];
+    if (message.code) return [{ messageIndex, timestamp: message.timestamp ?? null, language: message.codeLanguage || null, code: message.code }];
+    return [...(message.content || '').matchAll(FENCED_CODE)].map(match => ({
+        messageIndex, timestamp: message.timestamp ?? null, language: match[1] || null, code: match[2].trim()
+    }));
+});
+
+export const exportSession = (session) => {
+    const conversation = (session.conversation || []).map(({ role, content, timestamp, spokenAt, code, codeLanguage, codeTimeline }) => ({
+        role, content, timestamp: timestamp ?? null, ...(spokenAt ? { spokenAt } : {}),
+        ...(code ? { code, codeLanguage: codeLanguage || null } : {}), ...(codeTimeline ? { codeTimeline } : {})
+    }));
+    return {
+        format: SESSION_EXPORT_FORMAT,
+        version: SESSION_EXPORT_VERSION,
+        exportedAt: Date.now(),
+        session: {
+            id: session.id,
+            createdAt: session.createdAt ?? null,
+            startedAt: session.startedAt ?? null,
+            endedAt: session.endedAt ?? null,
+            interviewState: session.interviewState,
+            jobDetails: session.jobDetails || {},
+            interviewConfig: session.interviewConfig || null,
+            resume: session.resume || null,
+            candidateProfile: session.candidateProfile || null,
+            competencyModel: session.competencyModel || null,
+            interviewPlan: session.interviewPlan || null,
+            conversation,
+            interviewLog: session.interviewLog || [],
+            codeSnippets: extractCodeSnippets(session.conversation || []),
+            audioSegments: session.audioSegments || [],
+            report: session.report || null
+        }
+    };
+};
+
+export const sessionToJson = (session) => JSON.stringify(exportSession(session), null, 2);
+
+const ROLE_LABELS = { interviewer: 'Interviewer', candidate: 'Candidate', system: 'System' };
+
+// Imported log entries need not carry the indices.
+const formatIndex = (index) => (Number.isInteger(index) ? index + 1 : '?');
+
+const formatTimestamp = (timestamp) => (timestamp ? new Date(timestamp).toLocaleTimeString() : null);
+
+export const sessionToMarkdown = (session) => {
+    const jobDetails = session.jobDetails || {};
+    const interviewLog = session.interviewLog || [];
+    const lines = [
+        `# Interview Transcript: ${jobDetails.job_title || 'Untitled Interview'}`,
+        '',
+        `**Company:** ${jobDetails.company || 'N/A'}  `,
+        `**Date:** ${session.createdAt ? new Date(session.createdAt).toLocaleString() : 'unknown'}`,
+        ''
+    ];
+    if (session.interviewPlan?.topics?.length) {
+        lines.push('## Plan', '');
+        session.interviewPlan.topics.forEach((topic, topicIndex) => {
+            lines.push(`${topicIndex + 1}. **${topic.name}**`);
+            topic.questions.forEach(question => lines.push(`    - ${question}`));
+        });
+        lines.push('');
+    }
+    lines.push('## Transcript', '');
+    (session.conversation || []).forEach(message => {
+        const time = formatTimestamp(message.timestamp);
+        lines.push(`**${ROLE_LABELS[message.role] || message.role}**${time ? ` _(${time})_` : ''}:`, '', message.content, '');
+    });
+    if (interviewLog.length > 0) {
+        lines.push('## Evaluations', '');
+        interviewLog.forEach((entry, index) => {
+            const metrics = Object.entries(entry.metrics || {}).map(([key, value]) => `${key} ${formatScore(value)}`).join(', ');
+            lines.push(`${index + 1}. Topic ${formatIndex(entry.topicIndex)}, Question ${formatIndex(entry.questionIndex)} (${entry.type || 'planned'}) — ${getActionCodeName(entry.actionCode)}: ${entry.reason}${metrics ? ` [${metrics}]` : ''}`);
+        });
+        lines.push('');
+    }
+    return lines.join('\n');
+};
+
+export const sessionFileName = (session, extension) => (
+    `interview-${slugify(session.jobDetails?.job_title)}-${new Date(session.createdAt || Date.now()).toISOString().slice(0, 10)}.${extension}`
+);
+
+// Parses and validates an exported session file and stores it as a new local
+// session (imports never overwrite existing ones). Resolves with the saved record.
+export const importSessionFile = async (fileText) => {
+    let exportDocument;
+    try {
+        exportDocument = JSON.parse(fileText);
+    } catch (error) {
+        throw new Error(`Not a valid session file: ${error.message}`);
+    }
+    const errors = validateAgainstSchema(exportDocument, SESSION_EXPORT_SCHEMA);
+    if (errors.length > 0) {
+        throw new Error(`Not a valid session file: ${errors.slice(0, 3).join('; ')}`);
+    }
+    const { session } = exportDocument;
+    const imported = {
+        id: createSessionId(),
+        importedFrom: session.id || null,
+        importedAt: Date.now(),
+        createdAt: session.createdAt || exportDocument.exportedAt || Date.now(),
+        startedAt: session.startedAt || null,
+        endedAt: session.endedAt || null,
+        jobDetails: session.jobDetails,
+        interviewConfig: session.interviewConfig || null,
+        resume: session.resume || null,
+        candidateProfile: session.candidateProfile || null,
+        competencyModel: session.competencyModel || null,
+        interviewPlan: session.interviewPlan,
+        interviewState: session.interviewState || 'ENDED',
+        conversation: session.conversation,
+        interviewLog: session.interviewLog,
+        audioSegments: session.audioSegments || [],
+        report: session.report || null
+    };
+    await saveSession(imported);
+    return imported;
+};
@@ -0,0 +1,288 @@
+import { runWithRetry, createHttpError } from './requestControl';
+
+// --- Speech-to-Text ---
+// Turns the candidate's microphone into answer text. Two backends:
+// - Web Speech: the browser's SpeechRecognition. Chrome sends the audio to a
+//   cloud service; Firefox does not implement it.
+// - Whisper: MediaRecorder segments of the mic stream, converted to 16 kHz
+//   WAV and posted to a local Whisper-compatible server (whisper.cpp
+//   `server`, or any OpenAI-style /v1/audio/transcriptions endpoint).
+// Settings are stored in localStorage.
+
+const STORAGE_KEY = 'openInterviewAI.sttSettings';
+
+export const STT_PROVIDERS = {
+    AUTO: 'auto',
+    WEB_SPEECH: 'web-speech',
+    WHISPER: 'whisper'
+};
+
+export const STT_PROVIDER_LABELS = {
+    [STT_PROVIDERS.AUTO]: 'Automatic (browser speech if available, else Whisper)',
+    [STT_PROVIDERS.WEB_SPEECH]: 'Browser speech recognition (Web Speech)',
+    [STT_PROVIDERS.WHISPER]: 'Local Whisper server'
+};
+
+// BCP 47 tags offered in settings. Whisper only takes the language subtag.
+export const STT_LANGUAGES = [
+    { id: 'en-US', label: 'English (US)' },
+    { id: 'en-GB', label: 'English (UK)' },
+    { id: 'en-IN', label: 'English (India)' },
+    { id: 'de-DE', label: 'German' },
+    { id: 'fr-FR', label: 'French' },
+    { id: 'es-ES', label: 'Spanish' },
+    { id: 'it-IT', label: 'Italian' },
+    { id: 'pt-BR', label: 'Portuguese (Brazil)' },
+    { id: 'nl-NL', label: 'Dutch' },
+    { id: 'pl-PL', label: 'Polish' },
+    { id: 'hi-IN', label: 'Hindi' },
+    { id: 'ja-JP', label: 'Japanese' },
+    { id: 'zh-CN', label: 'Chinese (Mandarin)' }
+];
+
+export const WHISPER_CHUNK_LIMITS = { min: 2, max: 30 };
+export const SILENCE_SECONDS_LIMITS = { min: 0.5, max: 10 };
+
+export const DEFAULT_STT_SETTINGS = {
+    provider: STT_PROVIDERS.AUTO,
+    language: 'en-US',
+    whisper: {
+        // whisper.cpp's server; use e.g. http://localhost:8000/v1/audio/transcriptions
+        // for OpenAI-compatible servers.
+        endpoint: 'http://localhost:8080/inference',
+        // Sent as the `model` field; required by most OpenAI-compatible servers.
+        model: '',
+        chunkSeconds: 5
+    },
+    // Hands-free mode: listen after the interviewer speaks and send the
+    // answer after this much silence (see voiceActivity.js).
+    handsFree: {
+        enabled: false,
+        silenceSeconds: 2
+    }
+};
+
+const BrowserSpeechRecognition = typeof window !== 'undefined' ? (window.SpeechRecognition || window.webkitSpeechRecognition) : undefined;
+
+export const isWebSpeechAvailable = () => !!BrowserSpeechRecognition;
+export const isMediaRecorderAvailable = () => typeof MediaRecorder !== 'undefined' && typeof OfflineAudioContext !== 'undefined';
+
+// The backend that will actually be used, or null if none works in this browser.
+export const resolveSttProvider = (settings) => {
+    if (settings.provider === STT_PROVIDERS.WEB_SPEECH) return isWebSpeechAvailable() ? STT_PROVIDERS.WEB_SPEECH : null;
+    if (settings.provider === STT_PROVIDERS.WHISPER) return isMediaRecorderAvailable() ? STT_PROVIDERS.WHISPER : null;
+    if (isWebSpeechAvailable()) return STT_PROVIDERS.WEB_SPEECH;
+    return isMediaRecorderAvailable() ? STT_PROVIDERS.WHISPER : null;
+};
+
+const clampChunkSeconds = (value) => Math.min(WHISPER_CHUNK_LIMITS.max, Math.max(WHISPER_CHUNK_LIMITS.min, Math.round(value)));
+const clampSilenceSeconds = (value) => Math.min(SILENCE_SECONDS_LIMITS.max, Math.max(SILENCE_SECONDS_LIMITS.min, value));
+
+export const loadSttSettings = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+        if (!stored || typeof stored !== 'object') return DEFAULT_STT_SETTINGS;
+        const whisper = { ...DEFAULT_STT_SETTINGS.whisper, ...(stored.whisper || {}) };
+        const handsFree = { ...DEFAULT_STT_SETTINGS.handsFree, ...(stored.handsFree || {}) };
+        return {
+            provider: Object.values(STT_PROVIDERS).includes(stored.provider) ? stored.provider : DEFAULT_STT_SETTINGS.provider,
+            language: typeof stored.language === 'string' && stored.language.trim() ? stored.language.trim() : DEFAULT_STT_SETTINGS.language,
+            whisper: {
+                ...whisper,
+                chunkSeconds: Number.isFinite(whisper.chunkSeconds) ? clampChunkSeconds(whisper.chunkSeconds) : DEFAULT_STT_SETTINGS.whisper.chunkSeconds
+            },
+            handsFree: {
+                enabled: handsFree.enabled === true,
+                silenceSeconds: Number.isFinite(handsFree.silenceSeconds) ? clampSilenceSeconds(handsFree.silenceSeconds) : DEFAULT_STT_SETTINGS.handsFree.silenceSeconds
+            }
+        };
+    } catch (error) {
+        console.warn("Could not load speech recognition settings, using defaults:", error);
+        return DEFAULT_STT_SETTINGS;
+    }
+};
+
+export const saveSttSettings = (settings) => {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    } catch (error) {
+        console.warn("Could not persist speech recognition settings:", error);
+    }
+};
+
+// --- Web Speech ---
+const startWebSpeech = (settings, { onTranscript, onError, onEnd }) => {
+    const recognition = new BrowserSpeechRecognition();
+    recognition.continuous = true;
+    recognition.interimResults = true;
+    recognition.lang = settings.language;
+
+    recognition.onresult = (event) => {
+        let final = '';
+        let interim = '';
+        for (let i = 0; i < event.results.length; ++i) {
+            if (event.results[i].isFinal) {
+                final += event.results[i][0].transcript + ' ';
+            } else if (i === event.results.length - 1) {
+                interim += event.results[i][0].transcript;
+            }
+        }
+        onTranscript({ final: final.trim(), interim });
+    };
+    recognition.onerror = (event) => onError(new Error(event.message || event.error));
+    recognition.onend = () => onEnd();
+    recognition.start();
+
+    return { stop: () => recognition.stop() };
+};
+
+// --- Whisper ---
+const WHISPER_SAMPLE_RATE = 16000;
+// Segments quieter than this (RMS) are not sent: Whisper tends to invent
+// text ("Thank you.") for silence.
+const SILENCE_RMS = 0.005;
+const TRANSCRIPTION_TIMEOUT_MS = 30000;
+
+// Decodes a recorded segment to mono 16 kHz samples; decodeAudioData
+// resamples to the context's rate.
+const decodeSegment = async (blob) => {
+    const context = new OfflineAudioContext(1, 1, WHISPER_SAMPLE_RATE);
+    const buffer = await context.decodeAudioData(await blob.arrayBuffer());
+    const samples = new Float32Array(buffer.length);
+    for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+        const data = buffer.getChannelData(channel);
+        for (let i = 0; i < data.length; i++) samples[i] += data[i] / buffer.numberOfChannels;
+    }
+    return samples;
+};
+
+const rms = (samples) => Math.sqrt(samples.reduce((sum, sample) => sum + sample * sample, 0) / (samples.length || 1));
+
+// 16-bit PCM WAV, which whisper.cpp accepts without ffmpeg.
+const encodeWav = (samples, sampleRate) => {
+    const view = new DataView(new ArrayBuffer(44 + samples.length * 2));
+    const writeString = (offset, text) => [...text].forEach((char, i) => view.setUint8(offset + i, char.charCodeAt(0)));
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + samples.length * 2, true);
+    writeString(8, 'WAVE');
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true);
+    view.setUint16(22, 1, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * 2, true);
+    view.setUint16(32, 2, true);
+    view.setUint16(34, 16, true);
+    writeString(36, 'data');
+    view.setUint32(40, samples.length * 2, true);
+    samples.forEach((sample, i) => {
+        const clamped = Math.max(-1, Math.min(1, sample));
+        view.setInt16(44 + i * 2, clamped < 0 ? clamped * 0x8000 : clamped * 0x7fff, true);
+    });
+    return new Blob([view], { type: 'audio/wav' });
+};
+
+// Drops whisper.cpp markers such as [BLANK_AUDIO] or [MUSIC].
+const cleanTranscript = (text) => (text || '').replace(/\[[A-Z_ ]+\]/g, ' ').replace(/\s+/g, ' ').trim();
+
+// Posts one WAV segment. `prompt` is the text so far, which helps Whisper
+// keep context across segment boundaries.
+const transcribeSegment = async (wav, { endpoint, model, language, prompt }) => runWithRetry(async (signal) => {
+    const form = new FormData();
+    form.append('file', wav, 'answer.wav');
+    form.append('response_format', 'json');
+    form.append('language', language.split('-')[0].toLowerCase());
+    if (model) form.append('model', model);
+    if (prompt) form.append('prompt', prompt.slice(-500));
+    const response = await fetch(endpoint, { method: 'POST', body: form, signal });
+    if (!response.ok) throw createHttpError(`Transcription server returned ${response.status} ${response.statusText}`, response.status);
+    const data = await response.json();
+    return cleanTranscript(data.text);
+}, { label: 'Transcription', timeoutMs: TRANSCRIPTION_TIMEOUT_MS, retries: 1 });
+
+// Records the stream in back-to-back segments of chunkSeconds. Each segment
+// is a complete file (MediaRecorder timeslices are not decodable on their
+// own), transcribed in order. Stopping flushes the current segment and ends
+// once every transcription has returned.
+const startWhisper = (settings, stream, { onTranscript, onError, onEnd }) => {
+    const { endpoint, model, chunkSeconds } = settings.whisper;
+    let stopped = false;
+    let failed = false;
+    let recorder = null;
+    let timer = null;
+    let text = '';
+    let pending = Promise.resolve();
+
+    const fail = (error) => {
+        if (failed) return;
+        failed = true;
+        stopped = true;
+        clearTimeout(timer);
+        if (recorder?.state === 'recording') recorder.stop();
+        onError(error);
+    };
+
+    const queueSegment = (blob) => {
+        pending = pending.then(async () => {
+            if (failed) return;
+            try {
+                const samples = await decodeSegment(blob);
+                if (rms(samples) < SILENCE_RMS) return;
+                onTranscript({ final: text, interim: '…' });
+                const segmentText = await transcribeSegment(encodeWav(samples, WHISPER_SAMPLE_RATE), { endpoint, model, language: settings.language, prompt: text });
+                text = [text, segmentText].filter(Boolean).join(' ');
+                onTranscript({ final: text, interim: '' });
+            } catch (error) {
+                fail(new Error(`Transcription failed: ${error.message}. Is the Whisper server running at ${endpoint}?`));
+            }
+        });
+    };
+
+    const recordSegment = () => {
+        const parts = [];
+        recorder = new MediaRecorder(stream);
+        recorder.ondataavailable = (event) => { if (event.data.size > 0) parts.push(event.data); };
+        recorder.onstop = () => {
+            clearTimeout(timer);
+            if (parts.length > 0) queueSegment(new Blob(parts, { type: recorder.mimeType }));
+            // The recorder also stops by itself when the mic tracks end.
+            const streamActive = stream.getAudioTracks().some(track => track.readyState === 'live');
+            if (!stopped && streamActive) {
+                recordSegment();
+            } else {
+                pending.then(() => { if (!failed) onEnd(); });
+            }
+        };
+        recorder.onerror = (event) => fail(event.error || new Error("Recording failed."));
+        recorder.start();
+        timer = setTimeout(() => { if (recorder.state === 'recording') recorder.stop(); }, chunkSeconds * 1000);
+    };
+
+    try {
+        recordSegment();
+    } catch (error) {
+        fail(error);
+    }
+
+    return {
+        stop: () => {
+            if (stopped) return;
+            stopped = true;
+            clearTimeout(timer);
+            if (recorder?.state === 'recording') recorder.stop();
+        }
+    };
+};
+
+// Starts recognition and returns { provider, stop }. Callbacks:
+// - onTranscript({ final, interim }): the full final text so far plus any
+//   provisional tail;
+// - onError(error): recognition failed and has stopped;
+// - onEnd(): recognition finished after stop() (or the browser ended it).
+// `stream` is the open microphone stream (Web Speech opens its own).
+export const startSpeechRecognition = (settings, stream, callbacks) => {
+    const provider = resolveSttProvider(settings);
+    if (provider === STT_PROVIDERS.WEB_SPEECH) return { provider, ...startWebSpeech(settings, callbacks) };
+    if (provider === STT_PROVIDERS.WHISPER) return { provider, ...startWhisper(settings, stream, callbacks) };
+    throw new Error("No speech recognition backend is available in this browser.");
+};
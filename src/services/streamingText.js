@@ -0,0 +1,75 @@
+// --- Streaming Text Helpers ---
+
+const JSON_ESCAPES = { n: '\n', t: '\t', r: '\r', b: '\b', f: '\f' };
+
+// Decodes the (possibly unterminated) string value of `field` from a JSON
+// document that is still being streamed. Returns null until the field appears.
+export const extractPartialJsonStringField = (partialJson, field) => {
+    const match = new RegExp(`"${field}"\\s*:\\s*"`).exec(partialJson);
+    if (!match) return null;
+    let result = '';
+    let i = match.index + match[0].length;
+    while (i < partialJson.length) {
+        const ch = partialJson[i];
+        if (ch === '"') break;
+        if (ch === '\\') {
+            const next = partialJson[i + 1];
+            if (next === undefined) break;
+            if (next === 'u') {
+                const hex = partialJson.slice(i + 2, i + 6);
+                if (hex.length < 4) break;
+                result += String.fromCharCode(parseInt(hex, 16));
+                i += 6;
+                continue;
+            }
+            result += JSON_ESCAPES[next] ?? next;
+            i += 2;
+            continue;
+        }
+        result += ch;
+        i += 1;
+    }
+    return result;
+};
+
+const SENTENCE_END = /[.!?]+["')\]]*\s+/g;
+
+// Emits complete sentences from a growing text as soon as they are terminated.
+// update() takes the full text so far; finish() flushes whatever is left,
+// reconciling against the final text in case it differs from the stream.
+export const createSentenceStreamer = (onSentence) => {
+    let latestText = '';
+    let emittedUpTo = 0;
+
+    const update = (text) => {
+        latestText = text;
+        SENTENCE_END.lastIndex = emittedUpTo;
+        let end = emittedUpTo;
+        let match;
+        while ((match = SENTENCE_END.exec(text)) !== null) {
+            end = match.index + match[0].length;
+        }
+        if (end > emittedUpTo) {
+            const sentence = text.slice(emittedUpTo, end).trim();
+            emittedUpTo = end;
+            if (sentence) onSentence(sentence);
+        }
+    };
+
+    const finish = (finalText = latestText) => {
+        const emittedPrefix = latestText.slice(0, emittedUpTo);
+        let remainder = '';
+        if (finalText.startsWith(emittedPrefix)) {
+            remainder = finalText.slice(emittedUpTo);
+        } else if (emittedUpTo === 0) {
+            remainder = finalText;
+        } else {
+            console.warn("Final text diverged from the streamed text; skipping the unspoken remainder.");
+        }
+        latestText = finalText;
+        emittedUpTo = finalText.length;
+        if (remainder.trim()) onSentence(remainder.trim());
+    };
+
+    return { update, finish };
+};
@@ -0,0 +1,127 @@
+import { DESIGN_RUBRIC_PARTS } from './schemas';
+
+// --- System Design Mode ---
+// Candidates sketch their design on a local whiteboard (boxes, arrows and
+// free labels). The diagram is serialized to plain text and attached to the
+// answer, and the Monitor scores it against the design rubric below.
+
+export const DESIGN_RUBRIC_LABELS = {
+    scalability: 'Scalability',
+    tradeoffs: 'Trade-offs',
+    components: 'Component choices'
+};
+
+// What each rubric part means, shared by the Monitor prompt and the report.
+export const DESIGN_RUBRIC_DESCRIPTIONS = {
+    scalability: 'how the design handles growth in load and data (partitioning, replication, caching, queues, bottlenecks)',
+    tradeoffs: 'whether the candidate names alternatives and justifies choices (consistency vs availability, latency vs cost, build vs buy)',
+    components: 'whether the chosen components, data stores and the connections between them fit the requirements'
+};
+
+// A rubric part scored below this is reported as weak.
+export const DESIGN_RUBRIC_THRESHOLD = 0.5;
+
+export const EMPTY_DIAGRAM = { nodes: [], edges: [] };
+
+export const isDiagramEmpty = (diagram) => !diagram || (diagram.nodes.length === 0 && diagram.edges.length === 0);
+
+const nextDiagramId = (items, prefix) => {
+    const taken = new Set(items.map(item => item.id));
+    let number = items.length + 1;
+    while (taken.has(`${prefix}${number}`)) number++;
+    return `${prefix}${number}`;
+};
+
+export const addDiagramNode = (diagram, { kind = 'box', x, y, text = '' }) => {
+    const node = { id: nextDiagramId(diagram.nodes, 'n'), kind, x, y, text };
+    return { diagram: { ...diagram, nodes: [...diagram.nodes, node] }, node };
+};
+
+// Arrows are directed; a second arrow between the same two boxes in the same
+// direction is ignored.
+export const addDiagramEdge = (diagram, from, to) => {
+    if (from === to || diagram.edges.some(edge => edge.from === from && edge.to === to)) return { diagram, edge: null };
+    const edge = { id: nextDiagramId(diagram.edges, 'e'), from, to, text: '' };
+    return { diagram: { ...diagram, edges: [...diagram.edges, edge] }, edge };
+};
+
+export const updateDiagramItem = (diagram, id, changes) => ({
+    nodes: diagram.nodes.map(node => (node.id === id ? { ...node, ...changes } : node)),
+    edges: diagram.edges.map(edge => (edge.id === id ? { ...edge, ...changes } : edge))
+});
+
+// Removing a box also removes the arrows attached to it.
+export const removeDiagramItem = (diagram, id) => ({
+    nodes: diagram.nodes.filter(node => node.id !== id),
+    edges: diagram.edges.filter(edge => edge.id !== id && edge.from !== id && edge.to !== id)
+});
+
+// Boxes are listed in reading order (top to bottom, then left to right) so
+// the description follows the layout the candidate drew. Unnamed or
+// duplicate boxes get a number so arrows stay unambiguous.
+const describeBoxes = (boxes) => {
+    const ordered = [...boxes].sort((a, b) => (Math.abs(a.y - b.y) > 30 ? a.y - b.y : a.x - b.x));
+    const totals = new Map();
+    ordered.forEach(box => totals.set(box.text.trim(), (totals.get(box.text.trim()) || 0) + 1));
+    const seen = new Map();
+    return ordered.map(box => {
+        const text = box.text.trim() || 'Unnamed box';
+        const occurrence = (seen.get(text) || 0) + 1;
+        seen.set(text, occurrence);
+        return { id: box.id, name: totals.get(box.text.trim()) > 1 || !box.text.trim() ? `${text} ${occurrence}` : text };
+    });
+};
+
+// Plain-text form of the diagram for the Monitor and the transcript. Empty
+// when nothing has been drawn.
+export const serializeDiagram = (diagram) => {
+    if (isDiagramEmpty(diagram)) return '';
+    const boxes = describeBoxes(diagram.nodes.filter(node => node.kind === 'box'));
+    const names = new Map(boxes.map(box => [box.id, box.name]));
+    const edges = diagram.edges.filter(edge => names.has(edge.from) && names.has(edge.to));
+    const labels = diagram.nodes.filter(node => node.kind === 'label' && node.text.trim());
+
+    const sections = [];
+    if (boxes.length > 0) sections.push(['Components:', ...boxes.map(box => `- ${box.name}`)].join('\n'));
+    if (edges.length > 0) {
+        sections.push(['Connections:', ...edges.map(edge => `- ${names.get(edge.from)} -> ${names.get(edge.to)}${edge.text.trim() ? `: ${edge.text.trim()}` : ''}`)].join('\n'));
+    }
+    if (labels.length > 0) sections.push(['Notes:', ...labels.map(label => `- ${label.text.trim()}`)].join('\n'));
+    return sections.join('\n');
+};
+
+const averageDesign = (entries) => Object.fromEntries(DESIGN_RUBRIC_PARTS.map(part => [
+    part,
+    entries.length > 0 ? entries.reduce((sum, entry) => sum + (entry.design[part] ?? 0), 0) / entries.length : null
+]));
+
+export const designScore = (design) => (
+    design ? DESIGN_RUBRIC_PARTS.reduce((sum, part) => sum + (design[part] ?? 0), 0) / DESIGN_RUBRIC_PARTS.length : null
+);
+
+export const weakDesignParts = (design) => DESIGN_RUBRIC_PARTS.filter(part => (design?.[part] ?? 0) < DESIGN_RUBRIC_THRESHOLD);
+
+// Per-topic design rubric averages for the report. Only answers the Monitor
+// scored in system design mode are counted.
+export const buildDesignSummary = (interviewPlan, interviewLog) => {
+    const designEntries = interviewLog.filter(entry => entry.design);
+    if (designEntries.length === 0) return null;
+    const topicIndexes = [...new Set(designEntries.map(entry => entry.topicIndex))].sort((a, b) => a - b);
+    const overall = averageDesign(designEntries);
+    return {
+        design: overall,
+        score: designScore(overall),
+        topics: topicIndexes.map(topicIndex => {
+            const entries = designEntries.filter(entry => entry.topicIndex === topicIndex);
+            const design = averageDesign(entries);
+            return {
+                topicIndex,
+                name: interviewPlan?.topics?.[topicIndex]?.name || `Topic ${topicIndex + 1}`,
+                answerCount: entries.length,
+                design,
+                score: designScore(design),
+                weak: weakDesignParts(design)
+            };
+        })
+    };
+};
@@ -0,0 +1,225 @@
+import { runWithRetry, createHttpError, isAbortError } from './requestControl';
+
+// --- Text-to-Speech ---
+// Speaks the interviewer's replies. Three providers:
+// - Kokoro: the local Kokoro TTS server (`/voices`, `/generate`).
+// - OpenAI-compatible: any server with `/v1/audio/speech` (OpenAI, a local
+//   Piper wrapper, Kokoro-FastAPI, ...). Voices cannot be listed through that
+//   API, so they come from settings.
+// - Browser: the built-in speechSynthesis. Always local, but its output is not
+//   a file, so it cannot be visualized or recorded.
+// In automatic mode they are tried in that order, and a provider that fails
+// mid-interview is replaced by the next one (see connectTtsProvider).
+// Settings are stored in localStorage.
+
+const STORAGE_KEY = 'openInterviewAI.ttsSettings';
+const TTS_TIMEOUT_MS = 30000;
+const TTS_RETRIES = 2;
+// Browsers load speechSynthesis voices asynchronously; wait this long for them.
+const BROWSER_VOICES_WAIT_MS = 1500;
+
+export const TTS_PROVIDERS = {
+    AUTO: 'auto',
+    KOKORO: 'kokoro',
+    OPENAI: 'openai',
+    BROWSER: 'browser'
+};
+
+export const TTS_PROVIDER_LABELS = {
+    [TTS_PROVIDERS.AUTO]: 'Automatic (Kokoro, then OpenAI-compatible, then browser)',
+    [TTS_PROVIDERS.KOKORO]: 'Kokoro TTS server',
+    [TTS_PROVIDERS.OPENAI]: 'OpenAI-compatible server (/v1/audio/speech)',
+    [TTS_PROVIDERS.BROWSER]: 'Browser speech synthesis'
+};
+
+const AUTO_ORDER = [TTS_PROVIDERS.KOKORO, TTS_PROVIDERS.OPENAI, TTS_PROVIDERS.BROWSER];
+
+export const DEFAULT_TTS_SETTINGS = {
+    provider: TTS_PROVIDERS.AUTO,
+    kokoro: {
+        endpoint: 'http://localhost:5000'
+    },
+    openai: {
+        // Skipped in automatic mode while empty, e.g. http://localhost:8000/v1/audio/speech.
+        endpoint: '',
+        model: 'tts-1',
+        apiKey: '',
+        // Comma-separated voice names offered in the voice picker.
+        voices: 'alloy, echo, fable, onyx, nova, shimmer'
+    }
+};
+
+export const isSpeechSynthesisAvailable = () => typeof window !== 'undefined' && 'speechSynthesis' in window && typeof window.SpeechSynthesisUtterance !== 'undefined';
+
+export const loadTtsSettings = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+        if (!stored || typeof stored !== 'object') return DEFAULT_TTS_SETTINGS;
+        return {
+            provider: Object.values(TTS_PROVIDERS).includes(stored.provider) ? stored.provider : DEFAULT_TTS_SETTINGS.provider,
+            kokoro: { ...DEFAULT_TTS_SETTINGS.kokoro, ...(stored.kokoro || {}) },
+            openai: { ...DEFAULT_TTS_SETTINGS.openai, ...(stored.openai || {}) }
+        };
+    } catch (error) {
+        console.warn("Could not load text-to-speech settings, using defaults:", error);
+        return DEFAULT_TTS_SETTINGS;
+    }
+};
+
+export const saveTtsSettings = (settings) => {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    } catch (error) {
+        console.warn("Could not persist text-to-speech settings:", error);
+    }
+};
+
+const trimEndpoint = (endpoint) => (endpoint || '').trim().replace(/\/+$/, '');
+
+const fetchAudio = (label, endpoint, init, signal) => runWithRetry(async (requestSignal) => {
+    const response = await fetch(endpoint, { ...init, signal: requestSignal });
+    if (!response.ok) {
+        const errorText = await response.text();
+        throw createHttpError(`${label} failed: ${response.status} ${response.statusText}. ${errorText}`, response.status);
+    }
+    const blob = await response.blob();
+    if (!blob.type.startsWith('audio/')) {
+        console.warn(`Received unexpected blob type from ${label}:`, blob.type);
+    }
+    return { url: URL.createObjectURL(blob) };
+}, { label, timeoutMs: TTS_TIMEOUT_MS, retries: TTS_RETRIES, signal });
+
+// --- Kokoro ---
+const kokoroProvider = {
+    isConfigured: (settings) => !!trimEndpoint(settings.kokoro.endpoint),
+    listVoices: async (settings, signal) => {
+        const data = await runWithRetry(async (requestSignal) => {
+            const response = await fetch(`${trimEndpoint(settings.kokoro.endpoint)}/voices`, { signal: requestSignal });
+            if (!response.ok) throw createHttpError(`HTTP error! status: ${response.status}`, response.status);
+            return response.json();
+        }, { label: 'TTS voices request', timeoutMs: TTS_TIMEOUT_MS, retries: TTS_RETRIES, signal });
+        return Array.isArray(data?.voices) ? data.voices.filter(voice => typeof voice === 'string') : [];
+    },
+    defaultVoice: (voices) => voices.find(voice => voice.includes("Jenny")) || voices[0],
+    synthesize: (text, { voice, speed, settings, signal }) => fetchAudio('Kokoro TTS generation', `${trimEndpoint(settings.kokoro.endpoint)}/generate`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text, voice, speed })
+    }, signal)
+};
+
+// --- OpenAI-compatible ---
+const openAiProvider = {
+    isConfigured: (settings) => !!trimEndpoint(settings.openai.endpoint),
+    listVoices: async (settings) => settings.openai.voices.split(',').map(voice => voice.trim()).filter(Boolean),
+    defaultVoice: (voices) => voices[0],
+    synthesize: (text, { voice, speed, settings, signal }) => {
+        const { endpoint, model, apiKey } = settings.openai;
+        return fetchAudio('OpenAI-compatible TTS generation', trimEndpoint(endpoint), {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+            },
+            body: JSON.stringify({ model, input: text, voice, speed, response_format: 'mp3' })
+        }, signal);
+    }
+};
+
+// --- Browser speechSynthesis ---
+const loadBrowserVoices = () => new Promise(resolve => {
+    const synthesis = window.speechSynthesis;
+    if (synthesis.getVoices().length > 0) {
+        resolve(synthesis.getVoices());
+        return;
+    }
+    const timer = setTimeout(() => resolve(synthesis.getVoices()), BROWSER_VOICES_WAIT_MS);
+    synthesis.addEventListener('voiceschanged', () => {
+        clearTimeout(timer);
+        resolve(synthesis.getVoices());
+    }, { once: true });
+});
+
+const browserProvider = {
+    isConfigured: () => isSpeechSynthesisAvailable(),
+    listVoices: async () => (await loadBrowserVoices()).map(voice => voice.name),
+    // The voice for the page language, else the system default.
+    defaultVoice: (voices) => {
+        const available = window.speechSynthesis.getVoices();
+        const language = (navigator.language || 'en').toLowerCase();
+        const match = available.find(voice => voice.lang.toLowerCase() === language)
+            || available.find(voice => voice.lang.toLowerCase().startsWith(language.split('-')[0]))
+            || available.find(voice => voice.default);
+        return match && voices.includes(match.name) ? match.name : voices[0];
+    },
+    synthesize: async (text, { voice, speed }) => {
+        const utterance = new window.SpeechSynthesisUtterance(text);
+        const match = window.speechSynthesis.getVoices().find(candidate => candidate.name === voice);
+        if (match) {
+            utterance.voice = match;
+            utterance.lang = match.lang;
+        }
+        utterance.rate = speed;
+        return { utterance };
+    }
+};
+
+const PROVIDER_IMPLEMENTATIONS = {
+    [TTS_PROVIDERS.KOKORO]: kokoroProvider,
+    [TTS_PROVIDERS.OPENAI]: openAiProvider,
+    [TTS_PROVIDERS.BROWSER]: browserProvider
+};
+
+// Resolves with { provider, voices, defaultVoice } for the first provider that
+// is configured and lists voices. In automatic mode `after` skips the given
+// provider and the ones before it (for failover); otherwise only the chosen
+// provider is tried. Rejects with the reasons when none works.
+export const connectTtsProvider = async (settings, { after = null, signal } = {}) => {
+    const candidates = settings.provider === TTS_PROVIDERS.AUTO
+        ? AUTO_ORDER.slice(after ? AUTO_ORDER.indexOf(after) + 1 : 0)
+        : (after ? [] : [settings.provider]);
+    const failures = [];
+    for (const provider of candidates) {
+        const implementation = PROVIDER_IMPLEMENTATIONS[provider];
+        if (!implementation.isConfigured(settings)) continue;
+        try {
+            const voices = await implementation.listVoices(settings, signal);
+            if (voices.length === 0) throw new Error("No voices available.");
+            return { provider, voices, defaultVoice: implementation.defaultVoice(voices) };
+        } catch (error) {
+            if (isAbortError(error)) throw error;
+            console.warn(`Text-to-speech provider ${provider} is unavailable:`, error);
+            failures.push(`${TTS_PROVIDER_LABELS[provider]}: ${error.message}`);
+        }
+    }
+    throw new Error(failures.length > 0 ? failures.join('; ') : "No text-to-speech provider is configured or available in this browser.");
+};
+
+// Resolves with a clip to queue for playback: { url } (an object URL the
+// caller releases with releaseSpeechClip) or { utterance } for the browser
+// provider (played with playSpeechUtterance).
+export const synthesizeSpeech = (provider, text, { voice, speed, settings, signal }) => (
+    PROVIDER_IMPLEMENTATIONS[provider].synthesize(text, { voice, speed, settings, signal })
+);
+
+export const releaseSpeechClip = (clip) => {
+    if (clip?.url) URL.revokeObjectURL(clip.url);
+};
+
+// Speaks a browser utterance. Resolves when it ends, fails or is cancelled
+// (cancelBrowserSpeech); onStart is called when speech starts.
+export const playSpeechUtterance = (utterance, { onStart } = {}) => new Promise(resolve => {
+    utterance.onstart = () => onStart?.();
+    utterance.onend = () => resolve();
+    utterance.onerror = (event) => {
+        if (event.error !== 'interrupted' && event.error !== 'canceled') {
+            console.error('Browser speech synthesis error:', event.error);
+        }
+        resolve();
+    };
+    window.speechSynthesis.speak(utterance);
+});
+
+export const cancelBrowserSpeech = () => {
+    if (isSpeechSynthesisAvailable()) window.speechSynthesis.cancel();
+};
@@ -0,0 +1,112 @@
+// --- Voice Activity Detection ---
+// Watches a microphone stream through an AnalyserNode, like the visualizer
+// does, and reports when the candidate starts speaking and when they have
+// been quiet for a while after speaking. Used by hands-free mode for
+// barge-in and auto-submit, and to time spoken answers.
+
+// RMS level of the time-domain signal (-1..1) that counts as speech. Browser
+// echo cancellation keeps the interviewer's own voice well below this.
+const SPEECH_LEVEL = 0.02;
+// Speech must last this long before it counts, so coughs and clicks do not
+// interrupt the interviewer.
+const MIN_SPEECH_MS = 300;
+const POLL_INTERVAL_MS = 50;
+
+const rmsLevel = (samples) => Math.sqrt(samples.reduce((sum, sample) => sum + sample * sample, 0) / samples.length);
+
+// Calls onSpeechStart() once speech is detected and onSilence() once
+// silenceMs passes without speech after that. Each fires at most once.
+// Returns { stop }.
+export const createVoiceActivityDetector = (stream, { silenceMs, onSpeechStart, onSilence }) => {
+    const AudioCtx = window.AudioContext || window.webkitAudioContext;
+    const context = new AudioCtx();
+    const source = context.createMediaStreamSource(stream);
+    const analyser = context.createAnalyser();
+    analyser.fftSize = 1024;
+    source.connect(analyser);
+    if (context.state === 'suspended') {
+        context.resume().catch(error => console.warn("Could not resume the voice activity AudioContext:", error));
+    }
+
+    const samples = new Float32Array(analyser.fftSize);
+    let speechMs = 0;
+    let quietMs = 0;
+    let hasSpoken = false;
+    let silenceReported = false;
+
+    const timer = setInterval(() => {
+        analyser.getFloatTimeDomainData(samples);
+        if (rmsLevel(samples) >= SPEECH_LEVEL) {
+            speechMs += POLL_INTERVAL_MS;
+            quietMs = 0;
+            if (!hasSpoken && speechMs >= MIN_SPEECH_MS) {
+                hasSpoken = true;
+                onSpeechStart?.();
+            }
+        } else {
+            // Short gaps between syllables should not reset the speech timer.
+            speechMs = Math.max(0, speechMs - POLL_INTERVAL_MS / 2);
+            quietMs += POLL_INTERVAL_MS;
+            if (hasSpoken && !silenceReported && quietMs >= silenceMs) {
+                silenceReported = true;
+                onSilence?.();
+            }
+        }
+    }, POLL_INTERVAL_MS);
+
+    return {
+        stop: () => {
+            clearInterval(timer);
+            try { source.disconnect(); } catch { /* already disconnected */ }
+            if (context.state !== 'closed') {
+                context.close().catch(error => console.warn("Could not close the voice activity AudioContext:", error));
+            }
+        }
+    };
+};
+
+// Measures when the candidate spoke during one recording, for delivery
+// metrics (see deliveryMetrics.js). stop() ends the measurement and returns
+// { firstSpeechAt, lastSpeechAt, pausesMs } (epoch ms; null times when no
+// speech was heard), where pausesMs lists the quiet gaps between speech. It
+// can be called again and returns the same result.
+export const createSpeechTimer = (stream) => {
+    const AudioCtx = window.AudioContext || window.webkitAudioContext;
+    const context = new AudioCtx();
+    const source = context.createMediaStreamSource(stream);
+    const analyser = context.createAnalyser();
+    analyser.fftSize = 1024;
+    source.connect(analyser);
+    if (context.state === 'suspended') {
+        context.resume().catch(error => console.warn("Could not resume the speech timing AudioContext:", error));
+    }
+
+    const samples = new Float32Array(analyser.fftSize);
+    const pausesMs = [];
+    let firstSpeechAt = null;
+    let lastSpeechAt = null;
+    let result = null;
+
+    const timer = setInterval(() => {
+        analyser.getFloatTimeDomainData(samples);
+        if (rmsLevel(samples) < SPEECH_LEVEL) return;
+        const now = Date.now();
+        if (firstSpeechAt === null) firstSpeechAt = now;
+        // Gaps of a single poll are just the spaces between syllables.
+        if (lastSpeechAt !== null && now - lastSpeechAt > POLL_INTERVAL_MS * 2) pausesMs.push(now - lastSpeechAt);
+        lastSpeechAt = now;
+    }, POLL_INTERVAL_MS);
+
+    return {
+        stop: () => {
+            if (result) return result;
+            clearInterval(timer);
+            try { source.disconnect(); } catch { /* already disconnected */ }
+            if (context.state !== 'closed') {
+                context.close().catch(error => console.warn("Could not close the speech timing AudioContext:", error));
+            }
+            result = { firstSpeechAt, lastSpeechAt, pausesMs };
+            return result;
+        }
+    };
+};